@@ -1,2953 +1,6694 @@
-const { Plugin, ItemView, WorkspaceLeaf, Notice } = require('obsidian');
+const { Plugin, ItemView, WorkspaceLeaf, MarkdownRenderChild, Modal, Menu, Notice, Events, PluginSettingTab, Setting, debounce, getLinkpath, normalizePath, parseYaml } = require('obsidian');
 
 const VIEW_TYPE_PARA_VISUALIZER = 'para-visualizer-view';
 
-// PARA color scheme
-const PARA_COLORS = {
-  inbox: '#8b5cf6',
-  projects: '#3b82f6',
-  areas: '#10b981',
-  resources: '#f59e0b',
-  archive: '#6b7280'
+// Default PARA taxonomy, in pipeline order. Users can rename, recolor, reorder and
+// extend it in settings. `role` places a location in the flow:
+//   'inbox'   - where notes enter (left column of the PARA Flow diagram)
+//   'project' - working stages for time-bound work; they feed the project
+//               metrics of the PARA Flow and Task Analytics
+//   'active'  - other working stages (reviewed on a cadence)
+//   'archive' - terminal stages (excluded from review cadence and the active pipeline)
+const DEFAULT_PARA_LOCATIONS = [
+  { id: 'inbox', label: 'Inbox', color: '#8b5cf6', reviewInterval: 2, role: 'inbox' },
+  { id: 'projects', label: 'Projects', color: '#3b82f6', reviewInterval: 7, role: 'project' },
+  { id: 'areas', label: 'Areas', color: '#10b981', reviewInterval: 30, role: 'active' },
+  { id: 'resources', label: 'Resources', color: '#f59e0b', reviewInterval: 90, role: 'active' },
+  { id: 'archive', label: 'Archive', color: '#6b7280', reviewInterval: 180, role: 'archive' }
+];
+
+const LOCATION_ROLES = [
+  { id: 'inbox', label: 'Inbox (entry)' },
+  { id: 'project', label: 'Project (time-bound)' },
+  { id: 'active', label: 'Active' },
+  { id: 'archive', label: 'Archive (terminal)' }
+];
+
+// Heuristics for guessing archive flows of notes without para_history, by
+// location role: a note older than `age` days and untouched for `idle` days is
+// assumed archived. Roles not listed here use the fallback.
+const ARCHIVE_HEURISTICS = {
+  project: { age: 90, idle: 30 },
+  active: { age: 180, idle: 90 }
 };
-
-const DEFAULT_REVIEW_INTERVALS = {
-  inbox: 2,
-  projects: 7,
-  areas: 30,
-  resources: 90,
-  archive: 180
+const DEFAULT_ARCHIVE_HEURISTIC = { age: 180, idle: 90 };
+
+const VAULT_VIEWS = [
+  { id: 'heatmap', label: 'Activity Heatmap', icon: '📅' },
+  { id: 'graph', label: 'Knowledge Graph', icon: '🕸️' },
+  { id: 'sankey', label: 'PARA Flow', icon: '🌊' },
+  { id: 'tasks', label: 'Task Analytics', icon: '✅' },
+  { id: 'review', label: 'Review Radar', icon: '📍' },
+  { id: 'pipeline', label: 'Pipeline Timeline', icon: '📈' },
+  { id: 'task-calendar', label: 'Task Load Calendar', icon: '🗓️' },
+  { id: 'tags', label: 'Tag Cloud', icon: '🏷️' },
+  { id: 'stats', label: 'Statistics', icon: '📊' }
+];
+
+const NOTE_VIEWS = [
+  { id: 'note-context', label: 'Note Context', icon: '🔍' },
+  { id: 'note-history', label: 'PARA History', icon: '🌊' },
+  { id: 'note-tasks', label: 'Tasks', icon: '✅' }
+];
+
+// Where the "Open PARA Visualizer …" commands put a new view
+const OPEN_LOCATIONS = [
+  { id: 'main', label: 'in main pane' },
+  { id: 'tab', label: 'in new tab' },
+  { id: 'sidebar', label: 'in sidebar' }
+];
+
+// Kinds of edges between notes. 'property' edges come from links in frontmatter
+// properties (e.g. `project: "[[X]]"`) and are further split by property name.
+// 'tag' edges (notes sharing a content tag) are derived by the graph on demand.
+const EDGE_TYPES = [
+  { id: 'link', label: 'Links' },
+  { id: 'embed', label: 'Embeds' },
+  { id: 'property', label: 'Properties' },
+  { id: 'tag', label: 'Shared tags' }
+];
+
+// Obsidian Tasks status symbols. Any other symbol counts as a plain open task.
+const TASK_STATUSES = {
+  ' ': 'open',
+  'x': 'done',
+  'X': 'done',
+  '/': 'in-progress',
+  '-': 'cancelled',
+  '>': 'deferred'
 };
 
-class PARAVisualizerView extends ItemView {
-  constructor(leaf, plugin) {
-    super(leaf);
-    this.plugin = plugin;
-    this.currentView = 'heatmap'; // Default view
-    this.dateRange = 90; // days
-    this.vaultData = null;
-    this.scope = 'vault'; // 'vault' or 'note'
-    this.currentNoteData = null;
-  }
+// Still waiting to be done: open, in progress or deferred. Every "open" count
+// goes through this so views agree.
+function isOpenTask(task) {
+  return !task.completed && task.status !== 'cancelled';
+}
 
-  getViewType() {
-    return VIEW_TYPE_PARA_VISUALIZER;
+// Obsidian Tasks signifiers, in the order the Tasks plugin documents them
+const TASK_PRIORITIES = [
+  { emoji: '🔺', priority: 'highest' },
+  { emoji: '⏫', priority: 'high' },
+  { emoji: '🔼', priority: 'medium' },
+  { emoji: '🔽', priority: 'low' },
+  { emoji: '⏬', priority: 'lowest' }
+];
+
+// `key` is the Dataview inline field name for the same date, e.g. [due:: 2025-11-14]
+const TASK_DATE_FIELDS = [
+  { field: 'dueDate', emojis: ['📅', '📆', '🗓'], key: 'due' },
+  { field: 'scheduledDate', emojis: ['⏳', '⌛'], key: 'scheduled' },
+  { field: 'startDate', emojis: ['🛫'], key: 'start' },
+  { field: 'createdDate', emojis: ['➕'], key: 'created' },
+  { field: 'completionDate', emojis: ['✅'], key: 'completion' },
+  { field: 'cancelledDate', emojis: ['❌'], key: 'cancelled' }
+];
+
+// Time range presets. Rolling presets end today and span `days`; calendar
+// presets are compared against the same span `shiftDays`/`shiftMonths` earlier.
+const DATE_RANGE_PRESETS = [
+  { id: 'last-30', label: 'Last 30 days', days: 30 },
+  { id: 'last-90', label: 'Last 90 days', days: 90 },
+  { id: 'last-180', label: 'Last 6 months', days: 180 },
+  { id: 'last-365', label: 'Last year', days: 365 },
+  { id: 'this-week', label: 'This week', shiftDays: 7 },
+  { id: 'last-week', label: 'Last week', shiftDays: 7 },
+  { id: 'this-month', label: 'This month', shiftMonths: 1 },
+  { id: 'last-month', label: 'Last month', shiftMonths: 1 },
+  { id: 'quarter-to-date', label: 'Quarter to date', shiftMonths: 3 },
+  { id: 'year-to-date', label: 'Year to date', shiftMonths: 12 },
+  { id: 'all', label: 'All time' },
+  { id: 'custom', label: 'Custom range…' }
+];
+
+const COMPARISON_OPTIONS = [
+  { id: 'none', label: 'No comparison' },
+  { id: 'previous', label: 'Previous period' },
+  { id: 'year', label: 'Same period last year' }
+];
+
+// What the Activity Heatmap counts per day. `unit` is [singular, plural].
+const HEATMAP_METRICS = [
+  { id: 'modified', label: 'Notes last modified', unit: ['note modified', 'notes modified'] },
+  { id: 'created', label: 'Notes created', unit: ['note created', 'notes created'] },
+  { id: 'completed', label: 'Tasks completed', unit: ['task completed', 'tasks completed'] },
+  { id: 'due', label: 'Tasks due', unit: ['task due', 'tasks due'] },
+  { id: 'moves', label: 'PARA moves', unit: ['move', 'moves'] }
+];
+
+// Pixel multipliers offered for PNG exports
+const EXPORT_SCALES = [1, 2, 3, 4];
+
+// Tables offered by "Export data". Column names are part of the export format:
+// add new columns at the end and never rename existing ones.
+const DATA_EXPORTS = [
+  {
+    id: 'notes',
+    label: 'Notes',
+    columns: ['path', 'basename', 'para_location', 'para_source', 'tags', 'created', 'modified', 'size', 'links', 'unresolved_links', 'review_interval_days', 'para_moves']
+  },
+  {
+    id: 'tasks',
+    label: 'Tasks',
+    columns: ['file', 'line', 'para_location', 'status', 'completed', 'text', 'priority', 'recurrence', 'due_date', 'scheduled_date', 'start_date', 'created_date', 'completion_date', 'cancelled_date', 'age_days', 'heading', 'parent_line']
+  },
+  {
+    id: 'review-locations',
+    label: 'Review by location',
+    columns: ['location', 'label', 'note_count', 'overdue_count', 'avg_days_since_modified', 'avg_review_interval_days', 'score', 'last_modified']
+  },
+  {
+    id: 'review-overdue',
+    label: 'Overdue reviews',
+    columns: ['path', 'location', 'days_since_modified', 'review_interval_days', 'overdue_by_days']
+  },
+  {
+    id: 'pipeline-timeline',
+    label: 'Pipeline timeline',
+    columns: ['date', 'location', 'notes']
+  },
+  {
+    id: 'pipeline-transitions',
+    label: 'Pipeline transitions',
+    columns: ['from', 'to', 'count']
+  },
+  {
+    id: 'flows',
+    label: 'Flows',
+    columns: ['from', 'to', 'notes']
   }
+];
 
-  getDisplayText() {
-    return 'PARA Visualizer';
-  }
+// Review report note used when no template is configured. Placeholders are
+// listed in REPORT_PLACEHOLDERS; unknown ones are left as written.
+const DEFAULT_REPORT_TEMPLATE = `# PARA Review {{date}}
 
-  getIcon() {
-    return 'bar-chart-2';
-  }
+Week of {{weekStart}} – {{weekEnd}} · Review health {{health}}%
 
-  async onOpen() {
-    const container = this.containerEl.children[1];
-    container.empty();
-    container.addClass('para-visualizer-view');
+## Overdue reviews
+{{overdueReviews}}
 
-    await this.collectVaultData();
+## Inbox
+{{inbox}}
 
-    // Listen for active file changes
-    this.registerEvent(
-      this.app.workspace.on('active-leaf-change', async () => {
-        if (this.scope === 'note') {
-          await this.updateCurrentNoteData();
-          this.render();
-        }
-      })
-    );
+## Tasks due in the next 7 days
+{{dueSoon}}
 
-    // Listen for file modifications
-    this.registerEvent(
-      this.app.vault.on('modify', async (file) => {
-        const activeFile = this.app.workspace.getActiveFile();
-        if (this.scope === 'note' && activeFile && file.path === activeFile.path) {
-          await this.updateCurrentNoteData();
-          this.render();
-        }
-      })
-    );
+## Overdue tasks
+{{overdueTasks}}
 
-    // Listen for file renames/moves
-    this.registerEvent(
-      this.app.vault.on('rename', async (file, oldPath) => {
-        // Refresh vault data when any file is renamed (paths change)
-        await this.collectVaultData();
+## PARA moves this week
+{{transitions}}
 
-        // If we're in note view and the current note was moved, update it
-        const activeFile = this.app.workspace.getActiveFile();
-        if (this.scope === 'note' && activeFile) {
-          await this.updateCurrentNoteData();
-          this.render();
-        }
-      })
-    );
+## Completed this week
+{{completedTasks}}
+`;
 
-    // Listen for file deletions
-    this.registerEvent(
-      this.app.vault.on('delete', async (file) => {
-        // Refresh vault data
-        await this.collectVaultData();
+const REPORT_PLACEHOLDERS = [
+  'date', 'weekStart', 'weekEnd', 'health',
+  'overdueReviews', 'inbox', 'dueSoon', 'overdueTasks', 'transitions', 'completedTasks'
+];
 
-        // If we're in note view, check if current note still exists
-        const activeFile = this.app.workspace.getActiveFile();
-        if (this.scope === 'note') {
-          if (!activeFile) {
-            this.currentNoteData = null;
-          }
-          this.render();
-        }
-      })
-    );
+// Tables exported from each view; views not listed export notes and tasks
+const VIEW_DATA_EXPORTS = {
+  heatmap: ['notes'],
+  graph: ['notes'],
+  sankey: ['flows'],
+  tasks: ['tasks'],
+  review: ['review-locations', 'review-overdue'],
+  pipeline: ['pipeline-timeline', 'pipeline-transitions'],
+  'task-calendar': ['tasks'],
+  tags: ['notes'],
+  stats: DATA_EXPORTS.map(dataset => dataset.id)
+};
 
-    this.render();
+const DEFAULT_SETTINGS = {
+  locations: DEFAULT_PARA_LOCATIONS,
+  locationRolesVersion: 2, // Saved locations from before the 'project' role are upgraded on load
+  // Tags hidden from the tag cloud and tag-based note relations
+  systemTags: ['all', 'inbox', 'projects', 'areas', 'resources', 'archive'],
+  defaultView: 'heatmap',
+  defaultDateRange: 'last-90', // DATE_RANGE_PRESETS id
+  weekStart: 1, // 0 = Sunday, 1 = Monday
+  // Which task metadata wins when a task has both: 'tasks' (emoji) or 'dataview' ([due:: ...])
+  taskMetadataFormat: 'tasks',
+  // Checkboxes inside callouts are usually examples in templates and docs
+  includeCalloutTasks: false,
+  // Where exported images are saved; empty uses Obsidian's attachment folder
+  exportFolder: '',
+  exportScale: 2, // EXPORT_SCALES value for PNG exports
+  // "Generate PARA Review Report" output folder and optional template note path
+  reportFolder: 'PARA Reviews',
+  reportTemplate: '',
+  // Vault view filters, shared by every vault tab and kept across restarts
+  filters: {
+    folder: '', // Folder prefix
+    tags: [], // Notes must have at least one of these (nested tags match their parent)
+    excludeTags: [], // Notes with any of these are hidden
+    locations: [], // PARA location ids; empty means all
+    title: '' // Case-insensitive substring of the note title
+  },
+  // Which source wins when both are available; the other one is the fallback
+  paraSource: 'frontmatter', // 'frontmatter' or 'folder'
+  // Folder prefix -> PARA location (longest matching prefix wins)
+  folderRules: [
+    { prefix: '0 - Inbox/', location: 'inbox' },
+    { prefix: '1 - Projects/', location: 'projects' },
+    { prefix: '2 - Areas/', location: 'areas' },
+    { prefix: '3 - Resources/', location: 'resources' },
+    { prefix: '4 - Archive/', location: 'archive' }
+  ]
+};
+
+const WEEK_START_OPTIONS = [
+  { value: 1, label: 'Monday' },
+  { value: 0, label: 'Sunday' }
+];
+
+// Local-calendar date helpers. Date keys are 'YYYY-MM-DD' in the user's time
+// zone - never build them with toISOString(), which is UTC and shifts evening
+// dates to the next day for anyone west of Greenwich.
+function pad2(value) {
+  return value.toString().padStart(2, '0');
+}
+
+function toDateKey(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+// Timestamps, Dates and date strings to a Date; a bare 'YYYY-MM-DD' is local
+// midnight (new Date('YYYY-MM-DD') would be UTC midnight). Null if invalid.
+function parseDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
   }
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
 
-  async collectVaultData() {
-    const files = this.app.vault.getMarkdownFiles();
-    const data = {
-      notes: [],
-      tags: new Map(),
-      paraLocations: {
-        inbox: [],
-        projects: [],
-        areas: [],
-        resources: [],
-        archive: []
-      },
-      activity: new Map(), // date -> count
-      links: [], // { source, target }
-      tasks: {
-        all: [],
-        byDate: new Map(), // completion date -> tasks
-        byPara: {
-          inbox: { open: 0, completed: 0 },
-          projects: { open: 0, completed: 0 },
-          areas: { open: 0, completed: 0 },
-          resources: { open: 0, completed: 0 },
-          archive: { open: 0, completed: 0 }
-        }
-      }
-    };
+function startOfDay(value) {
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
 
-    for (const file of files) {
-      const cache = this.app.metadataCache.getFileCache(file);
-      if (!cache) continue;
-
-      // Extract PARA location from frontmatter
-      const paraLocation = cache.frontmatter?.para || 'unknown';
-
-      // Extract tags (both frontmatter and inline)
-      const noteTags = new Set();
-      if (cache.frontmatter?.tags) {
-        const tags = Array.isArray(cache.frontmatter.tags)
-          ? cache.frontmatter.tags
-          : [cache.frontmatter.tags];
-        tags.forEach(tag => noteTags.add(tag));
-      }
-      if (cache.tags) {
-        cache.tags.forEach(tagCache => {
-          const tag = tagCache.tag.replace('#', '');
-          noteTags.add(tag);
-        });
-      }
+// Calendar arithmetic, so DST changes don't skip or repeat a day
+function addDays(value, days) {
+  const date = startOfDay(value);
+  date.setDate(date.getDate() + days);
+  return date;
+}
 
-      // Extract PARA history if available
-      const paraHistory = cache.frontmatter?.para_history || [];
+function daysBetween(from, to) {
+  return Math.round((startOfDay(to) - startOfDay(from)) / (24 * 60 * 60 * 1000));
+}
 
-      const reviewInterval = this.getReviewIntervalFromFrontmatter(cache.frontmatter);
+// weekStart: 0 = Sunday, 1 = Monday
+function startOfWeek(value, weekStart) {
+  const date = startOfDay(value);
+  return addDays(date, -((date.getDay() - weekStart + 7) % 7));
+}
 
-      // Build note object
-      const noteData = {
-        path: file.path,
-        basename: file.basename,
-        paraLocation: paraLocation,
-        paraHistory: paraHistory, // Array of {from, to, date, timestamp}
-        tags: Array.from(noteTags),
-        created: file.stat.ctime,
-        modified: file.stat.mtime,
-        size: file.stat.size,
-        links: [],
-        reviewInterval: reviewInterval
-      };
+// "#clientX, -#someday" -> { tags: ['clientX'], excludeTags: ['someday'] }
+function parseTagFilter(text) {
+  const tokens = String(text || '').split(/[,\s]+/).filter(token => token && token !== '-');
+  return {
+    tags: tokens
+      .filter(token => !token.startsWith('-'))
+      .map(token => token.replace(/^#/, '')),
+    excludeTags: tokens
+      .filter(token => token.startsWith('-'))
+      .map(token => token.replace(/^-#?/, ''))
+  };
+}
 
-      // Extract links
-      if (cache.links) {
-        cache.links.forEach(link => {
-          noteData.links.push(link.link);
-          data.links.push({
-            source: file.path,
-            target: link.link
-          });
-        });
-      }
+// Distance from (x, y) to the segment a-b, for hit-testing drawn lines
+function distanceToSegment(x, y, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq)) : 0;
+  return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+}
 
-      data.notes.push(noteData);
+// RFC 4180 CSV; lists are joined with "; " so each row stays one line
+function toCsv(columns, rows) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(cell).join(','))
+    .join('\r\n') + '\r\n';
+}
 
-      // Track PARA location
-      if (data.paraLocations[paraLocation]) {
-        data.paraLocations[paraLocation].push(noteData);
-      }
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
 
-      // Track tags
-      noteTags.forEach(tag => {
-        if (!data.tags.has(tag)) {
-          data.tags.set(tag, []);
-        }
-        data.tags.get(tag).push(noteData);
-      });
+/**
+ * Stand-in for a canvas 2D context that records drawing as SVG elements, so
+ * canvas charts can be exported as vector graphics by running their normal
+ * draw function against it. Covers the subset of the canvas API the charts
+ * use. Points are transformed as they are recorded, like on a real canvas;
+ * transforms are assumed to be free of skew and mirroring.
+ */
+class SVGCanvasContext {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.elements = [];
+    this.defs = [];
+    this.stack = [];
+    this.path = '';
+    this.matrix = [1, 0, 0, 1, 0, 0];
+    this.lineDash = [];
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+    this.globalAlpha = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+  }
 
-      // Track activity by date
-      const modDate = new Date(file.stat.mtime).toISOString().split('T')[0];
-      data.activity.set(modDate, (data.activity.get(modDate) || 0) + 1);
+  save() {
+    const { matrix, lineDash, fillStyle, strokeStyle, lineWidth, lineCap, globalAlpha, font, textAlign } = this;
+    this.stack.push({ matrix, lineDash, fillStyle, strokeStyle, lineWidth, lineCap, globalAlpha, font, textAlign });
+  }
 
-      // Parse tasks from file content
-      const tasks = await this.parseTasksFromFile(file, paraLocation);
-      tasks.forEach(task => {
-        data.tasks.all.push(task);
+  restore() {
+    const state = this.stack.pop();
+    if (state) Object.assign(this, state);
+  }
 
-        // Track by PARA location
-        if (data.tasks.byPara[paraLocation]) {
-          if (task.completed) {
-            data.tasks.byPara[paraLocation].completed++;
+  setTransform(a, b, c, d, e, f) {
+    this.matrix = [a, b, c, d, e, f];
+  }
 
-            // Track by completion date
-            if (task.completionDate) {
-              if (!data.tasks.byDate.has(task.completionDate)) {
-                data.tasks.byDate.set(task.completionDate, []);
-              }
-              data.tasks.byDate.get(task.completionDate).push(task);
-            }
-          } else {
-            data.tasks.byPara[paraLocation].open++;
-          }
-        }
-      });
-    }
+  transform(a, b, c, d, e, f) {
+    const [ma, mb, mc, md, me, mf] = this.matrix;
+    this.matrix = [
+      ma * a + mc * b, mb * a + md * b,
+      ma * c + mc * d, mb * c + md * d,
+      ma * e + mc * f + me, mb * e + md * f + mf
+    ];
+  }
 
-    this.vaultData = data;
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
   }
 
-  async parseTasksFromFile(file, paraLocation) {
-    const tasks = [];
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
 
-    try {
-      const content = await this.app.vault.read(file);
-      const lines = content.split('\n');
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
 
-      // Regex for Obsidian Tasks format
-      // Matches: - [ ] task or - [x] task
-      const taskRegex = /^[\s]*-\s\[([ xX])\]\s(.+)$/;
+  setLineDash(segments) {
+    this.lineDash = segments.slice();
+  }
 
-      // Regex for completion date: ✅ 2025-11-14
-      const completionDateRegex = /✅\s*(\d{4}-\d{2}-\d{2})/;
+  clearRect() {
+    // Exports start from an empty document, so there is nothing to clear
+  }
 
-      // Regex for due date: 📅 2025-11-14
-      const dueDateRegex = /📅\s*(\d{4}-\d{2}-\d{2})/;
+  createLinearGradient(x1, y1, x2, y2) {
+    return {
+      start: this.point(x1, y1),
+      end: this.point(x2, y2),
+      stops: [],
+      id: null,
+      addColorStop(offset, color) {
+        this.stops.push({ offset, color });
+      }
+    };
+  }
 
-      // Regex for created date: ➕ 2025-11-14
-      const createdDateRegex = /➕\s*(\d{4}-\d{2}-\d{2})/;
+  beginPath() {
+    this.path = '';
+  }
 
-      lines.forEach((line, lineNum) => {
-        const match = line.match(taskRegex);
-        if (match) {
-          const isCompleted = match[1].toLowerCase() === 'x';
-          const taskText = match[2];
+  moveTo(x, y) {
+    this.path += `M${this.point(x, y)}`;
+  }
 
-          // Extract dates from task text
-          const completionMatch = taskText.match(completionDateRegex);
-          const dueMatch = taskText.match(dueDateRegex);
-          const createdMatch = taskText.match(createdDateRegex);
+  lineTo(x, y) {
+    this.path += `L${this.point(x, y)}`;
+  }
 
-          const task = {
-            file: file.path,
-            fileName: file.basename,
-            paraLocation: paraLocation,
-            line: lineNum + 1,
-            text: taskText.replace(/[✅📅➕⏫🔼🔽⏬🔁⏳]/g, '').trim(), // Clean emojis
-            completed: isCompleted,
-            completionDate: completionMatch ? completionMatch[1] : null,
-            dueDate: dueMatch ? dueMatch[1] : null,
-            createdDate: createdMatch ? createdMatch[1] : null
-          };
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    this.path += `C${this.point(cp1x, cp1y)} ${this.point(cp2x, cp2y)} ${this.point(x, y)}`;
+  }
 
-          // Calculate task age if completed
-          if (task.completed && task.completionDate && task.createdDate) {
-            const created = new Date(task.createdDate);
-            const completed = new Date(task.completionDate);
-            task.ageInDays = Math.floor((completed - created) / (1000 * 60 * 60 * 24));
-          }
+  quadraticCurveTo(cpx, cpy, x, y) {
+    this.path += `Q${this.point(cpx, cpy)} ${this.point(x, y)}`;
+  }
 
-          tasks.push(task);
-        }
-      });
-    } catch (error) {
-      console.error(`Failed to parse tasks from ${file.path}:`, error);
+  closePath() {
+    this.path += 'Z';
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    const fullTurn = Math.PI * 2;
+    const raw = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+    const sweep = raw >= fullTurn ? fullTurn : ((raw % fullTurn) + fullTurn) % fullTurn;
+    const direction = counterclockwise ? -1 : 1;
+    const at = angle => this.point(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+    const r = this.round(radius * this.getScale());
+
+    this.path += `${this.path ? 'L' : 'M'}${at(startAngle)}`;
+    // Quarter-turn pieces, since one SVG arc can't end where it starts
+    const pieces = Math.max(1, Math.ceil(sweep / (Math.PI / 2)));
+    for (let i = 1; i <= pieces; i++) {
+      const angle = startAngle + direction * sweep * i / pieces;
+      this.path += `A${r} ${r} 0 0 ${counterclockwise ? 0 : 1} ${at(angle)}`;
     }
+  }
 
-    return tasks;
+  fill() {
+    this.elements.push(`<path d="${this.path}" fill="${this.paint(this.fillStyle)}"${this.opacity()}/>`);
   }
 
-  getReviewIntervalFromFrontmatter(frontmatter) {
-    if (!frontmatter) return null;
-    const rawValue =
-      frontmatter.review_interval ??
-      frontmatter.reviewInterval ??
-      frontmatter.review_every ??
-      frontmatter.reviewEvery ??
-      frontmatter.review;
-    return this.parseReviewIntervalValue(rawValue);
+  stroke() {
+    const scale = this.getScale();
+    const dash = this.lineDash.length
+      ? ` stroke-dasharray="${this.lineDash.map(length => this.round(length * scale)).join(' ')}"`
+      : '';
+    this.elements.push(`<path d="${this.path}" fill="none" stroke="${this.paint(this.strokeStyle)}" stroke-width="${this.round(this.lineWidth * scale)}" stroke-linecap="${this.lineCap}"${dash}${this.opacity()}/>`);
   }
 
-  parseReviewIntervalValue(value) {
-    if (value === undefined || value === null) return null;
-    if (typeof value === 'number' && isFinite(value)) {
-      return value > 0 ? value : null;
-    }
-    if (typeof value === 'string') {
-      const normalized = value.trim().toLowerCase();
-      if (!normalized.length) return null;
-      if (normalized === 'daily') return 1;
-      if (normalized === 'weekly') return 7;
-      if (normalized === 'monthly') return 30;
-      if (normalized === 'quarterly') return 90;
+  fillRect(x, y, width, height) {
+    const path = this.path;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.fill();
+    this.path = path;
+  }
 
-      const match = normalized.match(/(\d+)\s*(d|day|days|w|wk|week|weeks|m|mo|month|months)/);
-      if (match) {
-        const amount = parseInt(match[1], 10);
-        const unit = match[2];
-        if (!isNaN(amount) && amount > 0) {
-          if (unit.startsWith('d')) return amount;
-          if (unit.startsWith('w')) return amount * 7;
-          if (unit.startsWith('m')) return amount * 30;
-        }
-      }
+  strokeRect(x, y, width, height) {
+    const path = this.path;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.stroke();
+    this.path = path;
+  }
 
-      const numeric = parseInt(normalized, 10);
-      return !isNaN(numeric) && numeric > 0 ? numeric : null;
-    }
-    return null;
+  fillText(text, x, y) {
+    const anchors = { center: 'middle', right: 'end', end: 'end' };
+    const anchor = anchors[this.textAlign] || 'start';
+    const matrix = this.matrix.map(value => this.round(value)).join(' ');
+    this.elements.push(`<text transform="matrix(${matrix})" x="${this.round(x)}" y="${this.round(y)}" style="font: ${escapeXml(this.font)}" text-anchor="${anchor}" fill="${this.paint(this.fillStyle)}"${this.opacity()}>${escapeXml(text)}</text>`);
   }
 
-  getReviewIntervalForNote(note) {
-    if (note.reviewInterval && note.reviewInterval > 0) {
-      return note.reviewInterval;
-    }
-    return this.getDefaultReviewInterval(note.paraLocation);
+  toSVG(background) {
+    const { width, height } = this;
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      this.defs.length ? `<defs>${this.defs.join('')}</defs>` : '',
+      `<rect width="100%" height="100%" fill="${escapeXml(background)}"/>`,
+      ...this.elements,
+      '</svg>'
+    ].filter(Boolean).join('\n');
   }
 
-  getDefaultReviewInterval(location) {
-    return DEFAULT_REVIEW_INTERVALS[location] || 30;
+  // Transformed point as "x y"
+  point(x, y) {
+    const [a, b, c, d, e, f] = this.matrix;
+    return `${this.round(a * x + c * y + e)} ${this.round(b * x + d * y + f)}`;
   }
 
-  formatDays(value) {
-    if (value === null || value === undefined || !isFinite(value)) return '—';
-    if (value < 1) return '<1 day';
-    const rounded = Math.round(value);
-    return rounded === 1 ? '1 day' : `${rounded} days`;
+  getScale() {
+    return Math.hypot(this.matrix[0], this.matrix[1]);
   }
 
-  hexToRgba(hex, alpha) {
-    const sanitized = hex.replace('#', '');
-    const bigint = parseInt(sanitized, 16);
-    if (isNaN(bigint)) {
-      return `rgba(59, 130, 246, ${alpha})`;
-    }
-    const r = (bigint >> 16) & 255;
-    const g = (bigint >> 8) & 255;
-    const b = bigint & 255;
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+  round(value) {
+    return Math.round(value * 100) / 100;
   }
 
-  normalizeLocation(value) {
-    if (!value || typeof value !== 'string') return 'unknown';
-    return value.toLowerCase();
+  opacity() {
+    return this.globalAlpha < 1 ? ` opacity="${this.round(this.globalAlpha)}"` : '';
   }
 
-  getLocationAtTime(states, timestamp) {
-    if (!states || states.length === 0) return null;
-    if (timestamp < states[0].timestamp) return null;
-    let location = states[0].location;
-    for (const state of states) {
-      if (timestamp >= state.timestamp) {
-        location = state.location;
-      } else {
-        break;
-      }
+  // Fill or stroke value: a color, or a reference to a recorded gradient
+  paint(style) {
+    if (typeof style === 'string') return escapeXml(style);
+    if (!style.id) {
+      style.id = `para-gradient-${this.defs.length + 1}`;
+      const [x1, y1] = style.start.split(' ');
+      const [x2, y2] = style.end.split(' ');
+      const stops = style.stops
+        .map(stop => `<stop offset="${stop.offset}" stop-color="${escapeXml(stop.color)}"/>`)
+        .join('');
+      this.defs.push(`<linearGradient id="${style.id}" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">${stops}</linearGradient>`);
     }
-    return location;
+    return `url(#${style.id})`;
   }
+}
 
-  render() {
-    const container = this.containerEl.children[1];
-    container.empty();
-    container.addClass('para-visualizer-view');
+// Bump whenever the per-file parse output changes shape so stale caches are discarded
+const PARSE_CACHE_VERSION = 4;
+// Kept next to the plugin's data.json rather than in it, so edits don't
+// rewrite the settings file
+const PARSE_CACHE_FILE = 'parse-cache.json';
+
+/**
+ * In-memory index of every markdown note in the vault.
+ *
+ * The index is built once (lazily, the first time a view asks for it) and then
+ * kept current from metadataCache and vault events, so only the affected
+ * note's entry is re-parsed. Renderers read the aggregated snapshot returned
+ * by getData(); it is rebuilt from the per-note records without touching disk.
+ * Changes that arrive before or during a build are queued and applied after it.
+ *
+ * Parsed per-file results (tasks, tags, review interval) are also kept in a
+ * persisted cache keyed by path and validated against mtime/size, so a
+ * restart only re-reads files that changed while Obsidian was closed. The
+ * cache is written to its own file once parsing has been idle for a while,
+ * and on unload.
+ *
+ * Links are not cached: they come from metadataCache.resolvedLinks and
+ * unresolvedLinks, which change when other notes are created, renamed or
+ * deleted. When metadata is resolved, only the notes linking to such paths
+ * are re-read.
+ *
+ * Events:
+ *   'updated' (paths: string[]) - fired after one or more notes changed
+ */
+class PARAVaultIndex extends Events {
+  constructor(plugin) {
+    super();
+    this.plugin = plugin;
+    this.app = plugin.app;
+    this.records = new Map(); // path -> { note, tasks, references }
+    this.linkTargets = new Map(); // path -> paths its links resolved to when indexed
+    this.linkSources = new Map(); // target path -> paths of indexed notes linking to it
+    this.changedLinkTargets = new Set(); // paths created, renamed or deleted since links were last refreshed
+    this.cache = {}; // path -> persisted parse result
+    this.cacheDirty = false; // cache changed since it was last written
+    this.data = null;
+    this.filteredData = new Map(); // filter set JSON -> data; the view and code blocks may differ
+    this.dirty = true;
+    this.built = false;
+    this.building = false;
+    this.buildPromise = null;
+    this.pendingFiles = new Map(); // path -> TFile awaiting re-parse
+    this.pendingRemovals = new Set(); // paths deleted or renamed away during a build
+    this.changedPaths = new Set(); // paths touched since the last 'updated' event
+    this.requestFlush = debounce(() => this.flush(), 500, true);
+    this.requestCacheSave = debounce(() => this.saveCache(), 30000, true);
+  }
 
-    // Header
-    const header = container.createDiv('para-visualizer-header');
-    this.renderTabs(header);
-    this.renderControls(header);
+  registerEvents() {
+    const { metadataCache, vault } = this.app;
 
-    // Content
-    const content = container.createDiv('para-visualizer-content');
+    // Metadata for a note was (re)parsed - covers edits and newly created notes.
+    // Until a build has finished, changes are queued and applied after it.
+    this.plugin.registerEvent(
+      metadataCache.on('changed', (file) => {
+        if (file.extension !== 'md') return;
+        this.pendingFiles.set(file.path, file);
+        if (this.isLive()) this.requestFlush();
+      })
+    );
 
-    if (!this.vaultData) {
-      content.createDiv('para-loading').setText('Loading vault data...');
-      return;
-    }
+    // All pending metadata has been resolved - pick up link changes in other
+    // notes and flush queued notes right away
+    this.plugin.registerEvent(
+      metadataCache.on('resolved', () => {
+        if (!this.isLive()) return;
+        this.refreshLinks();
+        if (this.pendingFiles.size > 0) this.flush();
+      })
+    );
 
-    switch (this.currentView) {
-      case 'heatmap':
-        this.renderHeatmap(content);
-        break;
-      case 'graph':
-        this.renderGraph(content);
-        break;
-      case 'sankey':
-        this.renderSankey(content);
-        break;
-      case 'tasks':
-        this.renderTaskAnalytics(content);
-        break;
-      case 'tags':
-        this.renderTagCloud(content);
-        break;
-      case 'stats':
-        this.renderStats(content);
-        break;
-      case 'review':
-        this.renderReviewRadar(content);
-        break;
-      case 'pipeline':
-        this.renderPipelineTimeline(content);
-        break;
-      case 'task-calendar':
-        this.renderTaskCalendar(content);
-        break;
-      case 'note-context':
-        this.renderNoteContext(content);
-        break;
-      case 'note-history':
-        this.renderNoteHistory(content);
-        break;
-      case 'note-tasks':
-        this.renderNoteTasks(content);
-        break;
+    // A new file can resolve links that were dangling or went to another file
+    this.plugin.registerEvent(
+      vault.on('create', (file) => {
+        this.changedLinkTargets.add(file.path);
+      })
+    );
+
+    this.plugin.registerEvent(
+      vault.on('rename', (file, oldPath) => {
+        this.changedLinkTargets.add(oldPath);
+        this.changedLinkTargets.add(file.path);
+        if (!this.isLive()) {
+          this.queueRemoval(oldPath);
+          if (file.extension === 'md') this.pendingFiles.set(file.path, file);
+          return;
+        }
+        this.renameFile(file, oldPath);
+      })
+    );
+
+    this.plugin.registerEvent(
+      vault.on('delete', (file) => {
+        this.changedLinkTargets.add(file.path);
+        if (!this.isLive()) {
+          this.queueRemoval(file.path);
+          return;
+        }
+        this.removeFile(file.path);
+      })
+    );
+  }
+
+  // Built and not in the middle of a (re)build, so events apply directly
+  isLive() {
+    return this.built && !this.building;
+  }
+
+  queueRemoval(path) {
+    this.pendingFiles.delete(path);
+    this.pendingRemovals.add(path);
+  }
+
+  loadCache(stored) {
+    // Parsed tasks depend on some settings, so a cache written under other
+    // values is discarded too
+    this.cache = stored && stored.version === PARSE_CACHE_VERSION && stored.files &&
+      JSON.stringify(stored.parseSettings) === JSON.stringify(this.getParseSettings())
+      ? stored.files
+      : {};
+  }
+
+  // Settings that change parseFile() output
+  getParseSettings() {
+    const { taskMetadataFormat, includeCalloutTasks } = this.plugin.settings;
+    return { taskMetadataFormat, includeCalloutTasks };
+  }
+
+  serializeCache() {
+    return {
+      version: PARSE_CACHE_VERSION,
+      parseSettings: this.getParseSettings(),
+      files: this.cache
+    };
+  }
+
+  getCachePath() {
+    const { manifest } = this.plugin;
+    const dir = manifest.dir || `${this.app.vault.configDir}/plugins/${manifest.id}`;
+    return normalizePath(`${dir}/${PARSE_CACHE_FILE}`);
+  }
+
+  /**
+   * Load the cache file. `legacy` is a cache stored in data.json by older
+   * versions; it is used when there is no cache file yet.
+   */
+  async readCache(legacy = null) {
+    const { adapter } = this.app.vault;
+    let stored = legacy;
+    try {
+      if (await adapter.exists(this.getCachePath())) {
+        stored = JSON.parse(await adapter.read(this.getCachePath()));
+      }
+    } catch (error) {
+      console.error('PARA Visualizer: could not read the parse cache', error);
     }
+    this.loadCache(stored);
+    this.cacheDirty = false;
   }
 
-  renderTabs(container) {
-    // Scope toggle
-    const scopeToggle = container.createDiv('para-scope-toggle');
-    scopeToggle.style.cssText = 'display: flex; gap: 8px; margin-bottom: 12px; background: var(--background-secondary); padding: 4px; border-radius: 8px; width: fit-content;';
+  async saveCache() {
+    this.cacheDirty = false;
+    try {
+      await this.app.vault.adapter.write(this.getCachePath(), JSON.stringify(this.serializeCache()));
+    } catch (error) {
+      console.error('PARA Visualizer: could not write the parse cache', error);
+    }
+  }
 
-    const vaultBtn = scopeToggle.createEl('button');
-    vaultBtn.textContent = '🗂️ Vault';
-    vaultBtn.style.cssText = `padding: 6px 12px; border: none; border-radius: 6px; cursor: pointer; font-weight: 500; background: ${this.scope === 'vault' ? 'var(--interactive-accent)' : 'transparent'}; color: ${this.scope === 'vault' ? 'var(--text-on-accent)' : 'var(--text-normal)'}`;
-    vaultBtn.addEventListener('click', () => {
-      this.scope = 'vault';
-      this.currentView = 'heatmap'; // Default vault view
-      this.render();
-    });
+  // Note a cache change; it is written once parsing goes quiet
+  markCacheDirty() {
+    this.cacheDirty = true;
+    this.requestCacheSave();
+  }
 
-    const noteBtn = scopeToggle.createEl('button');
-    noteBtn.textContent = '📝 Current Note';
-    noteBtn.style.cssText = `padding: 6px 12px; border: none; border-radius: 6px; cursor: pointer; font-weight: 500; background: ${this.scope === 'note' ? 'var(--interactive-accent)' : 'transparent'}; color: ${this.scope === 'note' ? 'var(--text-on-accent)' : 'var(--text-normal)'}`;
-    noteBtn.addEventListener('click', async () => {
-      this.scope = 'note';
-      this.currentView = 'note-context'; // Default note view
-      await this.updateCurrentNoteData();
-      this.render();
-    });
+  async clearCache() {
+    this.cache = {};
+    await this.saveCache();
 
-    // Tabs based on scope
-    const tabsContainer = container.createDiv('para-visualizer-tabs');
+    // Re-parse everything so the index doesn't keep serving pre-clear results
+    if (this.built) {
+      this.buildPromise = this.build();
+      await this.buildPromise;
+    }
+  }
 
-    let tabs = [];
-    if (this.scope === 'vault') {
-      tabs = [
-        { id: 'heatmap', label: 'Activity Heatmap', icon: '📅' },
-        { id: 'graph', label: 'Knowledge Graph', icon: '🕸️' },
-        { id: 'sankey', label: 'PARA Flow', icon: '🌊' },
-        { id: 'tasks', label: 'Task Analytics', icon: '✅' },
-        { id: 'review', label: 'Review Radar', icon: '📍' },
-        { id: 'pipeline', label: 'Pipeline Timeline', icon: '📈' },
-        { id: 'task-calendar', label: 'Task Load Calendar', icon: '🗓️' },
-        { id: 'tags', label: 'Tag Cloud', icon: '🏷️' },
-        { id: 'stats', label: 'Statistics', icon: '📊' }
-      ];
-    } else {
-      tabs = [
-        { id: 'note-context', label: 'Note Context', icon: '🔍' },
-        { id: 'note-history', label: 'PARA History', icon: '🌊' },
-        { id: 'note-tasks', label: 'Tasks', icon: '✅' }
-      ];
+  /**
+   * Rebuild every note from its cached parse without reading files, e.g. after
+   * settings that affect PARA location inference have changed.
+   */
+  reassemble() {
+    if (!this.built) return;
+
+    for (const path of Array.from(this.records.keys())) {
+      const file = this.app.vault.getAbstractFileByPath(path);
+      const cache = file && this.app.metadataCache.getFileCache(file);
+      const parsed = this.cache[path];
+      if (!cache || !parsed) continue;
+      this.setRecord(path, this.assembleRecord(file, cache, parsed));
+      this.changedPaths.add(path);
     }
 
-    tabs.forEach(tab => {
-      const tabEl = tabsContainer.createDiv('para-visualizer-tab');
-      if (tab.id === this.currentView) {
-        tabEl.addClass('active');
+    this.emitUpdate();
+  }
+
+  setRecord(path, record) {
+    this.records.set(path, record);
+    this.indexLinkTargets(path, Object.keys(this.app.metadataCache.resolvedLinks?.[path] || {}));
+  }
+
+  deleteRecord(path) {
+    this.indexLinkTargets(path, []);
+    return this.records.delete(path);
+  }
+
+  // Keep the target -> sources map in step with a note's resolved links
+  indexLinkTargets(path, targets) {
+    (this.linkTargets.get(path) || []).forEach(target => {
+      const sources = this.linkSources.get(target);
+      if (!sources) return;
+      sources.delete(path);
+      if (sources.size === 0) this.linkSources.delete(target);
+    });
+
+    if (targets.length === 0) {
+      this.linkTargets.delete(path);
+      return;
+    }
+    this.linkTargets.set(path, targets);
+    targets.forEach(target => {
+      if (!this.linkSources.has(target)) this.linkSources.set(target, new Set());
+      this.linkSources.get(target).add(path);
+    });
+  }
+
+  /**
+   * Notes whose links may resolve differently because `targets` were created,
+   * renamed or deleted: those that linked to them when indexed, and those
+   * whose resolved links point at them now.
+   */
+  getLinkSources(targets) {
+    const sources = new Set();
+    targets.forEach(target => {
+      this.linkSources.get(target)?.forEach(source => sources.add(source));
+    });
+
+    const resolvedLinks = this.app.metadataCache.resolvedLinks || {};
+    Object.keys(resolvedLinks).forEach(source => {
+      const resolved = resolvedLinks[source];
+      for (const target of targets) {
+        if (resolved[target] !== undefined) {
+          sources.add(source);
+          break;
+        }
       }
-      tabEl.setText(`${tab.icon} ${tab.label}`);
-      tabEl.addEventListener('click', () => {
-        this.currentView = tab.id;
-        this.render();
-      });
     });
+    return sources;
   }
 
-  renderControls(container) {
-    const controlsContainer = container.createDiv('para-visualizer-controls');
+  /**
+   * Re-read links of the notes affected by created, renamed or deleted files.
+   * Those change what other notes' links resolve to without firing 'changed'
+   * for them.
+   */
+  refreshLinks() {
+    if (this.changedLinkTargets.size === 0) return;
+    const targets = Array.from(this.changedLinkTargets);
+    this.changedLinkTargets.clear();
+
+    for (const path of this.getLinkSources(targets)) {
+      const record = this.records.get(path);
+      if (!record) continue;
+      this.indexLinkTargets(path, Object.keys(this.app.metadataCache.resolvedLinks?.[path] || {}));
+
+      // Edge types only change with the note's own metadata, so they need
+      // re-resolving only if the set of resolved or unresolved links moved
+      const note = record.note;
+      const resolved = Object.keys(this.app.metadataCache.resolvedLinks?.[path] || {})
+        .filter(target => target.endsWith('.md'));
+      const unresolved = Object.keys(this.app.metadataCache.unresolvedLinks?.[path] || {});
+      if (this.sameList(note.links, resolved) && this.sameList(note.unresolvedLinks, unresolved)) continue;
+
+      const { links, linkEdges, unresolvedLinks } = this.getNoteLinks(path, record.references);
+      const edgeKeys = linkEdges.map(edge => `${edge.target}|${edge.type}|${edge.property || ''}`);
+      const oldEdgeKeys = note.linkEdges.map(edge => `${edge.target}|${edge.type}|${edge.property || ''}`);
+      if (this.sameList(oldEdgeKeys, edgeKeys) && this.sameList(note.unresolvedLinks, unresolvedLinks)) continue;
+      note.links = links;
+      note.linkEdges = linkEdges;
+      note.unresolvedLinks = unresolvedLinks;
+      this.changedPaths.add(path);
+    }
 
-    // Date range selector
-    const dateControl = controlsContainer.createDiv('para-visualizer-control');
-    dateControl.createEl('label', { text: 'Time range:' });
-    const dateSelect = dateControl.createEl('select');
-    const ranges = [
-      { value: 30, label: 'Last 30 days' },
-      { value: 90, label: 'Last 90 days' },
-      { value: 180, label: 'Last 6 months' },
-      { value: 365, label: 'Last year' },
-      { value: 9999, label: 'All time' }
+    if (this.changedPaths.size > 0) {
+      this.emitUpdate();
+    }
+  }
+
+  sameList(a, b) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+  }
+
+  /**
+   * The distinct ways a note's metadata references link paths, as
+   * { linkpath, type, property? }. Cached on the record, since it only changes
+   * with the note itself.
+   */
+  getLinkReferences(cache) {
+    const references = [
+      ...(cache?.links || []).map(ref => ({ ref, type: 'link' })),
+      ...(cache?.embeds || []).map(ref => ({ ref, type: 'embed' })),
+      // Keys of list properties are indexed ("related.1"); keep the property name
+      ...(cache?.frontmatterLinks || []).map(ref => ({ ref, type: 'property', property: ref.key.split('.')[0] }))
     ];
-    ranges.forEach(range => {
-      const option = dateSelect.createEl('option', {
-        text: range.label,
-        value: range.value.toString()
-      });
-      if (range.value === this.dateRange) {
-        option.selected = true;
+
+    const seen = new Set();
+    return references.reduce((result, { ref, type, property }) => {
+      const linkpath = getLinkpath(ref.link);
+      const key = `${linkpath}|${type}|${property || ''}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        result.push(property ? { linkpath, type, property } : { linkpath, type });
+      }
+      return result;
+    }, []);
+  }
+
+  /**
+   * Outgoing links of a note as Obsidian resolved them: `links` holds the paths
+   * of linked notes (attachments are skipped), `unresolvedLinks` the link text
+   * of links that don't point at an existing file.
+   *
+   * `linkEdges` types each resolved target by how it is referenced - body
+   * link, embed or frontmatter property - with one edge per distinct kind.
+   * `references` come from getLinkReferences() for the note's metadata.
+   */
+  getNoteLinks(path, references) {
+    const { metadataCache } = this.app;
+    const resolved = metadataCache.resolvedLinks?.[path] || {};
+    const links = Object.keys(resolved).filter(target => target.endsWith('.md'));
+
+    const linkEdges = [];
+    const seen = new Set();
+    const addEdge = (target, type, property) => {
+      const key = `${target}|${type}|${property || ''}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      linkEdges.push(property ? { target, type, property } : { target, type });
+    };
+
+    // Each distinct link path is resolved once
+    const destinations = new Map();
+    references.forEach(({ linkpath, type, property }) => {
+      if (!destinations.has(linkpath)) {
+        destinations.set(linkpath, metadataCache.getFirstLinkpathDest(linkpath, path));
+      }
+      const dest = destinations.get(linkpath);
+      if (dest && resolved[dest.path] !== undefined && dest.path.endsWith('.md')) {
+        addEdge(dest.path, type, property);
       }
-    });
-    dateSelect.addEventListener('change', () => {
-      this.dateRange = parseInt(dateSelect.value);
-      this.render();
     });
 
-    // Refresh button
-    const refreshBtn = controlsContainer.createEl('button', { text: '🔄 Refresh' });
-    refreshBtn.addClass('para-visualizer-control');
-    refreshBtn.addEventListener('click', async () => {
-      await this.collectVaultData();
-      this.render();
-      new Notice('PARA Visualizer refreshed');
+    // Anything Obsidian resolved that we couldn't attribute is a plain link
+    links.forEach(target => {
+      if (!linkEdges.some(edge => edge.target === target)) {
+        addEdge(target, 'link');
+      }
     });
+
+    return {
+      links,
+      linkEdges,
+      unresolvedLinks: Object.keys(metadataCache.unresolvedLinks?.[path] || {})
+    };
   }
 
-  renderHeatmap(container) {
-    const statsPanel = container.createDiv('para-stats-panel');
+  getCachedParse(file) {
+    const entry = this.cache[file.path];
+    if (!entry) return null;
+    if (entry.mtime !== file.stat.mtime || entry.size !== file.stat.size) return null;
+    return entry;
+  }
 
-    // Calculate stats
-    const totalNotes = this.vaultData.notes.length;
-    const recentNotes = this.vaultData.notes.filter(n =>
-      (Date.now() - n.modified) < (this.dateRange * 24 * 60 * 60 * 1000)
-    ).length;
+  /**
+   * Resolves once the initial full scan has completed.
+   */
+  whenReady() {
+    if (!this.buildPromise) {
+      this.buildPromise = this.build();
+    }
+    return this.buildPromise;
+  }
 
-    // Render stat cards
-    Object.entries(this.vaultData.paraLocations).forEach(([location, notes]) => {
-      const card = statsPanel.createDiv('para-stat-card');
-      const value = card.createDiv('para-stat-value');
-      value.setText(notes.length.toString());
-      value.style.color = PARA_COLORS[location];
-      const label = card.createDiv('para-stat-label');
-      label.setText(location.toUpperCase());
+  async build() {
+    // The snapshot covers everything queued so far; events that arrive while
+    // it is being parsed are queued again and applied below
+    this.building = true;
+    this.pendingFiles.clear();
+    this.pendingRemovals.clear();
+
+    const files = this.app.vault.getMarkdownFiles();
+    this.records.clear();
+    this.linkTargets.clear();
+    this.linkSources.clear();
+
+    try {
+      for (const file of files) {
+        const record = await this.buildRecord(file);
+        if (record) {
+          this.setRecord(file.path, record);
+        }
+      }
+    } finally {
+      this.building = false;
+    }
+
+    // Files deleted or renamed away after the snapshot was taken
+    this.pendingRemovals.forEach(path => {
+      if (!this.app.vault.getAbstractFileByPath(path)) {
+        this.deleteRecord(path);
+      }
     });
+    this.pendingRemovals.clear();
 
-    // Render heatmap for each PARA location
-    const heatmapContainer = container.createDiv('para-heatmap');
+    // Drop cache entries for files that no longer exist
+    Object.keys(this.cache).forEach(path => {
+      if (!this.records.has(path)) {
+        delete this.cache[path];
+        this.cacheDirty = true;
+      }
+    });
 
-    Object.entries(this.vaultData.paraLocations).forEach(([location, notes]) => {
-      if (notes.length === 0) return;
+    this.built = true;
+    this.dirty = true;
+    if (this.cacheDirty) this.markCacheDirty();
+    this.trigger('updated', files.map(file => file.path));
 
-      const section = heatmapContainer.createDiv('para-heatmap-section');
+    // Notes edited, created or renamed in while the build ran
+    if (this.pendingFiles.size > 0) {
+      await this.flush();
+    }
+  }
 
-      const header = section.createEl('h3');
-      const badge = header.createSpan('para-location-badge');
-      badge.addClass(location);
-      badge.setText(location.toUpperCase());
-      header.appendText(` (${notes.length} notes)`);
+  async flush() {
+    if (this.pendingFiles.size === 0) return;
 
-      // Build activity map for this location
-      const activityMap = new Map();
-      const cutoffDate = Date.now() - (this.dateRange * 24 * 60 * 60 * 1000);
+    const files = Array.from(this.pendingFiles.values());
+    this.pendingFiles.clear();
 
-      notes.forEach(note => {
-        if (note.modified >= cutoffDate) {
-          const date = new Date(note.modified).toISOString().split('T')[0];
-          if (!activityMap.has(date)) {
-            activityMap.set(date, []);
-          }
-          activityMap.get(date).push(note);
-        }
-      });
+    for (const file of files) {
+      // The file may have been deleted or renamed while it was queued
+      if (this.app.vault.getAbstractFileByPath(file.path) !== file) continue;
+
+      const record = await this.buildRecord(file);
+      if (record) {
+        this.setRecord(file.path, record);
+      } else {
+        this.deleteRecord(file.path);
+      }
+      this.changedPaths.add(file.path);
+    }
 
-      // Calculate max activity for scaling
-      const maxActivity = Math.max(...Array.from(activityMap.values()).map(arr => arr.length), 1);
+    this.emitUpdate();
+  }
 
-      // Generate date range
-      const grid = section.createDiv('para-heatmap-grid');
-      const today = new Date();
-      for (let i = this.dateRange - 1; i >= 0; i--) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        const dateStr = date.toISOString().split('T')[0];
+  renameFile(file, oldPath) {
+    this.deleteRecord(oldPath);
+    this.changedPaths.add(oldPath);
 
-        const count = activityMap.get(dateStr)?.length || 0;
-        const level = Math.min(4, Math.floor((count / maxActivity) * 4));
+    // Content is unchanged by a rename, so the cached parse moves with the file
+    const parsed = this.cache[oldPath];
+    delete this.cache[oldPath];
+    if (parsed) this.markCacheDirty();
 
-        const cell = grid.createDiv('para-heatmap-cell');
-        cell.addClass(`level-${level}`);
-        cell.style.backgroundColor = PARA_COLORS[location];
+    if (this.pendingFiles.has(oldPath)) {
+      this.pendingFiles.delete(oldPath);
+      this.pendingFiles.set(file.path, file);
+    }
 
-        // Tooltip on hover
-        cell.setAttribute('title', `${dateStr}: ${count} notes`);
+    if (file.extension !== 'md') {
+      this.emitUpdate();
+      return;
+    }
 
-        // Click to show notes
-        if (count > 0) {
-          cell.addEventListener('click', () => {
-            const notesList = activityMap.get(dateStr)
-              .map(n => n.basename)
-              .join('\n');
-            new Notice(`Notes on ${dateStr}:\n${notesList}`, 5000);
-          });
-          cell.style.cursor = 'pointer';
-        }
-      }
-    });
+    const cache = this.app.metadataCache.getFileCache(file);
+    if (!parsed || !cache) {
+      // Nothing to carry over (e.g. a file renamed to .md) - parse it fresh
+      this.pendingFiles.set(file.path, file);
+      this.requestFlush();
+      this.emitUpdate();
+      return;
+    }
+
+    this.cache[file.path] = parsed;
+    this.setRecord(file.path, this.assembleRecord(file, cache, parsed));
+    this.changedPaths.add(file.path);
+    this.emitUpdate();
   }
 
-  renderGraph(container) {
-    const graphContainer = container.createDiv('para-graph-container');
-    const canvas = graphContainer.createEl('canvas', { cls: 'para-graph-canvas' });
+  removeFile(path) {
+    this.pendingFiles.delete(path);
+    if (this.cache[path]) {
+      delete this.cache[path];
+      this.markCacheDirty();
+    }
+    if (!this.deleteRecord(path)) return;
+    this.changedPaths.add(path);
+    this.emitUpdate();
+  }
 
-    // Legend
-    const legend = graphContainer.createDiv('para-graph-legend');
-    legend.createEl('strong', { text: 'PARA Locations' });
-    Object.entries(PARA_COLORS).forEach(([location, color]) => {
-      const item = legend.createDiv('para-graph-legend-item');
-      const colorBox = item.createDiv('para-graph-legend-color');
-      colorBox.style.backgroundColor = color;
-      item.createSpan({ text: location.charAt(0).toUpperCase() + location.slice(1) });
-    });
+  emitUpdate() {
+    this.dirty = true;
+    const paths = Array.from(this.changedPaths);
+    this.changedPaths.clear();
+    this.trigger('updated', paths);
+  }
 
-    // Draw graph using Canvas API
-    const ctx = canvas.getContext('2d');
-    const width = canvas.width = canvas.offsetWidth * window.devicePixelRatio;
-    const height = canvas.height = canvas.offsetHeight * window.devicePixelRatio;
-    ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+  getRecord(path) {
+    return this.records.get(path) || null;
+  }
 
-    const displayWidth = canvas.offsetWidth;
-    const displayHeight = canvas.offsetHeight;
+  getNote(path) {
+    return this.records.get(path)?.note || null;
+  }
 
-    // Filter notes by date range
-    const cutoffDate = Date.now() - (this.dateRange * 24 * 60 * 60 * 1000);
-    const filteredNotes = this.vaultData.notes.filter(n => n.modified >= cutoffDate);
+  /**
+   * Aggregated vault data in the shape every renderer expects. With filters,
+   * only matching notes (and their tasks and links) are aggregated.
+   */
+  getData(filters = null) {
+    if (this.dirty || !this.data) {
+      this.data = this.aggregate(this.records.values());
+      this.filteredData.clear();
+      this.dirty = false;
+    }
+    if (!this.hasActiveFilters(filters)) {
+      return this.data;
+    }
 
-    if (filteredNotes.length === 0) {
-      const empty = container.createDiv('para-empty');
-      empty.createDiv('para-empty-icon').setText('📭');
-      empty.createDiv('para-empty-message').setText('No notes found in selected time range');
-      return;
+    const key = JSON.stringify(filters);
+    if (!this.filteredData.has(key)) {
+      const records = Array.from(this.records.values())
+        .filter(record => this.matchesFilters(record.note, filters));
+      this.filteredData.set(key, this.aggregate(records));
     }
+    return this.filteredData.get(key);
+  }
 
-    // Create force-directed layout (simplified)
-    const nodes = filteredNotes.map((note, i) => ({
-      id: note.path,
-      label: note.basename,
-      para: note.paraLocation,
-      x: Math.random() * displayWidth,
-      y: Math.random() * displayHeight,
-      vx: 0,
-      vy: 0,
-      links: note.links
-    }));
+  hasActiveFilters(filters) {
+    if (!filters) return false;
+    return !!(filters.folder || filters.title ||
+      filters.tags.length || filters.excludeTags.length || filters.locations.length);
+  }
 
-    const nodeMap = new Map(nodes.map(n => [n.id, n]));
+  matchesFilters(note, filters) {
+    const folder = this.normalizeFolderPrefix(filters.folder);
+    if (folder && !note.path.toLowerCase().startsWith(folder)) return false;
 
-    // Build edges
-    const edges = [];
-    this.vaultData.links.forEach(link => {
-      const source = nodeMap.get(link.source);
-      const target = nodeMap.get(link.target);
-      if (source && target) {
-        edges.push({ source, target });
+    if (filters.title && !note.basename.toLowerCase().includes(filters.title.trim().toLowerCase())) {
+      return false;
+    }
+
+    if (filters.locations.length && !filters.locations.includes(note.paraLocation)) return false;
+
+    // #client matches #client and #client/acme
+    const noteTags = note.tags.map(tag => tag.toLowerCase());
+    const hasTag = tag => {
+      const wanted = tag.replace(/^#/, '').toLowerCase();
+      return noteTags.some(noteTag => noteTag === wanted || noteTag.startsWith(`${wanted}/`));
+    };
+    if (filters.tags.length && !filters.tags.some(hasTag)) return false;
+    if (filters.excludeTags.some(hasTag)) return false;
+
+    return true;
+  }
+
+  aggregate(records) {
+    records = Array.from(records);
+
+    // Configured locations in their user-defined order, followed by any location
+    // found in notes but missing from settings so those notes are never dropped
+    const locationIds = this.plugin.settings.locations.map(loc => loc.id);
+    records.forEach(({ note }) => {
+      if (note.paraLocation !== 'unknown' && !locationIds.includes(note.paraLocation)) {
+        locationIds.push(note.paraLocation);
       }
     });
 
-    // Simple force simulation
-    const simulate = () => {
-      // Apply forces
-      const centerX = displayWidth / 2;
-      const centerY = displayHeight / 2;
-      const repulsion = 100;
-      const linkDistance = 50;
+    const data = {
+      notes: [],
+      tags: new Map(),
+      paraLocations: {}, // location -> notes, in taxonomy order
+      activity: new Map(), // date -> count
+      links: [], // { source, target, type, property? } - target is a note path
+      unresolvedLinks: [], // { source, target } - target is the link text
+      tasks: {
+        all: [],
+        byDate: new Map(), // completion date -> tasks
+        byPara: {} // location -> { open, inProgress, completed, cancelled }; inProgress is part of open
+      }
+    };
 
-      // Repulsion between nodes
-      for (let i = 0; i < nodes.length; i++) {
-        for (let j = i + 1; j < nodes.length; j++) {
-          const dx = nodes[j].x - nodes[i].x;
-          const dy = nodes[j].y - nodes[i].y;
-          const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-          const force = repulsion / (dist * dist);
-          const fx = (dx / dist) * force;
-          const fy = (dy / dist) * force;
-          nodes[i].vx -= fx;
-          nodes[i].vy -= fy;
-          nodes[j].vx += fx;
-          nodes[j].vy += fy;
-        }
-      }
+    locationIds.forEach(location => {
+      data.paraLocations[location] = [];
+      data.tasks.byPara[location] = { open: 0, inProgress: 0, completed: 0, cancelled: 0 };
+    });
 
-      // Attraction along edges
-      edges.forEach(edge => {
-        const dx = edge.target.x - edge.source.x;
-        const dy = edge.target.y - edge.source.y;
-        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-        const force = (dist - linkDistance) * 0.01;
-        const fx = (dx / dist) * force;
-        const fy = (dy / dist) * force;
-        edge.source.vx += fx;
-        edge.source.vy += fy;
-        edge.target.vx -= fx;
-        edge.target.vy -= fy;
-      });
+    for (const { note, tasks } of records) {
+      const paraLocation = note.paraLocation;
 
-      // Center attraction
-      nodes.forEach(node => {
-        const dx = centerX - node.x;
-        const dy = centerY - node.y;
-        node.vx += dx * 0.001;
-        node.vy += dy * 0.001;
-      });
+      data.notes.push(note);
 
-      // Update positions with damping
-      nodes.forEach(node => {
-        node.x += node.vx;
-        node.y += node.vy;
-        node.vx *= 0.9;
-        node.vy *= 0.9;
+      note.linkEdges.forEach(edge => {
+        data.links.push({
+          source: note.path,
+          ...edge
+        });
+      });
 
-        // Keep in bounds
-        node.x = Math.max(20, Math.min(displayWidth - 20, node.x));
-        node.y = Math.max(20, Math.min(displayHeight - 20, node.y));
+      note.unresolvedLinks.forEach(link => {
+        data.unresolvedLinks.push({
+          source: note.path,
+          target: link
+        });
       });
-    };
 
-    const draw = () => {
-      ctx.clearRect(0, 0, displayWidth, displayHeight);
+      // Track PARA location
+      if (data.paraLocations[paraLocation]) {
+        data.paraLocations[paraLocation].push(note);
+      }
 
-      // Draw edges
-      ctx.strokeStyle = 'rgba(128, 128, 128, 0.2)';
-      ctx.lineWidth = 1;
-      edges.forEach(edge => {
-        ctx.beginPath();
-        ctx.moveTo(edge.source.x, edge.source.y);
-        ctx.lineTo(edge.target.x, edge.target.y);
-        ctx.stroke();
+      // Track tags
+      note.tags.forEach(tag => {
+        if (!data.tags.has(tag)) {
+          data.tags.set(tag, []);
+        }
+        data.tags.get(tag).push(note);
       });
 
-      // Draw nodes
-      nodes.forEach(node => {
-        const color = PARA_COLORS[node.para] || '#999';
-        const size = Math.min(8, Math.max(4, node.links.length + 3));
+      // Track activity by date
+      const modDate = toDateKey(note.modified);
+      data.activity.set(modDate, (data.activity.get(modDate) || 0) + 1);
 
-        ctx.fillStyle = color;
-        ctx.beginPath();
-        ctx.arc(node.x, node.y, size, 0, Math.PI * 2);
-        ctx.fill();
+      tasks.forEach(task => {
+        data.tasks.all.push(task);
 
-        // Label for larger nodes
-        if (node.links.length > 3) {
-          ctx.fillStyle = '#fff';
-          ctx.font = '10px sans-serif';
-          ctx.textAlign = 'center';
-          ctx.fillText(node.label.substring(0, 15), node.x, node.y - 12);
+        // Track by PARA location
+        if (data.tasks.byPara[paraLocation]) {
+          const counts = data.tasks.byPara[paraLocation];
+          if (task.completed) {
+            counts.completed++;
+
+            // Track by completion date
+            if (task.completionDate) {
+              if (!data.tasks.byDate.has(task.completionDate)) {
+                data.tasks.byDate.set(task.completionDate, []);
+              }
+              data.tasks.byDate.get(task.completionDate).push(task);
+            }
+          } else if (isOpenTask(task)) {
+            counts.open++;
+            if (task.status === 'in-progress') counts.inProgress++;
+          } else {
+            counts.cancelled++;
+          }
         }
       });
-    };
+    }
 
-    // Animation loop
-    let iterations = 0;
-    const animate = () => {
-      if (iterations < 100) {
-        simulate();
-        draw();
-        iterations++;
-        requestAnimationFrame(animate);
-      } else {
-        draw(); // Final draw
-      }
-    };
+    return data;
+  }
 
-    animate();
+  async buildRecord(file) {
+    const cache = this.app.metadataCache.getFileCache(file);
+    if (!cache) return null;
 
-    // Click handling
-    canvas.addEventListener('click', (e) => {
-      const rect = canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
-
-      for (const node of nodes) {
-        const dx = x - node.x;
-        const dy = y - node.y;
-        if (Math.sqrt(dx * dx + dy * dy) < 10) {
-          this.app.workspace.openLinkText(node.id, '', false);
-          break;
-        }
+    let parsed = this.getCachedParse(file);
+    if (!parsed) {
+      parsed = await this.parseFile(file, cache);
+      if (parsed.tasks) {
+        this.cache[file.path] = parsed;
+        this.markCacheDirty();
       }
-    });
-  }
-
-  renderSankey(container) {
-    const sankeyContainer = container.createDiv('para-sankey-container');
+    }
 
-    // Calculate PARA flow based on note age and location
-    // Assumptions about flow patterns:
-    // - Notes created in inbox -> likely moved to projects/areas/resources
-    // - Notes in projects for >90 days -> likely moved to archive
-    // - Notes can move: inbox->projects->archive or inbox->areas (ongoing)
+    return this.assembleRecord(file, cache, parsed);
+  }
 
-    const cutoffDate = Date.now() - (this.dateRange * 24 * 60 * 60 * 1000);
-    const filteredNotes = this.vaultData.notes.filter(n => n.created >= cutoffDate);
+  assembleRecord(file, cache, parsed) {
+    const references = this.getLinkReferences(cache);
+    const note = this.buildNote(file, cache, parsed, references);
+    const tasks = (parsed.tasks || []).map(task => ({
+      file: file.path,
+      fileName: file.basename,
+      paraLocation: note.paraLocation,
+      ...task
+    }));
+    return { note, tasks, references };
+  }
 
-    if (filteredNotes.length === 0) {
-      const empty = container.createDiv('para-empty');
-      empty.createDiv('para-empty-icon').setText('🌊');
-      empty.createDiv('para-empty-message').setText('No notes found in selected time range');
-      return;
+  /**
+   * Parse the cacheable, content-derived parts of a note.
+   * `tasks` is null when the file could not be read.
+   */
+  async parseFile(file, cache) {
+    // Extract tags (both frontmatter and inline)
+    const noteTags = new Set();
+    if (cache.frontmatter?.tags) {
+      const tags = Array.isArray(cache.frontmatter.tags)
+        ? cache.frontmatter.tags
+        : [cache.frontmatter.tags];
+      tags.forEach(tag => noteTags.add(tag));
+    }
+    if (cache.tags) {
+      cache.tags.forEach(tagCache => {
+        const tag = tagCache.tag.replace('#', '');
+        noteTags.add(tag);
+      });
     }
 
-    // Build flow data
-    // Since we don't have historical location tracking, we'll estimate flows based on:
-    // 1. Current distribution
-    // 2. Note age vs location (older notes in archive suggests flow)
-    // 3. Creation vs modification patterns
+    return {
+      mtime: file.stat.mtime,
+      size: file.stat.size,
+      tags: Array.from(noteTags),
+      reviewInterval: this.getReviewIntervalFromFrontmatter(cache.frontmatter),
+      tasks: await this.parseTasksFromFile(file, cache)
+    };
+  }
 
-    const flowData = this.calculatePARAFlows(filteredNotes);
+  buildNote(file, cache, parsed, references) {
+    const { location: paraLocation, source: paraSource } = this.resolveParaLocation(file, cache);
 
-    // Stats panel
-    const statsPanel = sankeyContainer.createDiv('para-sankey-stats');
-    statsPanel.createEl('h3', { text: 'PARA Flow Analysis' });
+    // Extract PARA history if available
+    const paraHistory = cache.frontmatter?.para_history || [];
 
-    const statsGrid = statsPanel.createDiv('para-stats-panel');
+    const { links, linkEdges, unresolvedLinks } = this.getNoteLinks(file.path, references);
 
-    const totalFlow = Object.values(flowData.flows).reduce((sum, val) => sum + val, 0);
+    // Build note object
+    return {
+      path: file.path,
+      basename: file.basename,
+      paraLocation: paraLocation,
+      paraSource: paraSource, // 'frontmatter', 'folder' or null
+      paraHistory: paraHistory, // Array of {from, to, date, timestamp}
+      tags: parsed.tags.slice(),
+      created: file.stat.ctime,
+      modified: file.stat.mtime,
+      size: file.stat.size,
+      links: links, // Paths of linked notes
+      linkEdges: linkEdges, // Array of {target, type, property?}
+      unresolvedLinks: unresolvedLinks, // Link text of links without a target
+      reviewInterval: parsed.reviewInterval
+    };
+  }
 
-    // Key metrics
-    const dataAccuracy = flowData.historyCount > 0
-      ? `${Math.round((flowData.historyCount / (flowData.historyCount + flowData.estimateCount)) * 100)}%`
-      : '0%';
+  /**
+   * Determine a note's PARA location from the `para` frontmatter key and the
+   * configured folder rules, in the order given by the paraSource setting.
+   */
+  resolveParaLocation(file, cache) {
+    const rawPara = cache.frontmatter?.para;
+    const fromFrontmatter = typeof rawPara === 'string' && rawPara.trim()
+      ? rawPara.trim().toLowerCase()
+      : null;
+    const fromFolder = this.getFolderLocation(file.path);
+
+    const candidates = this.plugin.settings.paraSource === 'folder'
+      ? [['folder', fromFolder], ['frontmatter', fromFrontmatter]]
+      : [['frontmatter', fromFrontmatter], ['folder', fromFolder]];
+
+    for (const [source, location] of candidates) {
+      if (location) {
+        return { location, source };
+      }
+    }
+    return { location: 'unknown', source: null };
+  }
 
-    const metrics = [
-      { label: 'Total Flow Events', value: totalFlow },
-      { label: 'Active Projects', value: flowData.activeProjects },
-      { label: 'Archived Notes', value: flowData.archivedNotes },
-      { label: 'Avg. Project Duration', value: `${flowData.avgProjectDuration} days` },
-      { label: 'Data Accuracy', value: dataAccuracy, tooltip: `${flowData.historyCount} with history, ${flowData.estimateCount} estimated` }
-    ];
+  getFolderLocation(path) {
+    const lowerPath = path.toLowerCase();
+    let best = null;
 
-    metrics.forEach(metric => {
-      const card = statsGrid.createDiv('para-stat-card');
-      if (metric.tooltip) {
-        card.setAttribute('title', metric.tooltip);
+    this.plugin.settings.folderRules.forEach(rule => {
+      const prefix = this.normalizeFolderPrefix(rule.prefix);
+      if (!prefix || !rule.location) return;
+      if (!lowerPath.startsWith(prefix)) return;
+      if (!best || prefix.length > best.prefix.length) {
+        best = { prefix, location: rule.location };
       }
-      card.createDiv('para-stat-value').setText(metric.value.toString());
-      card.createDiv('para-stat-label').setText(metric.label);
     });
 
-    // Canvas for Sankey diagram
-    const canvas = sankeyContainer.createEl('canvas', { cls: 'para-sankey-canvas' });
-    const ctx = canvas.getContext('2d');
-    const width = canvas.width = canvas.offsetWidth * window.devicePixelRatio;
-    const height = canvas.height = 600 * window.devicePixelRatio;
-    ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+    return best ? best.location : null;
+  }
 
-    const displayWidth = canvas.offsetWidth;
-    const displayHeight = 600;
+  normalizeFolderPrefix(prefix) {
+    if (!prefix || typeof prefix !== 'string') return '';
+    const trimmed = prefix.trim().replace(/^\/+/, '').toLowerCase();
+    if (!trimmed) return '';
+    return trimmed.endsWith('/') ? trimmed : `${trimmed}/`;
+  }
 
-    // Sankey layout
-    const nodes = [
-      // Left column (sources)
-      { id: 'inbox-source', label: 'Inbox', para: 'inbox', x: 80, y: displayHeight / 2, width: 60, height: 0 },
+  /**
+   * Parse the tasks of a note. Task lines come from the metadata cache's list
+   * items, so checkboxes in code blocks and frontmatter are never counted, and
+   * each task records its parent/child tasks and the heading it lives under.
+   * Tasks don't carry the file/PARA fields: those are stamped on by
+   * assembleRecord so cached results stay valid across renames and moves.
+   * Returns null if the file could not be read.
+   */
+  async parseTasksFromFile(file, cache) {
+    const tasks = [];
 
-      // Middle column (active work)
-      { id: 'projects', label: 'Projects', para: 'projects', x: displayWidth / 2 - 80, y: displayHeight * 0.25, width: 60, height: 0 },
-      { id: 'areas', label: 'Areas', para: 'areas', x: displayWidth / 2 - 80, y: displayHeight * 0.5, width: 60, height: 0 },
-      { id: 'resources', label: 'Resources', para: 'resources', x: displayWidth / 2 - 80, y: displayHeight * 0.75, width: 60, height: 0 },
+    try {
+      const content = await this.app.vault.cachedRead(file);
+      const lines = content.split('\n');
 
-      // Right column (destination)
-      { id: 'archive', label: 'Archive', para: 'archive', x: displayWidth - 140, y: displayHeight / 2, width: 60, height: 0 }
-    ];
+      // Regex for Obsidian Tasks format
+      // Matches: - [ ] task, * [x] task, + [/] task, 1. [-] task, 2) [>] task
+      const taskRegex = /^\s*([-*+]|\d+[.)])\s+\[(.)\]\s+(.+)$/;
 
-    // Calculate node heights based on flows
-    const nodeFlows = {
-      'inbox-source': flowData.flows['inbox->projects'] + flowData.flows['inbox->areas'] + flowData.flows['inbox->resources'],
-      'projects': flowData.flows['inbox->projects'] + flowData.flows['projects->archive'],
-      'areas': flowData.flows['inbox->areas'],
-      'resources': flowData.flows['inbox->resources'],
-      'archive': flowData.flows['projects->archive'] + flowData.flows['areas->archive'] + flowData.flows['resources->archive']
-    };
+      const preferDataview = this.plugin.settings.taskMetadataFormat === 'dataview';
+      const taskLines = this.getTaskLines(lines, cache);
 
-    const maxFlow = Math.max(...Object.values(nodeFlows), 1);
-    const minHeight = 40;
-    const maxHeight = displayHeight * 0.4;
+      taskLines.forEach(({ line: lineNum, parentLine, heading }) => {
+        // Tasks in callouts and quotes carry the "> " prefix on every line
+        const match = lines[lineNum].replace(/^(\s*>)+/, '').match(taskRegex);
+        if (match) {
+          const statusSymbol = match[2];
+          const status = TASK_STATUSES[statusSymbol] || 'open';
 
-    nodes.forEach(node => {
-      const flow = nodeFlows[node.id] || 0;
-      node.height = Math.max(minHeight, (flow / maxFlow) * maxHeight);
-    });
+          // Both formats are read; the preferred one wins field by field
+          const emoji = this.extractTaskEmojiFields(match[3]);
+          const inline = this.extractTaskInlineFields(emoji.text);
+          const [preferred, fallback] = preferDataview
+            ? [inline.fields, emoji.fields]
+            : [emoji.fields, inline.fields];
 
-    // Define flows (edges)
-    const flows = [
-      { source: 'inbox-source', target: 'projects', value: flowData.flows['inbox->projects'] },
-      { source: 'inbox-source', target: 'areas', value: flowData.flows['inbox->areas'] },
-      { source: 'inbox-source', target: 'resources', value: flowData.flows['inbox->resources'] },
-      { source: 'projects', target: 'archive', value: flowData.flows['projects->archive'] },
-      { source: 'areas', target: 'archive', value: flowData.flows['areas->archive'] },
-      { source: 'resources', target: 'archive', value: flowData.flows['resources->archive'] }
-    ].filter(flow => flow.value > 0);
-
-    // Draw flows (curved paths)
-    flows.forEach(flow => {
-      const sourceNode = nodes.find(n => n.id === flow.source);
-      const targetNode = nodes.find(n => n.id === flow.target);
-
-      const flowHeight = (flow.value / maxFlow) * maxHeight * 0.8;
-
-      // Calculate bezier curve
-      const x1 = sourceNode.x + sourceNode.width;
-      const y1 = sourceNode.y;
-      const x2 = targetNode.x;
-      const y2 = targetNode.y;
-      const cx1 = x1 + (x2 - x1) * 0.5;
-      const cx2 = x2 - (x2 - x1) * 0.5;
-
-      // Draw gradient flow
-      const gradient = ctx.createLinearGradient(x1, y1, x2, y2);
-      gradient.addColorStop(0, PARA_COLORS[sourceNode.para] + 'aa');
-      gradient.addColorStop(1, PARA_COLORS[targetNode.para] + 'aa');
-
-      ctx.fillStyle = gradient;
-      ctx.strokeStyle = gradient;
-      ctx.lineWidth = flowHeight;
-      ctx.lineCap = 'round';
+          const task = {
+            line: lineNum + 1,
+            marker: match[1],
+            statusSymbol: statusSymbol,
+            status: status, // 'open', 'in-progress', 'done', 'cancelled' or 'deferred'
+            text: inline.text,
+            completed: status === 'done',
+            priority: preferred.priority || fallback.priority || 'none',
+            recurrence: preferred.recurrence || fallback.recurrence || null,
+            parentLine: parentLine === null ? null : parentLine + 1, // Nearest enclosing task
+            childLines: [],
+            heading: heading ? heading.heading : null, // Heading the task lives under
+            headingLine: heading ? heading.position.start.line + 1 : null
+          };
 
-      ctx.beginPath();
-      ctx.moveTo(x1, y1);
-      ctx.bezierCurveTo(cx1, y1, cx2, y2, x2, y2);
-      ctx.stroke();
+          TASK_DATE_FIELDS.forEach(({ field }) => {
+            task[field] = preferred[field] || fallback[field] || null;
+          });
 
-      // Draw flow label
-      const midX = (x1 + x2) / 2;
-      const midY = (y1 + y2) / 2;
-      if (flow.value > 0) {
-        ctx.fillStyle = '#333';
-        ctx.font = 'bold 12px sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText(flow.value.toString(), midX, midY - 5);
+          // Calculate task age if completed
+          if (task.completed && task.completionDate && task.createdDate) {
+            const created = parseDate(task.createdDate);
+            const completed = parseDate(task.completionDate);
+            if (created && completed) {
+              task.ageInDays = daysBetween(created, completed);
+            }
+          }
+
+          tasks.push(task);
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to parse tasks from ${file.path}:`, error);
+      return null;
+    }
+
+    // Link children to their parents (parents that failed to parse are dropped)
+    const byLine = new Map(tasks.map(task => [task.line, task]));
+    tasks.forEach(task => {
+      const parent = byLine.get(task.parentLine);
+      if (parent) {
+        parent.childLines.push(task.line);
+      } else {
+        task.parentLine = null;
       }
     });
 
-    // Draw nodes
-    nodes.forEach(node => {
-      const color = PARA_COLORS[node.para];
+    return tasks;
+  }
 
-      // Node rectangle
-      ctx.fillStyle = color;
-      ctx.fillRect(node.x, node.y - node.height / 2, node.width, node.height);
+  /**
+   * Candidate task lines (0-based) with their nearest parent task line and the
+   * heading above them, taken from the metadata cache's list items and sections.
+   */
+  getTaskLines(lines, cache) {
+    const headings = cache?.headings || [];
+    const headingAt = line => {
+      let current = null;
+      for (const heading of headings) {
+        if (heading.position.start.line >= line) break;
+        current = heading;
+      }
+      return current;
+    };
 
-      // Node border
-      ctx.strokeStyle = '#fff';
-      ctx.lineWidth = 2;
-      ctx.strokeRect(node.x, node.y - node.height / 2, node.width, node.height);
+    // Blocks whose checkboxes aren't real tasks
+    const skippedTypes = ['code', 'yaml'];
+    if (!this.plugin.settings.includeCalloutTasks) skippedTypes.push('callout');
+    const skipped = (cache?.sections || []).filter(section => skippedTypes.includes(section.type));
+    const isSkipped = line => skipped.some(section =>
+      line >= section.position.start.line && line <= section.position.end.line
+    );
+
+    if (!cache?.listItems) {
+      return this.scanTaskLines(lines, isSkipped, headingAt);
+    }
 
-      // Node label
-      ctx.fillStyle = '#333';
-      ctx.font = 'bold 14px sans-serif';
-      ctx.textAlign = node.x < displayWidth / 2 ? 'left' : 'right';
-      const labelX = node.x < displayWidth / 2 ? node.x - 10 : node.x + node.width + 10;
-      ctx.fillText(node.label, labelX, node.y + 5);
+    const itemsByLine = new Map(cache.listItems.map(item => [item.position.start.line, item]));
+    const result = [];
 
-      // Flow count
-      ctx.font = '11px sans-serif';
-      ctx.textAlign = 'center';
-      ctx.fillStyle = '#fff';
-      const count = nodeFlows[node.id] || 0;
-      if (count > 0) {
-        ctx.fillText(count.toString(), node.x + node.width / 2, node.y + 5);
+    cache.listItems.forEach(item => {
+      if (item.task === undefined) return;
+      const line = item.position.start.line;
+      if (isSkipped(line)) return;
+
+      // A negative parent means a top-level item; walk up past plain list items
+      let parentLine = null;
+      let parent = item.parent >= 0 ? itemsByLine.get(item.parent) : null;
+      while (parent) {
+        if (parent.task !== undefined) {
+          parentLine = parent.position.start.line;
+          break;
+        }
+        parent = parent.parent >= 0 ? itemsByLine.get(parent.parent) : null;
       }
+
+      result.push({ line, parentLine, heading: headingAt(line) });
     });
 
-    // Insights section
-    const insights = sankeyContainer.createDiv('para-sankey-insights');
-    insights.createEl('h3', { text: 'Insights & Patterns' });
+    return result;
+  }
 
-    const insightsList = insights.createEl('ul');
-    insightsList.style.paddingLeft = '20px';
-    insightsList.style.lineHeight = '1.8';
+  /**
+   * Fallback when the metadata cache has no list items: scan the raw lines,
+   * skipping frontmatter and fenced code, and nest tasks by indentation.
+   */
+  scanTaskLines(lines, isSkipped, headingAt) {
+    const result = [];
+    const stack = []; // { indent, line } of enclosing tasks
+    let inFence = false;
+    let inFrontmatter = lines[0] === '---';
+
+    lines.forEach((text, line) => {
+      if (inFrontmatter) {
+        if (line > 0 && text === '---') inFrontmatter = false;
+        return;
+      }
+      if (/^\s*(```|~~~)/.test(text)) {
+        inFence = !inFence;
+        return;
+      }
+      if (inFence || isSkipped(line)) return;
 
-    // Generate insights
-    const totalNotes = filteredNotes.length;
-    const inboxPct = ((nodeFlows['inbox-source'] / totalNotes) * 100).toFixed(0);
-    const archivePct = ((nodeFlows['archive'] / totalNotes) * 100).toFixed(0);
+      const match = text.match(/^(\s*)(?:[-*+]|\d+[.)])\s+\[.\]\s/);
+      if (!match) return;
 
-    if (flowData.flows['inbox->projects'] > flowData.flows['inbox->areas']) {
-      insightsList.createEl('li', { text: `Most inbox items become projects (${flowData.flows['inbox->projects']} notes)` });
-    } else {
-      insightsList.createEl('li', { text: `Most inbox items become ongoing areas (${flowData.flows['inbox->areas']} notes)` });
-    }
+      const indent = match[1].replace(/\t/g, '    ').length;
+      while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+      result.push({
+        line,
+        parentLine: stack.length ? stack[stack.length - 1].line : null,
+        heading: headingAt(line)
+      });
+      stack.push({ indent, line });
+    });
 
-    if (flowData.flows['projects->archive'] > totalNotes * 0.1) {
-      insightsList.createEl('li', { text: `Good completion rate: ${flowData.flows['projects->archive']} projects archived` });
-    } else {
-      insightsList.createEl('li', { text: 'Projects tend to stay active longer than average' });
-    }
+    return result;
+  }
 
-    if (flowData.avgProjectDuration < 30) {
-      insightsList.createEl('li', { text: 'Fast project turnaround (< 1 month average)' });
-    } else if (flowData.avgProjectDuration > 90) {
-      insightsList.createEl('li', { text: 'Long-term projects (> 3 months average)' });
+  /**
+   * Pull Obsidian Tasks emoji signifiers out of a task's text.
+   * Returns the structured fields and the text with the signifiers removed.
+   */
+  extractTaskEmojiFields(text) {
+    const fields = {};
+
+    // Dates, e.g. 📅 2025-11-14 (emoji may carry a variation selector)
+    TASK_DATE_FIELDS.forEach(({ field, emojis }) => {
+      const regex = new RegExp(`(?:${emojis.join('|')})\\uFE0F?\\s*(\\d{4}-\\d{2}-\\d{2})`, 'u');
+      const dateMatch = text.match(regex);
+      if (dateMatch) {
+        fields[field] = dateMatch[1];
+        text = text.replace(dateMatch[0], '');
+      }
+    });
+
+    // Recurrence: 🔁 every week on Monday when done
+    // The rule runs until the next signifier emoji or tag
+    const recurrenceMatch = text.match(/🔁\uFE0F?\s*([^📅📆🗓⏳⌛🛫➕✅❌🔺⏫🔼🔽⏬🆔⛔🏁#[(]*)/u);
+    if (recurrenceMatch) {
+      fields.recurrence = recurrenceMatch[1].trim() || null;
+      text = text.replace(recurrenceMatch[0], '');
     }
 
-    insightsList.createEl('li', { text: `${archivePct}% of notes eventually get archived` });
+    const priority = TASK_PRIORITIES.find(({ emoji }) => text.includes(emoji));
+    if (priority) fields.priority = priority.priority;
+    TASK_PRIORITIES.forEach(({ emoji }) => {
+      text = text.split(emoji).join('');
+    });
+
+    // Signifiers without a structured field of their own (ids, dependencies, on-completion)
+    text = text
+      .replace(/(?:🆔|⛔|🏁)\uFE0F?\s*\S+/gu, '')
+      .replace(/\uFE0F/g, '');
+
+    return { fields, text: this.collapseWhitespace(text) };
   }
 
-  calculatePARAFlows(notes) {
-    // Use real history data when available, fall back to heuristics
+  /**
+   * Pull Dataview inline fields - [due:: 2025-11-14] or (due:: 2025-11-14) -
+   * out of a task's text. Unrecognized fields are left in the text.
+   */
+  extractTaskInlineFields(text) {
+    const fields = {};
+    const dateFields = Object.fromEntries(TASK_DATE_FIELDS.map(({ field, key }) => [key, field]));
+    const priorities = TASK_PRIORITIES.map(({ priority }) => priority);
+
+    text = text.replace(/[[(]\s*([\w-]+)::\s*([^\])]*?)\s*[\])]/g, (whole, rawKey, value) => {
+      const key = rawKey.toLowerCase();
+
+      if (dateFields[key]) {
+        const dateMatch = value.match(/^\d{4}-\d{2}-\d{2}/);
+        if (!dateMatch) return whole;
+        fields[dateFields[key]] = dateMatch[0];
+        return '';
+      }
+      if (key === 'priority' && priorities.includes(value.toLowerCase())) {
+        fields.priority = value.toLowerCase();
+        return '';
+      }
+      if (key === 'repeat' && value) {
+        fields.recurrence = value;
+        return '';
+      }
+      return whole;
+    });
 
-    const flows = {
-      'inbox->projects': 0,
-      'inbox->areas': 0,
-      'inbox->resources': 0,
-      'projects->archive': 0,
-      'areas->archive': 0,
-      'resources->archive': 0
-    };
+    return { fields, text: this.collapseWhitespace(text) };
+  }
 
-    let activeProjects = 0;
-    let archivedNotes = 0;
-    let projectDurations = [];
-    let historyCount = 0;
-    let estimateCount = 0;
+  collapseWhitespace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
 
-    const now = Date.now();
-    const dayMs = 24 * 60 * 60 * 1000;
+  getReviewIntervalFromFrontmatter(frontmatter) {
+    if (!frontmatter) return null;
+    const rawValue =
+      frontmatter.review_interval ??
+      frontmatter.reviewInterval ??
+      frontmatter.review_every ??
+      frontmatter.reviewEvery ??
+      frontmatter.review;
+    return this.parseReviewIntervalValue(rawValue);
+  }
 
-    notes.forEach(note => {
-      const ageInDays = (now - note.created) / dayMs;
-      const timeSinceModDays = (now - note.modified) / dayMs;
+  parseReviewIntervalValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'number' && isFinite(value)) {
+      return value > 0 ? value : null;
+    }
+    if (typeof value === 'string') {
+      const normalized = value.trim().toLowerCase();
+      if (!normalized.length) return null;
+      if (normalized === 'daily') return 1;
+      if (normalized === 'weekly') return 7;
+      if (normalized === 'monthly') return 30;
+      if (normalized === 'quarterly') return 90;
 
-      // Use real history data if available
-      if (note.paraHistory && note.paraHistory.length > 0) {
-        historyCount++;
-        note.paraHistory.forEach(entry => {
-          const flowKey = `${entry.from}->${entry.to}`;
-          if (flows.hasOwnProperty(flowKey)) {
-            flows[flowKey]++;
-          }
+      const match = normalized.match(/(\d+)\s*(d|day|days|w|wk|week|weeks|m|mo|month|months)/);
+      if (match) {
+        const amount = parseInt(match[1], 10);
+        const unit = match[2];
+        if (!isNaN(amount) && amount > 0) {
+          if (unit.startsWith('d')) return amount;
+          if (unit.startsWith('w')) return amount * 7;
+          if (unit.startsWith('m')) return amount * 30;
+        }
+      }
 
-          // Track project durations for real data
-          if (entry.from === 'projects' && entry.to === 'archive') {
-            const projectDuration = (entry.timestamp - note.created) / dayMs;
-            if (projectDuration > 0) {
-              projectDurations.push(projectDuration);
-            }
-          }
-        });
-      } else {
-        // Fall back to heuristic estimation
-        estimateCount++;
-        switch (note.paraLocation) {
-          case 'inbox':
-            // Assume inbox items will eventually move
-            // This is speculative - in reality they're still in inbox
-            break;
-
-          case 'projects':
-            activeProjects++;
-            // Assume notes came from inbox
-            flows['inbox->projects']++;
-            projectDurations.push(ageInDays);
+      const numeric = parseInt(normalized, 10);
+      return !isNaN(numeric) && numeric > 0 ? numeric : null;
+    }
+    return null;
+  }
+}
 
-            // If old and unmodified, likely to be archived
-            if (ageInDays > 90 && timeSinceModDays > 30) {
-              flows['projects->archive']++;
-            }
-            break;
+/**
+ * Rendering shared by the sidebar view and `para-viz` code blocks. Mixed into
+ * a Component subclass (ItemView or MarkdownRenderChild): the host calls
+ * initVisualization() from its constructor, keeps `vaultData` loaded and
+ * implements render(), which widgets call when their own controls change.
+ */
+const PARAVisualizationMixin = (Base) => class extends Base {
+  initVisualization(plugin) {
+    this.plugin = plugin;
+    this.app = plugin.app;
+    this.datePreset = plugin.settings.defaultDateRange; // DATE_RANGE_PRESETS id
+    this.customRange = { start: null, end: null }; // Date keys for the 'custom' preset
+    this.comparison = 'none'; // COMPARISON_OPTIONS id
+    this.vaultData = null;
+    this.currentNoteData = null;
+    this.hiddenEdgeKinds = new Set(['tag']); // Edge kinds hidden in the graph and Note Context
+    this.heatmapMetric = 'modified'; // HEATMAP_METRICS id
+    this.canvases = new Map(); // canvas -> { draw, width, height } for the current render
+    this.resizeObserver = null;
+    this.requestCanvasRedraw = debounce(() => this.redrawCanvases(), 150, true);
+    this.requestRender = debounce(() => this.render(), 300, true); // Coalesces index updates
+  }
 
-          case 'areas':
-            // Assume came from inbox
-            flows['inbox->areas']++;
+  // Called after a widget's own control (e.g. the graph edge filter) changes
+  // host state; the sidebar view persists it with the workspace layout
+  saveViewState() {}
 
-            // Areas rarely archive unless very old
-            if (ageInDays > 180 && timeSinceModDays > 90) {
-              flows['areas->archive']++;
-            }
-            break;
+  /**
+   * Render one visualization (a VAULT_VIEWS or NOTE_VIEWS id) into `container`.
+   */
+  renderVisualization(container, viewId) {
+    switch (viewId) {
+      case 'heatmap':
+        this.renderHeatmap(container);
+        break;
+      case 'graph':
+        this.renderGraph(container);
+        break;
+      case 'sankey':
+        this.renderSankey(container);
+        break;
+      case 'tasks':
+        this.renderTaskAnalytics(container);
+        break;
+      case 'tags':
+        this.renderTagCloud(container);
+        break;
+      case 'stats':
+        this.renderStats(container);
+        break;
+      case 'review':
+        this.renderReviewRadar(container);
+        break;
+      case 'pipeline':
+        this.renderPipelineTimeline(container);
+        break;
+      case 'task-calendar':
+        this.renderTaskCalendar(container);
+        break;
+      case 'note-context':
+        this.renderNoteContext(container);
+        break;
+      case 'note-history':
+        this.renderNoteHistory(container);
+        break;
+      case 'note-tasks':
+        this.renderNoteTasks(container);
+        break;
+    }
+  }
 
-          case 'resources':
-            // Assume came from inbox
-            flows['inbox->resources']++;
+  /**
+   * The selected time range as local-midnight Dates, both ends inclusive.
+   */
+  getDateWindow() {
+    const today = startOfDay(new Date());
+    const preset = DATE_RANGE_PRESETS.find(p => p.id === this.datePreset) || DATE_RANGE_PRESETS[1];
+    if (preset.days) {
+      return this.makeDateWindow(addDays(today, -(preset.days - 1)), today);
+    }
 
-            // Resources rarely archive
-            if (ageInDays > 365 && timeSinceModDays > 180) {
-              flows['resources->archive']++;
-            }
-            break;
-
-          case 'archive':
-            archivedNotes++;
-            // Count backwards - where did archived notes come from?
-            // Estimate: most archives come from projects
-            if (ageInDays < 90) {
-              flows['projects->archive']++;
-            } else if (ageInDays < 180) {
-              flows['areas->archive']++;
-            } else {
-              flows['resources->archive']++;
-            }
-            break;
-        }
+    const year = today.getFullYear();
+    const month = today.getMonth();
+    const weekStart = startOfWeek(today, this.plugin.settings.weekStart);
+
+    switch (preset.id) {
+      case 'this-week':
+        return this.makeDateWindow(weekStart, today);
+      case 'last-week':
+        return this.makeDateWindow(addDays(weekStart, -7), addDays(weekStart, -1));
+      case 'this-month':
+        return this.makeDateWindow(new Date(year, month, 1), today);
+      case 'last-month':
+        return this.makeDateWindow(new Date(year, month - 1, 1), new Date(year, month, 0));
+      case 'quarter-to-date':
+        return this.makeDateWindow(new Date(year, month - (month % 3), 1), today);
+      case 'year-to-date':
+        return this.makeDateWindow(new Date(year, 0, 1), today);
+      case 'custom': {
+        const start = parseDate(this.customRange.start) || addDays(today, -29);
+        const end = parseDate(this.customRange.end) || today;
+        return end < start ? this.makeDateWindow(end, start) : this.makeDateWindow(start, end);
       }
-
-      // Count active projects and archived notes from current state
-      if (note.paraLocation === 'projects') {
-        activeProjects++;
-      } else if (note.paraLocation === 'archive') {
-        archivedNotes++;
+      default: {
+        // All time: from the oldest note in the vault
+        const notes = this.plugin.index.built ? this.plugin.index.getData().notes : [];
+        const oldest = notes.reduce((min, note) => Math.min(min, note.created, note.modified), Date.now());
+        return this.makeDateWindow(startOfDay(oldest), today);
       }
-    });
+    }
+  }
 
-    const avgProjectDuration = projectDurations.length > 0
-      ? Math.round(projectDurations.reduce((a, b) => a + b, 0) / projectDurations.length)
-      : 0;
+  makeDateWindow(start, end) {
+    return { start, end, days: daysBetween(start, end) + 1 };
+  }
 
-    console.log(`Quick PARA Flow: ${historyCount} notes with history, ${estimateCount} estimated`);
+  /**
+   * The period to compare the selected range with, or null when comparison is off.
+   */
+  getComparisonWindow() {
+    if (this.comparison === 'none') return null;
+    const current = this.getDateWindow();
+    if (this.comparison === 'year') {
+      return this.shiftDateWindowMonths(current, 12);
+    }
 
-    return {
-      flows,
-      activeProjects,
-      archivedNotes,
-      avgProjectDuration,
-      historyCount,
-      estimateCount
-    };
+    const preset = DATE_RANGE_PRESETS.find(p => p.id === this.datePreset);
+    if (preset?.shiftMonths) {
+      return this.shiftDateWindowMonths(current, preset.shiftMonths);
+    }
+    const shift = preset?.shiftDays || current.days;
+    return this.makeDateWindow(addDays(current.start, -shift), addDays(current.end, -shift));
   }
 
-  renderTaskAnalytics(container) {
-    const taskData = this.vaultData.tasks;
+  // Same days of the month `months` earlier; a range ending on a month's last
+  // day still ends on the last day (so "last month" compares whole months)
+  shiftDateWindowMonths(range, months) {
+    const shift = date => {
+      const shifted = new Date(date.getFullYear(), date.getMonth() - months, 1);
+      const lastDay = new Date(shifted.getFullYear(), shifted.getMonth() + 1, 0).getDate();
+      shifted.setDate(Math.min(date.getDate(), lastDay));
+      return shifted;
+    };
 
-    if (!taskData || taskData.all.length === 0) {
-      const empty = container.createDiv('para-empty');
-      empty.createDiv('para-empty-icon').setText('✅');
-      empty.createDiv('para-empty-message').setText('No tasks found in vault');
-      return;
+    let end = shift(range.end);
+    if (addDays(range.end, 1).getDate() === 1) {
+      end = new Date(end.getFullYear(), end.getMonth() + 1, 0);
     }
+    return this.makeDateWindow(shift(range.start), end);
+  }
 
-    const analytics = container.createDiv('para-task-analytics');
+  isInDateWindow(timestamp, range) {
+    return timestamp >= range.start.getTime() && timestamp < addDays(range.end, 1).getTime();
+  }
 
-    // Overall task metrics
-    const metricsSection = analytics.createDiv('para-heatmap-section');
-    metricsSection.createEl('h3', { text: 'Task Overview' });
+  // Every day of a range as a date key, oldest first
+  getDateWindowKeys(range) {
+    const keys = [];
+    for (let i = 0; i < range.days; i++) {
+      keys.push(toDateKey(addDays(range.start, i)));
+    }
+    return keys;
+  }
 
-    const totalTasks = taskData.all.length;
-    const completedTasks = taskData.all.filter(t => t.completed).length;
-    const openTasks = totalTasks - completedTasks;
-    const completionRate = totalTasks > 0 ? ((completedTasks / totalTasks) * 100).toFixed(1) : 0;
+  formatDateWindow(range) {
+    return `${toDateKey(range.start)} – ${toDateKey(range.end)}`;
+  }
 
-    // Calculate tasks with completion dates (tracked completion)
-    const tasksWithCompletionDates = taskData.all.filter(t => t.completed && t.completionDate).length;
-    const trackingCoverage = completedTasks > 0 ? ((tasksWithCompletionDates / completedTasks) * 100).toFixed(0) : 0;
+  /**
+   * "+3 (+25%)" badge comparing a value with the comparison period.
+   */
+  renderDelta(parent, current, previous) {
+    const diff = current - previous;
+    const delta = parent.createDiv('para-delta');
+    delta.addClass(diff > 0 ? 'up' : diff < 0 ? 'down' : 'flat');
+    const percent = previous > 0 ? ` (${diff >= 0 ? '+' : ''}${Math.round((diff / previous) * 100)}%)` : '';
+    delta.setText(`${diff > 0 ? '▲ +' : diff < 0 ? '▼ ' : '■ '}${diff}${percent}`);
+    delta.setAttribute('title', `${previous} in the comparison period`);
+    return delta;
+  }
 
-    const metricsGrid = metricsSection.createDiv('para-stats-panel');
+  getReviewIntervalForNote(note) {
+    if (note.reviewInterval && note.reviewInterval > 0) {
+      return note.reviewInterval;
+    }
+    return this.getDefaultReviewInterval(note.paraLocation);
+  }
 
-    const metrics = [
-      { label: 'Total Tasks', value: totalTasks },
-      { label: 'Completed', value: completedTasks },
-      { label: 'Open', value: openTasks },
-      { label: 'Completion Rate', value: `${completionRate}%` },
-      { label: 'Tracking Coverage', value: `${trackingCoverage}%`, tooltip: `${tasksWithCompletionDates} of ${completedTasks} completed tasks have completion dates` }
-    ];
+  getDefaultReviewInterval(location) {
+    return this.getLocationConfig(location)?.reviewInterval || 30;
+  }
 
-    metrics.forEach(metric => {
-      const card = metricsGrid.createDiv('para-stat-card');
-      if (metric.tooltip) {
-        card.setAttribute('title', metric.tooltip);
-      }
-      card.createDiv('para-stat-value').setText(metric.value.toString());
-      card.createDiv('para-stat-label').setText(metric.label);
+  getLocationConfig(location) {
+    return this.plugin.settings.locations.find(loc => loc.id === location) || null;
+  }
+
+  /**
+   * Every PARA location to display, in taxonomy order: configured locations
+   * plus any unconfigured ones found in the vault (with neutral defaults).
+   */
+  getLocations() {
+    const ids = this.vaultData
+      ? Object.keys(this.vaultData.paraLocations)
+      : this.plugin.settings.locations.map(loc => loc.id);
+
+    return ids.map(id => this.getLocationConfig(id) || {
+      id,
+      label: id.charAt(0).toUpperCase() + id.slice(1),
+      color: '#6b7280',
+      reviewInterval: 30,
+      role: 'active'
     });
+  }
 
-    // Task distribution by PARA location
-    const paraSection = analytics.createDiv('para-heatmap-section');
-    paraSection.createEl('h3', { text: 'Tasks by PARA Location' });
+  getLocationLabel(location) {
+    const config = this.getLocationConfig(location);
+    if (config) return config.label;
+    if (!location) return 'Unknown';
+    return location.charAt(0).toUpperCase() + location.slice(1);
+  }
 
-    const paraGrid = paraSection.createDiv('para-task-para-grid');
+  getLocationRole(location) {
+    return this.getLocationConfig(location)?.role || 'active';
+  }
 
-    Object.entries(taskData.byPara).forEach(([location, counts]) => {
-      if (counts.open === 0 && counts.completed === 0) return;
+  createLocationBadge(parent, location, text) {
+    const badge = parent.createSpan('para-location-badge');
+    badge.addClass(location);
+    badge.style.backgroundColor = this.getParaColor(location);
+    badge.setText(text ?? this.getLocationLabel(location).toUpperCase());
+    return badge;
+  }
 
-      const card = paraGrid.createDiv('para-task-para-card');
+  // Location colors as --para-color-<id> variables, for CSS snippets and themes
+  applyColorVariables(container) {
+    this.plugin.settings.locations.forEach(loc => {
+      container.style.setProperty(`--para-color-${loc.id}`, loc.color);
+    });
+  }
 
-      const header = card.createDiv('para-task-para-header');
-      const badge = header.createSpan('para-location-badge');
-      badge.addClass(location);
-      badge.setText(location.toUpperCase());
+  getParaColor(location, fallback = '#6b7280') {
+    return this.getLocationConfig(location)?.color || fallback;
+  }
 
-      const stats = card.createDiv('para-task-para-stats');
+  getSystemTags() {
+    return new Set(this.plugin.settings.systemTags.map(tag => tag.toLowerCase()));
+  }
 
-      const openBar = stats.createDiv('para-task-bar');
-      openBar.createSpan({ text: `Open: ${counts.open}`, cls: 'para-task-bar-label' });
-      const openProgress = openBar.createDiv('para-task-bar-progress');
-      const total = counts.open + counts.completed;
-      const openPct = total > 0 ? (counts.open / total) * 100 : 0;
-      openProgress.style.width = `${openPct}%`;
-      openProgress.style.backgroundColor = '#f59e0b'; // Orange for open tasks
+  formatDays(value) {
+    if (value === null || value === undefined || !isFinite(value)) return '—';
+    if (value < 1) return '<1 day';
+    const rounded = Math.round(value);
+    return rounded === 1 ? '1 day' : `${rounded} days`;
+  }
 
-      const completedBar = stats.createDiv('para-task-bar');
-      completedBar.createSpan({ text: `Completed: ${counts.completed}`, cls: 'para-task-bar-label' });
-      const completedProgress = completedBar.createDiv('para-task-bar-progress');
-      const completedPct = total > 0 ? (counts.completed / total) * 100 : 0;
-      completedProgress.style.width = `${completedPct}%`;
-      completedProgress.style.backgroundColor = PARA_COLORS[location];
-    });
+  // 'link', 'embed', 'tag' or 'property:<name>' for frontmatter property links
+  getEdgeKind(edge) {
+    return edge.type === 'property' ? `property:${edge.property}` : edge.type;
+  }
 
-    // Task completion heatmap
-    if (tasksWithCompletionDates > 0) {
-      const heatmapSection = analytics.createDiv('para-heatmap-section');
-      heatmapSection.createEl('h3', { text: 'Task Completion Heatmap' });
+  getEdgeKindLabel(kind) {
+    if (kind.startsWith('property:')) return kind.slice('property:'.length);
+    return EDGE_TYPES.find(type => type.id === kind)?.label || kind;
+  }
 
-      // Build completion activity map
-      const activityMap = new Map();
-      let maxCompletions = 0;
+  getEdgeStyle(kind) {
+    if (kind === 'embed') return { color: 'rgba(128, 128, 128, 0.5)', dash: [4, 3], width: 1 };
+    if (kind === 'tag') return { color: 'rgba(128, 128, 128, 0.25)', dash: [1, 3], width: 1 };
+    if (kind.startsWith('property:')) return { color: 'rgba(236, 72, 153, 0.6)', dash: [], width: 1.5 };
+    return { color: 'rgba(128, 128, 128, 0.3)', dash: [], width: 1 };
+  }
 
-      taskData.byDate.forEach((tasks, date) => {
-        activityMap.set(date, tasks.length);
-        maxCompletions = Math.max(maxCompletions, tasks.length);
+  /**
+   * Checkbox per edge kind; toggling one re-renders the current tab.
+   */
+  renderEdgeFilter(parent, kinds) {
+    const filter = parent.createDiv('para-edge-filter');
+    kinds.forEach(kind => {
+      const style = this.getEdgeStyle(kind);
+      const item = filter.createEl('label', { cls: 'para-edge-filter-item' });
+      const checkbox = item.createEl('input', { type: 'checkbox' });
+      checkbox.checked = !this.hiddenEdgeKinds.has(kind);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.hiddenEdgeKinds.delete(kind);
+        } else {
+          this.hiddenEdgeKinds.add(kind);
+        }
+        this.render();
+        this.saveViewState();
       });
+      const swatch = item.createSpan('para-edge-swatch');
+      swatch.style.borderTopColor = style.color;
+      swatch.style.borderTopStyle = kind === 'embed' ? 'dashed' : kind === 'tag' ? 'dotted' : 'solid';
+      item.createSpan({ text: this.getEdgeKindLabel(kind) });
+    });
+    return filter;
+  }
 
-      // Generate date range for last N days
-      const grid = heatmapSection.createDiv('para-heatmap-grid');
-      const today = new Date();
-      for (let i = this.dateRange - 1; i >= 0; i--) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        const dateStr = date.toISOString().split('T')[0];
-
-        const count = activityMap.get(dateStr) || 0;
-        const level = maxCompletions > 0 ? Math.min(4, Math.floor((count / maxCompletions) * 4)) : 0;
+  // Small labels for non-plain edge kinds, e.g. "Embeds" or a property name
+  // Labels include frontmatter property names, so they are set as text
+  renderEdgeKindChips(parent, kinds) {
+    kinds
+      .filter(kind => kind !== 'link' && !this.hiddenEdgeKinds.has(kind))
+      .forEach(kind => parent.createSpan({ cls: 'para-edge-kind-chip', text: this.getEdgeKindLabel(kind) }));
+  }
 
-        const cell = grid.createDiv('para-heatmap-cell');
-        cell.addClass(`level-${level}`);
-        cell.style.backgroundColor = '#10b981'; // Green for completed tasks
+  getParaSourceLabel(note) {
+    if (note.paraSource === 'frontmatter') return 'From frontmatter';
+    if (note.paraSource === 'folder') return 'From folder';
+    return 'Not assigned';
+  }
 
-        cell.setAttribute('title', `${dateStr}: ${count} tasks completed`);
+  /**
+   * Theme colors for canvas drawing. Canvas can't resolve `var(--…)`, so read
+   * the computed values; call this on every draw so theme switches apply.
+   */
+  getThemeColors() {
+    const style = getComputedStyle(this.containerEl);
+    const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+    return {
+      text: read('--text-normal', '#333333'),
+      textMuted: read('--text-muted', '#666666'),
+      textOnAccent: read('--text-on-accent', '#ffffff'),
+      background: read('--background-primary', '#ffffff'),
+      axis: read('--text-faint', '#cccccc'),
+      grid: read('--background-modifier-border', '#eeeeee'),
+      accent: read('--interactive-accent', '#3b82f6')
+    };
+  }
 
-        if (count > 0) {
-          cell.addEventListener('click', () => {
-            const tasks = activityMap.get(dateStr) || [];
-            const taskList = taskData.byDate.get(dateStr).map(t => `${t.text} (${t.fileName})`).join('\n');
-            new Notice(`${count} tasks completed on ${dateStr}:\n${taskList}`, 5000);
-          });
-          cell.style.cursor = 'pointer';
-        }
-      }
+  /**
+   * Draw a canvas now and again whenever its size or the theme changes.
+   * `draw` receives `{ ctx, width, height }` in CSS pixels, already scaled for
+   * the device pixel ratio. A canvas with no size yet (e.g. in a collapsed
+   * sidebar) is drawn once it gets one.
+   *
+   * `draw` may return a hit test `(x, y) => ({ tooltip, onClick }) | null`
+   * for the geometry it just drew; hovering shows the tooltip and clicking
+   * calls `onClick`.
+   */
+  drawCanvas(canvas, draw) {
+    const entry = { draw, width: 0, height: 0, hitTest: null };
+    this.canvases.set(canvas, entry);
+    if (!this.resizeObserver) {
+      this.resizeObserver = new ResizeObserver(() => this.requestCanvasRedraw());
     }
+    this.resizeObserver.observe(canvas);
 
-    // Task velocity chart (line graph)
-    const velocitySection = analytics.createDiv('para-heatmap-section');
-    velocitySection.createEl('h3', { text: 'Task Completion Velocity' });
+    const hitAt = (e) => {
+      if (!entry.hitTest) return null;
+      const rect = canvas.getBoundingClientRect();
+      return entry.hitTest(e.clientX - rect.left, e.clientY - rect.top);
+    };
+    canvas.addEventListener('mousemove', (e) => {
+      const hit = hitAt(e);
+      canvas.style.cursor = hit?.onClick ? 'pointer' : '';
+      if (hit?.tooltip) {
+        this.showChartTooltip(e, hit.tooltip);
+      } else {
+        this.hideChartTooltip();
+      }
+    });
+    canvas.addEventListener('mouseleave', () => this.hideChartTooltip());
+    canvas.addEventListener('click', (e) => {
+      const hit = hitAt(e);
+      if (hit?.onClick) {
+        this.hideChartTooltip();
+        hit.onClick();
+      }
+    });
 
-    const velocityCanvas = velocitySection.createEl('canvas', { cls: 'para-velocity-canvas' });
-    const ctx = velocityCanvas.getContext('2d');
-    const width = velocityCanvas.width = velocityCanvas.offsetWidth * window.devicePixelRatio;
-    const height = velocityCanvas.height = 300 * window.devicePixelRatio;
-    ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+    this.paintCanvas(canvas, entry);
+  }
 
-    const displayWidth = velocityCanvas.offsetWidth;
-    const displayHeight = 300;
+  paintCanvas(canvas, entry) {
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width || !height) return;
 
-    // Calculate daily completion counts
-    const dailyCounts = [];
-    const today = new Date();
-    for (let i = this.dateRange - 1; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      const dateStr = date.toISOString().split('T')[0];
-      const count = taskData.byDate.get(dateStr)?.length || 0;
-      dailyCounts.push({ date: dateStr, count });
-    }
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    entry.width = width;
+    entry.height = height;
+    entry.hitTest = entry.draw({ ctx, width, height }) || null;
+  }
 
-    // Draw velocity chart
-    const maxVelocity = Math.max(...dailyCounts.map(d => d.count), 1);
-    const padding = 40;
-    const chartWidth = displayWidth - padding * 2;
-    const chartHeight = displayHeight - padding * 2;
+  // Repaint canvases whose size changed since their last draw (or all of them)
+  redrawCanvases(force = false) {
+    this.canvases.forEach((entry, canvas) => {
+      if (force || canvas.clientWidth !== entry.width || canvas.clientHeight !== entry.height) {
+        this.paintCanvas(canvas, entry);
+      }
+    });
+  }
 
-    // Draw axes
-    ctx.strokeStyle = '#ccc';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(padding, padding);
-    ctx.lineTo(padding, displayHeight - padding);
-    ctx.lineTo(displayWidth - padding, displayHeight - padding);
-    ctx.stroke();
+  resetCanvases() {
+    this.resizeObserver?.disconnect();
+    this.canvases.clear();
+    this.chartTooltip?.remove();
+    this.chartTooltip = null;
+  }
 
-    // Draw grid lines
-    ctx.strokeStyle = '#eee';
-    for (let i = 0; i <= 5; i++) {
-      const y = padding + (chartHeight / 5) * i;
-      ctx.beginPath();
-      ctx.moveTo(padding, y);
-      ctx.lineTo(displayWidth - padding, y);
-      ctx.stroke();
+  // One floating tooltip shared by every chart; `text` may span several lines
+  showChartTooltip(event, text) {
+    if (!this.chartTooltip) {
+      this.chartTooltip = event.target.ownerDocument.body.createDiv('para-chart-tooltip');
+    }
+    this.chartTooltip.setText(text);
+    this.chartTooltip.style.left = `${event.clientX + 12}px`;
+    this.chartTooltip.style.top = `${event.clientY + 12}px`;
+    this.chartTooltip.style.display = '';
+  }
 
-      // Y-axis labels
-      ctx.fillStyle = '#666';
-      ctx.font = '10px sans-serif';
-      ctx.textAlign = 'right';
-      const value = Math.round(maxVelocity * (1 - i / 5));
-      ctx.fillText(value.toString(), padding - 5, y + 3);
+  hideChartTooltip() {
+    if (this.chartTooltip) {
+      this.chartTooltip.style.display = 'none';
     }
+  }
 
-    // Draw line chart
-    ctx.strokeStyle = '#10b981';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
+  /**
+   * Drill down to the notes behind a chart element or a truncated list.
+   * `describe(note)` supplies an optional detail line.
+   */
+  openNoteList(title, notes, describe = null) {
+    new PARANoteListModal(this, title, notes.map(note => ({
+      note,
+      detail: describe ? describe(note) : null
+    }))).open();
+  }
 
-    dailyCounts.forEach((point, index) => {
-      const x = padding + (index / (dailyCounts.length - 1)) * chartWidth;
-      const y = displayHeight - padding - (point.count / maxVelocity) * chartHeight;
+  openTaskList(title, tasks, describe = null) {
+    new PARANoteListModal(this, title, tasks.map(task => ({
+      task,
+      detail: describe ? describe(task) : null
+    }))).open();
+  }
 
-      if (index === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
-      }
-    });
+  // Open a task's note scrolled to the task's line
+  async openTask(task) {
+    const file = this.app.vault.getAbstractFileByPath(task.file);
+    if (!file) return;
+    await this.app.workspace.getLeaf(false).openFile(file, { eState: { line: task.line - 1 } });
+  }
 
-    ctx.stroke();
+  // "...and N more" line under a truncated list that opens the full list
+  renderMoreLink(parent, text, onClick) {
+    const more = parent.createEl('p', { text, cls: 'para-more-link' });
+    more.addEventListener('click', onClick);
+    return more;
+  }
 
-    // Draw points
-    dailyCounts.forEach((point, index) => {
-      const x = padding + (index / (dailyCounts.length - 1)) * chartWidth;
-      const y = displayHeight - padding - (point.count / maxVelocity) * chartHeight;
+  /**
+   * Save the visualization currently shown as 'png' or 'svg'. Views that are
+   * a single canvas re-run its draw function at the export size (or against
+   * an SVGCanvasContext); other views are copied into an SVG foreignObject
+   * with their computed styles inlined and their charts redrawn as images,
+   * and rasterized from that for PNG.
+   */
+  async exportVisualization(viewId, format) {
+    const content = this.containerEl.querySelector('.para-visualizer-content');
+    if (!content || !this.vaultData || content.querySelector('.para-loading')) {
+      new Notice('Nothing to export yet');
+      return;
+    }
 
-      ctx.fillStyle = '#10b981';
-      ctx.beginPath();
-      ctx.arc(x, y, 3, 0, Math.PI * 2);
-      ctx.fill();
-    });
+    const view = [...VAULT_VIEWS, ...NOTE_VIEWS].find(v => v.id === viewId);
+    const baseName = `PARA ${view ? view.label : viewId} ${toDateKey(new Date())}`;
+    const scale = this.plugin.settings.exportScale;
+    // Only a view with nothing around its chart can be exported as the chart
+    const charts = [...this.canvases.entries()].filter(([canvas, entry]) => canvas.isConnected && entry.width);
+    const chart = charts.length === 1 && content.textContent.trim() === '' ? charts[0] : null;
 
-    // X-axis label
-    ctx.fillStyle = '#666';
-    ctx.font = '12px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText('Days', displayWidth / 2, displayHeight - 5);
+    try {
+      let data;
+      if (chart) {
+        data = format === 'svg'
+          ? this.renderChartSvg(...chart)
+          : await this.renderChartPng(...chart, scale);
+      } else {
+        const { svg, width, height } = this.renderElementSvg(content, format, scale);
+        data = format === 'svg' ? svg : await this.rasterizeSvg(svg, width, height, scale);
+      }
+      await this.saveExport(baseName, format, data);
+    } catch (error) {
+      console.error('PARA Visualizer: export failed', error);
+      new Notice(`Export failed: ${error.message}`);
+    }
+  }
 
-    // Y-axis label
-    ctx.save();
-    ctx.translate(15, displayHeight / 2);
-    ctx.rotate(-Math.PI / 2);
-    ctx.fillText('Tasks Completed', 0, 0);
-    ctx.restore();
+  renderChartPng(canvas, entry, scale) {
+    return this.canvasToPng(this.renderChartCanvas(canvas, entry, scale));
+  }
 
-    // Task age analysis (for completed tasks with dates)
-    const tasksWithAge = taskData.all.filter(t => t.ageInDays !== undefined);
-    if (tasksWithAge.length > 0) {
-      const ageSection = analytics.createDiv('para-heatmap-section');
-      ageSection.createEl('h3', { text: 'Task Age Analysis' });
+  // Redraw a chart into an offscreen canvas, then repaint the visible one,
+  // since drawing can re-point animated charts at the context it was given
+  renderChartCanvas(canvas, entry, scale) {
+    const { width, height } = entry;
+    const output = document.createElement('canvas');
+    output.width = Math.round(width * scale);
+    output.height = Math.round(height * scale);
+    const ctx = output.getContext('2d');
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    try {
+      entry.draw({ ctx, width, height });
+    } finally {
+      this.paintCanvas(canvas, entry);
+    }
 
-      const ages = tasksWithAge.map(t => t.ageInDays);
-      const avgAge = Math.round(ages.reduce((a, b) => a + b, 0) / ages.length);
-      const minAge = Math.min(...ages);
-      const maxAge = Math.max(...ages);
-      const medianAge = ages.sort((a, b) => a - b)[Math.floor(ages.length / 2)];
+    // Background goes behind the chart so charts that clear first keep it
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = this.getThemeColors().background;
+    ctx.fillRect(0, 0, width, height);
+    return output;
+  }
 
-      const ageGrid = ageSection.createDiv('para-stats-panel');
+  renderChartSvg(canvas, entry) {
+    const { width, height } = entry;
+    const ctx = new SVGCanvasContext(width, height);
+    try {
+      entry.draw({ ctx, width, height });
+    } finally {
+      this.paintCanvas(canvas, entry);
+    }
+    return ctx.toSVG(this.getThemeColors().background);
+  }
 
-      const ageMetrics = [
-        { label: 'Avg. Time to Complete', value: `${avgAge} days` },
-        { label: 'Fastest Completion', value: `${minAge} days` },
-        { label: 'Slowest Completion', value: `${maxAge} days` },
-        { label: 'Median Time', value: `${medianAge} days` }
-      ];
+  /**
+   * Self-contained SVG of a DOM subtree; canvases inside it become images,
+   * with charts redrawn as SVG for an 'svg' export and at `scale` for 'png'.
+   * Stylesheets don't apply inside an SVG image, so computed styles are
+   * inlined. To keep files small, a descendant only gets the properties that
+   * differ from its parent or from a bare element of the same tag.
+   */
+  renderElementSvg(element, format = 'png', scale = 1) {
+    const width = Math.ceil(element.scrollWidth);
+    const height = Math.ceil(element.scrollHeight);
+    if (!width || !height) {
+      throw new Error('the visualization has no size; show it before exporting');
+    }
 
-      ageMetrics.forEach(metric => {
-        const card = ageGrid.createDiv('para-stat-card');
-        card.createDiv('para-stat-value').setText(metric.value);
-        card.createDiv('para-stat-label').setText(metric.label);
+    const readStyle = (target) => {
+      const computed = getComputedStyle(target);
+      const values = {};
+      for (let i = 0; i < computed.length; i++) {
+        values[computed[i]] = computed.getPropertyValue(computed[i]);
+      }
+      return values;
+    };
+    const sandbox = document.body.createDiv();
+    sandbox.style.cssText = 'position: absolute; left: -10000px; top: 0;';
+    const defaults = new Map();
+    const defaultStyle = (tagName) => {
+      if (!defaults.has(tagName)) {
+        const probe = sandbox.createEl(tagName);
+        defaults.set(tagName, readStyle(probe));
+        probe.remove();
+      }
+      return defaults.get(tagName);
+    };
+
+    const clone = element.cloneNode(true);
+    const sources = [element, ...element.querySelectorAll('*')];
+    const copies = [clone, ...clone.querySelectorAll('*')];
+    const styles = new Map();
+    try {
+      sources.forEach((source, i) => {
+        const style = readStyle(source);
+        styles.set(source, style);
+        const parent = source === element ? null : styles.get(source.parentElement);
+        const fallback = parent && defaultStyle(source.tagName.toLowerCase());
+        const declarations = Object.entries(style)
+          .filter(([name, value]) => !parent || value !== parent[name] || value !== fallback[name])
+          .map(([name, value]) => `${name}: ${value}`);
+        copies[i].setAttribute('style', declarations.join('; '));
       });
+    } finally {
+      sandbox.remove();
     }
+    sources.forEach((source, i) => {
+      if (source.tagName !== 'CANVAS') return;
+      const entry = this.canvases.get(source);
+      let src;
+      if (entry?.width && format === 'svg') {
+        src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.renderChartSvg(source, entry))}`;
+      } else {
+        src = (entry?.width ? this.renderChartCanvas(source, entry, scale) : source).toDataURL('image/png');
+      }
+      const image = document.createElement('img');
+      image.setAttribute('src', src);
+      image.setAttribute('style', copies[i].getAttribute('style'));
+      copies[i].replaceWith(image);
+    });
 
-    // Insights
-    const insights = analytics.createDiv('para-sankey-insights');
-    insights.createEl('h3', { text: 'Task Insights' });
+    clone.style.width = `${width}px`;
+    clone.style.height = `${height}px`;
+    clone.style.overflow = 'visible';
+    clone.style.backgroundColor = this.getThemeColors().background;
+
+    const markup = new XMLSerializer().serializeToString(clone);
+    const svg = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      `<foreignObject x="0" y="0" width="100%" height="100%">${markup}</foreignObject>`,
+      '</svg>'
+    ].join('\n');
+    return { svg, width, height };
+  }
 
-    const insightsList = insights.createEl('ul');
-    insightsList.style.paddingLeft = '20px';
-    insightsList.style.lineHeight = '1.8';
+  async rasterizeSvg(svg, width, height, scale) {
+    const image = new Image();
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    await image.decode();
 
-    // Generate insights
-    if (completionRate >= 70) {
-      insightsList.createEl('li', { text: `Great job! ${completionRate}% of your tasks are completed.` });
-    } else if (completionRate >= 50) {
-      insightsList.createEl('li', { text: `You're making progress with ${completionRate}% completion rate.` });
-    } else {
-      insightsList.createEl('li', { text: `${openTasks} tasks are still open. Consider prioritizing.` });
+    const output = document.createElement('canvas');
+    output.width = Math.round(width * scale);
+    output.height = Math.round(height * scale);
+    output.getContext('2d').drawImage(image, 0, 0, output.width, output.height);
+    return this.canvasToPng(output);
+  }
+
+  canvasToPng(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob.arrayBuffer());
+        } else {
+          reject(new Error('Could not encode the image'));
+        }
+      }, 'image/png');
+    });
+  }
+
+  /**
+   * Save an exported image and copy an embed link for it.
+   */
+  async saveExport(baseName, extension, data) {
+    const file = await this.writeExportFile(baseName, extension, data);
+    const embed = '!' + this.app.fileManager.generateMarkdownLink(file, '');
+    try {
+      await navigator.clipboard.writeText(embed);
+      new Notice(`Exported ${file.path}. Embed link copied: ${embed}`);
+    } catch (error) {
+      new Notice(`Exported ${file.path}. Embed it with ${embed}`);
     }
+    return file;
+  }
 
-    if (trackingCoverage < 50) {
-      insightsList.createEl('li', { text: `Tip: Add completion dates (✅ YYYY-MM-DD) to track your velocity over time.` });
+  /**
+   * Write an export into the configured folder (or Obsidian's attachment
+   * folder) without overwriting earlier exports. `data` is text or binary.
+   */
+  async writeExportFile(baseName, extension, data) {
+    const { vault, fileManager } = this.app;
+    const folder = this.plugin.settings.exportFolder.trim();
+    const path = folder
+      ? await this.getAvailablePath(folder, baseName, extension)
+      : await fileManager.getAvailablePathForAttachment(`${baseName}.${extension}`);
+
+    return typeof data === 'string'
+      ? vault.create(path, data)
+      : vault.createBinary(path, data);
+  }
+
+  // First free "folder/name.ext" (then "name 1.ext", ...), creating the
+  // folder; an empty folder means the vault root
+  async getAvailablePath(folder, baseName, extension) {
+    const { vault } = this.app;
+    folder = folder.trim() ? normalizePath(folder) : '/';
+    const prefix = folder === '/' ? '' : `${folder}/`;
+    if (prefix && !vault.getAbstractFileByPath(folder)) {
+      await vault.createFolder(folder);
+    }
+    let path = `${prefix}${baseName}.${extension}`;
+    for (let n = 1; vault.getAbstractFileByPath(path); n++) {
+      path = `${prefix}${baseName} ${n}.${extension}`;
     }
+    return path;
+  }
 
-    const projectTasks = taskData.byPara.projects.open + taskData.byPara.projects.completed;
-    if (projectTasks > totalTasks * 0.5) {
-      insightsList.createEl('li', { text: `Most tasks (${projectTasks}) are in Projects - your active work area.` });
+  /**
+   * Export DATA_EXPORTS tables computed for the current filters and time
+   * range, as one JSON file or one CSV file per table. Timestamps are ISO
+   * 8601 date-times (UTC); calendar dates stay YYYY-MM-DD.
+   */
+  async exportData(datasetIds, format) {
+    await this.plugin.index.whenReady();
+    if (!this.vaultData) {
+      await this.refresh();
     }
 
-    if (tasksWithAge.length > 0) {
-      const avgAge = Math.round(tasksWithAge.map(t => t.ageInDays).reduce((a, b) => a + b, 0) / tasksWithAge.length);
-      if (avgAge < 7) {
-        insightsList.createEl('li', { text: `Fast turnaround! Average task completion in ${avgAge} days.` });
-      } else if (avgAge > 30) {
-        insightsList.createEl('li', { text: `Tasks take ${avgAge} days on average. Consider breaking them into smaller chunks.` });
+    const datasets = DATA_EXPORTS.filter(dataset => datasetIds.includes(dataset.id));
+    const range = this.getDateWindow();
+    const today = toDateKey(new Date());
+
+    try {
+      let files;
+      if (format === 'json') {
+        const tables = {};
+        datasets.forEach(dataset => {
+          tables[dataset.id] = this.getDataExportRows(dataset.id);
+        });
+        const payload = {
+          exported: new Date().toISOString(),
+          range: { start: toDateKey(range.start), end: toDateKey(range.end) },
+          filters: this.getFilters(),
+          datasets: tables
+        };
+        const name = datasets.length === 1 ? datasets[0].label : 'Data';
+        files = [await this.writeExportFile(`PARA ${name} ${today}`, 'json', JSON.stringify(payload, null, 2))];
+      } else {
+        files = [];
+        for (const dataset of datasets) {
+          const csv = toCsv(dataset.columns, this.getDataExportRows(dataset.id));
+          files.push(await this.writeExportFile(`PARA ${dataset.label} ${today}`, 'csv', csv));
+        }
       }
+      new Notice(files.length === 1
+        ? `Exported ${files[0].path}`
+        : `Exported ${files.length} files to ${files[0].parent?.path || '/'}`);
+    } catch (error) {
+      console.error('PARA Visualizer: data export failed', error);
+      new Notice(`Export failed: ${error.message}`);
     }
   }
 
-  renderTagCloud(container) {
-    const tagCloud = container.createDiv('para-tag-cloud');
+  // Rows for one DATA_EXPORTS table, keyed by its column names
+  getDataExportRows(datasetId) {
+    const iso = timestamp => (timestamp ? new Date(timestamp).toISOString() : null);
+    const round = value => Math.round(value * 100) / 100;
+    const range = this.getDateWindow();
+
+    switch (datasetId) {
+      case 'notes':
+        return this.vaultData.notes.map(note => ({
+          path: note.path,
+          basename: note.basename,
+          para_location: note.paraLocation,
+          para_source: note.paraSource,
+          tags: note.tags,
+          created: iso(note.created),
+          modified: iso(note.modified),
+          size: note.size,
+          links: note.links.length,
+          unresolved_links: note.unresolvedLinks.length,
+          review_interval_days: note.reviewInterval,
+          para_moves: note.paraHistory.length
+        }));
+      case 'tasks':
+        return this.vaultData.tasks.all.map(task => ({
+          file: task.file,
+          line: task.line,
+          para_location: task.paraLocation,
+          status: task.status,
+          completed: task.completed,
+          text: task.text,
+          priority: task.priority,
+          recurrence: task.recurrence,
+          due_date: task.dueDate,
+          scheduled_date: task.scheduledDate,
+          start_date: task.startDate,
+          created_date: task.createdDate,
+          completion_date: task.completionDate,
+          cancelled_date: task.cancelledDate,
+          age_days: task.ageInDays ?? null,
+          heading: task.heading,
+          parent_line: task.parentLine
+        }));
+      case 'review-locations':
+        return this.computeReviewStats().locations.map(loc => ({
+          location: loc.location,
+          label: loc.label,
+          note_count: loc.noteCount,
+          overdue_count: loc.overdueCount,
+          avg_days_since_modified: round(loc.avgDays),
+          avg_review_interval_days: round(loc.avgTarget),
+          score: round(loc.score),
+          last_modified: iso(loc.lastTouched)
+        }));
+      case 'review-overdue':
+        return this.computeReviewStats().overdueNotes.map(item => ({
+          path: item.note.path,
+          location: item.note.paraLocation,
+          days_since_modified: round(item.daysSince),
+          review_interval_days: item.target,
+          overdue_by_days: round(item.overdueBy)
+        }));
+      case 'pipeline-timeline':
+        return this.generatePipelineTimelineData().timeline.flatMap(day =>
+          Object.entries(day.counts).map(([location, notes]) => ({ date: day.date, location, notes }))
+        );
+      case 'pipeline-transitions':
+        return Object.entries(this.generatePipelineTimelineData().transitionCounts).map(([key, count]) => {
+          const [from, to] = key.split('->');
+          return { from, to, count };
+        });
+      case 'flows': {
+        // Same notes as the flow diagram: those created in the time range
+        const notes = this.vaultData.notes.filter(n => this.isInDateWindow(n.created, range));
+        return Object.entries(this.calculatePARAFlows(notes).flows).map(([key, count]) => {
+          const [from, to] = key.split('->');
+          return { from, to, notes: count };
+        });
+      }
+      default:
+        return [];
+    }
+  }
 
-    // Filter tags (exclude system tags)
-    const systemTags = new Set(['all', 'inbox', 'projects', 'areas', 'resources', 'archive']);
-    const tagData = Array.from(this.vaultData.tags.entries())
-      .filter(([tag]) => !systemTags.has(tag))
-      .map(([tag, notes]) => ({
-        tag,
-        count: notes.length,
-        recentCount: notes.filter(n =>
-          (Date.now() - n.modified) < (this.dateRange * 24 * 60 * 60 * 1000)
-        ).length
-      }))
-      .filter(item => item.recentCount > 0)
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 50); // Top 50 tags
+  hexToRgba(hex, alpha) {
+    const sanitized = hex.replace('#', '');
+    const bigint = parseInt(sanitized, 16);
+    if (isNaN(bigint)) {
+      return `rgba(59, 130, 246, ${alpha})`;
+    }
+    const r = (bigint >> 16) & 255;
+    const g = (bigint >> 8) & 255;
+    const b = bigint & 255;
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+  }
 
-    if (tagData.length === 0) {
-      const empty = container.createDiv('para-empty');
-      empty.createDiv('para-empty-icon').setText('🏷️');
-      empty.createDiv('para-empty-message').setText('No tags found in selected time range');
-      return;
+  normalizeLocation(value) {
+    if (!value || typeof value !== 'string') return 'unknown';
+    return value.toLowerCase();
+  }
+
+  getLocationAtTime(states, timestamp) {
+    if (!states || states.length === 0) return null;
+    if (timestamp < states[0].timestamp) return null;
+    let location = states[0].location;
+    for (const state of states) {
+      if (timestamp >= state.timestamp) {
+        location = state.location;
+      } else {
+        break;
+      }
     }
+    return location;
+  }
 
-    const maxCount = Math.max(...tagData.map(t => t.count));
-    const minSize = 12;
-    const maxSize = 48;
+  renderHeatmap(container) {
+    const metric = HEATMAP_METRICS.find(m => m.id === this.heatmapMetric) || HEATMAP_METRICS[0];
+    const describe = count => `${count} ${count === 1 ? metric.unit[0] : metric.unit[1]}`;
+
+    // Metric switch
+    const metricControl = container.createDiv({ cls: ['para-visualizer-control', 'para-heatmap-metric'] });
+    metricControl.createEl('label', { text: 'Show:' });
+    const metricSelect = metricControl.createEl('select');
+    HEATMAP_METRICS.forEach(choice => {
+      const option = metricSelect.createEl('option', { text: choice.label, value: choice.id });
+      if (choice.id === metric.id) {
+        option.selected = true;
+      }
+    });
+    metricSelect.addEventListener('change', () => {
+      this.heatmapMetric = metricSelect.value;
+      this.render();
+      this.saveViewState();
+    });
 
-    tagData.forEach(item => {
-      const size = minSize + ((item.count / maxCount) * (maxSize - minSize));
-      const opacity = 0.5 + (item.recentCount / item.count) * 0.5;
+    const statsPanel = container.createDiv('para-stats-panel');
 
-      const tagEl = tagCloud.createSpan('para-tag-cloud-item');
-      tagEl.setText(`#${item.tag}`);
-      tagEl.style.fontSize = `${size}px`;
-      tagEl.style.opacity = opacity.toString();
+    const range = this.getDateWindow();
+    const comparisonRange = this.getComparisonWindow();
+    const events = this.getHeatmapEvents(metric.id);
+    const countIn = (byDate, window) => this.getDateWindowKeys(window)
+      .reduce((sum, key) => sum + (byDate.get(key)?.length || 0), 0);
 
-      // Random PARA color
-      const paraKeys = Object.keys(PARA_COLORS);
-      const randomColor = PARA_COLORS[paraKeys[Math.floor(Math.random() * paraKeys.length)]];
-      tagEl.style.color = randomColor;
+    // Render stat cards
+    Object.entries(this.vaultData.paraLocations).forEach(([location, notes]) => {
+      const card = statsPanel.createDiv('para-stat-card');
+      const value = card.createDiv('para-stat-value');
+      value.setText(notes.length.toString());
+      value.style.color = this.getParaColor(location);
+      const label = card.createDiv('para-stat-label');
+      label.setText(this.getLocationLabel(location).toUpperCase());
+
+      if (comparisonRange) {
+        // The metric in the selected period vs the comparison period
+        const current = countIn(events.get(location), range);
+        const previous = countIn(events.get(location), comparisonRange);
+        card.createDiv({ cls: 'para-stat-label', text: describe(current) });
+        this.renderDelta(card, current, previous);
+      }
+    });
 
-      tagEl.setAttribute('title', `${item.count} notes (${item.recentCount} recent)`);
+    // Render heatmap for each PARA location
+    const heatmapContainer = container.createDiv('para-heatmap');
 
-      tagEl.addEventListener('click', () => {
-        // Search for tag
-        this.app.internalPlugins.getPluginById('global-search').instance.openGlobalSearch(`tag:#${item.tag}`);
+    Object.entries(this.vaultData.paraLocations).forEach(([location, notes]) => {
+      if (notes.length === 0) return;
+
+      const section = heatmapContainer.createDiv('para-heatmap-section');
+
+      const header = section.createEl('h3');
+      this.createLocationBadge(header, location);
+      header.appendText(` (${notes.length} notes)`);
+
+      const locationLabel = this.getLocationLabel(location);
+      this.renderCalendarHeatmap(section, {
+        range,
+        color: this.getParaColor(location),
+        unit: metric.unit,
+        getItems: dateStr => events.get(location).get(dateStr) || [],
+        onClick: (dateStr, items) => this.openHeatmapDay(metric.id, locationLabel, dateStr, items)
       });
     });
   }
 
-  renderStats(container) {
-    const stats = container.createDiv();
+  /**
+   * Per location, a Map of date key -> the notes, tasks or moves a heatmap
+   * metric counts on that day. Tasks count under their note's location and
+   * moves ({ note, from, to, timestamp }) under the location moved into.
+   */
+  getHeatmapEvents(metricId) {
+    const events = new Map(Object.keys(this.vaultData.paraLocations).map(location => [location, new Map()]));
+    const add = (location, value, item) => {
+      const byDate = events.get(location);
+      const date = parseDate(value);
+      if (!byDate || !date) return;
+      const dateStr = toDateKey(date);
+      if (!byDate.has(dateStr)) byDate.set(dateStr, []);
+      byDate.get(dateStr).push(item);
+    };
 
-    // Overall stats
-    const overallSection = stats.createDiv('para-heatmap-section');
-    overallSection.createEl('h3', { text: 'Vault Overview' });
+    switch (metricId) {
+      case 'created':
+        this.vaultData.notes.forEach(note => add(note.paraLocation, note.created, note));
+        break;
+      case 'completed':
+        this.vaultData.tasks.byDate.forEach((tasks, dateStr) => {
+          tasks.forEach(task => add(task.paraLocation, dateStr, task));
+        });
+        break;
+      case 'due':
+        this.vaultData.tasks.all
+          .filter(task => task.dueDate && task.status !== 'cancelled')
+          .forEach(task => add(task.paraLocation, task.dueDate, task));
+        break;
+      case 'moves':
+        this.vaultData.notes.forEach(note => {
+          this.getNoteMoves(note).forEach(move => {
+            add(move.to, move.timestamp, { note, ...move });
+          });
+        });
+        break;
+      default:
+        this.vaultData.notes.forEach(note => add(note.paraLocation, note.modified, note));
+    }
+    return events;
+  }
 
-    const overallGrid = overallSection.createDiv('para-stats-panel');
+  // Drill-down for a heatmap cell, worded for the metric
+  openHeatmapDay(metricId, locationLabel, dateStr, items) {
+    switch (metricId) {
+      case 'created':
+        this.openNoteList(`${locationLabel} notes created on ${dateStr}`, items);
+        break;
+      case 'completed':
+        this.openTaskList(`${locationLabel} tasks completed on ${dateStr}`, items);
+        break;
+      case 'due':
+        this.openTaskList(`${locationLabel} tasks due on ${dateStr}`, items, task => (
+          task.completed ? 'Done' : null
+        ));
+        break;
+      case 'moves': {
+        const notes = [...new Set(items.map(move => move.note))];
+        this.openNoteList(`Moved into ${locationLabel} on ${dateStr}`, notes, note => items
+          .filter(move => move.note === note)
+          .map(move => `From ${this.getLocationLabel(move.from)}`)
+          .join(', '));
+        break;
+      }
+      default:
+        this.openNoteList(`${locationLabel} notes modified on ${dateStr}`, items);
+    }
+  }
 
-    const totalCard = overallGrid.createDiv('para-stat-card');
-    totalCard.createDiv('para-stat-value').setText(this.vaultData.notes.length.toString());
-    totalCard.createDiv('para-stat-label').setText('Total Notes');
+  /**
+   * GitHub-style calendar heatmap: a column per week and a row per weekday
+   * (from the configured first day of the week), with month labels above,
+   * weekday totals on the right and a total and level legend below.
+   * `getItems(dateKey)` returns the day's notes or tasks; `onClick(dateKey,
+   * items)` runs for days that have any.
+   */
+  renderCalendarHeatmap(parent, { range, color, unit, getItems, onClick }) {
+    const firstDay = startOfWeek(range.start, this.plugin.settings.weekStart);
+    const weeks = Math.ceil((daysBetween(firstDay, range.end) + 1) / 7);
+    const itemsByDay = new Map(this.getDateWindowKeys(range).map(key => [key, getItems(key)]));
+    const maxCount = Math.max(1, ...Array.from(itemsByDay.values()).map(items => items.length));
+    // Level 0 is reserved for days without activity
+    const levelOf = count => (count === 0 ? 0 : Math.min(4, Math.ceil((count / maxCount) * 4)));
+    const describe = count => `${count} ${count === 1 ? unit[0] : unit[1]}`;
+
+    const wrapper = parent.createDiv('para-calendar-heatmap');
+    const grid = wrapper.createDiv('para-calendar-grid');
+    grid.style.gridTemplateColumns = `auto repeat(${weeks}, 12px) auto`;
+
+    // Month labels over the weeks holding each month's 1st, plus the range
+    // start's month unless the next label would crowd it
+    const weekOf = date => Math.floor(daysBetween(firstDay, date) / 7);
+    const monthStarts = Array.from(itemsByDay.keys())
+      .map(key => parseDate(key))
+      .filter(date => date.getDate() === 1);
+    if (monthStarts.length === 0 || weekOf(monthStarts[0]) >= 3) {
+      monthStarts.unshift(range.start);
+    }
+    monthStarts.forEach(date => {
+      const week = weekOf(date);
+      const label = grid.createDiv({
+        cls: 'para-calendar-month',
+        text: date.toLocaleDateString(undefined, { month: 'short' })
+      });
+      label.style.gridColumn = `${week + 2} / span ${Math.min(3, weeks - week)}`;
+      label.style.gridRow = '1';
+    });
 
-    const tagsCard = overallGrid.createDiv('para-stat-card');
-    tagsCard.createDiv('para-stat-value').setText(this.vaultData.tags.size.toString());
-    tagsCard.createDiv('para-stat-label').setText('Unique Tags');
+    const weekdayTotals = [0, 0, 0, 0, 0, 0, 0];
+    for (let week = 0; week < weeks; week++) {
+      for (let row = 0; row < 7; row++) {
+        const date = addDays(firstDay, week * 7 + row);
+        const dateStr = toDateKey(date);
+        const items = itemsByDay.get(dateStr);
+        if (!items) continue; // Padding before the start or after the end of the range
 
-    const linksCard = overallGrid.createDiv('para-stat-card');
-    linksCard.createDiv('para-stat-value').setText(this.vaultData.links.length.toString());
-    linksCard.createDiv('para-stat-label').setText('Total Links');
+        const count = items.length;
+        weekdayTotals[row] += count;
 
-    // Average links per note
-    const avgLinks = (this.vaultData.links.length / this.vaultData.notes.length).toFixed(1);
-    const avgCard = overallGrid.createDiv('para-stat-card');
-    avgCard.createDiv('para-stat-value').setText(avgLinks);
-    avgCard.createDiv('para-stat-label').setText('Avg Links/Note');
+        const cell = grid.createDiv('para-heatmap-cell');
+        cell.addClass(`level-${levelOf(count)}`);
+        cell.style.backgroundColor = color;
+        cell.style.gridColumn = `${week + 2}`;
+        cell.style.gridRow = `${row + 2}`;
+        cell.setAttribute('title', `${dateStr} (${date.toLocaleDateString(undefined, { weekday: 'short' })}): ${describe(count)}`);
+        if (count > 0) {
+          cell.addEventListener('click', () => onClick(dateStr, items));
+          cell.style.cursor = 'pointer';
+        }
+      }
+    }
 
-    // PARA distribution
-    const paraSection = stats.createDiv('para-heatmap-section');
-    paraSection.createEl('h3', { text: 'PARA Distribution' });
+    for (let row = 0; row < 7; row++) {
+      const weekday = grid.createDiv({
+        cls: 'para-calendar-weekday',
+        text: addDays(firstDay, row).toLocaleDateString(undefined, { weekday: 'short' })
+      });
+      weekday.style.gridColumn = '1';
+      weekday.style.gridRow = `${row + 2}`;
 
-    const paraGrid = paraSection.createDiv('para-stats-panel');
-    Object.entries(this.vaultData.paraLocations).forEach(([location, notes]) => {
-      const card = paraGrid.createDiv('para-stat-card');
-      const value = card.createDiv('para-stat-value');
-      value.setText(notes.length.toString());
-      value.style.color = PARA_COLORS[location];
+      const total = grid.createDiv({ cls: 'para-calendar-total', text: weekdayTotals[row].toString() });
+      total.style.gridColumn = `${weeks + 2}`;
+      total.style.gridRow = `${row + 2}`;
+      total.setAttribute('title', `${describe(weekdayTotals[row])} on ${weekday.textContent}`);
+    }
 
-      const percentage = ((notes.length / this.vaultData.notes.length) * 100).toFixed(1);
-      card.createDiv('para-stat-label').setText(`${location.toUpperCase()} (${percentage}%)`);
+    // Totals row: range total, active days and the level legend
+    const footer = wrapper.createDiv('para-calendar-footer');
+    const total = weekdayTotals.reduce((sum, value) => sum + value, 0);
+    const activeDays = Array.from(itemsByDay.values()).filter(items => items.length > 0).length;
+    footer.createSpan({
+      cls: 'para-calendar-summary',
+      text: `${describe(total)} · ${activeDays} of ${itemsByDay.size} days active`
     });
 
-    // Recent activity
-    const activitySection = stats.createDiv('para-heatmap-section');
-    activitySection.createEl('h3', { text: 'Recent Activity' });
+    const legend = footer.createDiv('para-calendar-legend');
+    legend.createSpan({ text: 'Less' });
+    for (let level = 0; level <= 4; level++) {
+      const swatch = legend.createDiv(`para-heatmap-cell level-${level}`);
+      swatch.style.backgroundColor = color;
+      // Level n holds counts in ((n - 1) / 4 * max, n / 4 * max]
+      const low = Math.floor(((level - 1) / 4) * maxCount) + 1;
+      const high = Math.floor((level / 4) * maxCount);
+      if (level === 0) {
+        swatch.setAttribute('title', `No ${unit[1]}`);
+      } else if (low <= high) {
+        swatch.setAttribute('title', low === high ? describe(low) : `${low}–${describe(high)}`);
+      }
+    }
+    legend.createSpan({ text: 'More' });
+    return wrapper;
+  }
 
-    const periods = [
-      { days: 1, label: 'Last 24 hours' },
-      { days: 7, label: 'Last 7 days' },
-      { days: 30, label: 'Last 30 days' },
-      { days: 90, label: 'Last 90 days' }
-    ];
-
-    const activityGrid = activitySection.createDiv('para-stats-panel');
-    periods.forEach(period => {
-      const cutoff = Date.now() - (period.days * 24 * 60 * 60 * 1000);
-      const count = this.vaultData.notes.filter(n => n.modified >= cutoff).length;
+  renderGraph(container) {
+    const graphContainer = container.createDiv('para-graph-container');
+    const canvas = graphContainer.createEl('canvas', { cls: 'para-graph-canvas' });
 
-      const card = activityGrid.createDiv('para-stat-card');
-      card.createDiv('para-stat-value').setText(count.toString());
-      card.createDiv('para-stat-label').setText(period.label);
+    // Legend
+    const legend = graphContainer.createDiv('para-graph-legend');
+    legend.createEl('strong', { text: 'PARA Locations' });
+    this.getLocations().forEach(loc => {
+      const item = legend.createDiv('para-graph-legend-item');
+      const colorBox = item.createDiv('para-graph-legend-color');
+      colorBox.style.backgroundColor = loc.color;
+      item.createSpan({ text: loc.label });
     });
 
-    // Top tags
-    const tagsSection = stats.createDiv('para-heatmap-section');
-    tagsSection.createEl('h3', { text: 'Top 10 Tags' });
-
-    const topTags = Array.from(this.vaultData.tags.entries())
-      .map(([tag, notes]) => ({ tag, count: notes.length }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 10);
-
-    const tagsList = tagsSection.createEl('ol');
-    tagsList.style.paddingLeft = '20px';
-    topTags.forEach(item => {
-      tagsList.createEl('li', { text: `#${item.tag} (${item.count})` });
+    // Edge kinds present in the vault, plus on-demand shared-tag edges
+    const edgeKinds = ['link', 'embed'];
+    this.vaultData.links.forEach(link => {
+      const kind = this.getEdgeKind(link);
+      if (!edgeKinds.includes(kind)) edgeKinds.push(kind);
     });
-  }
+    edgeKinds.push('tag');
+    legend.createEl('strong', { text: 'Edges', cls: 'para-graph-legend-heading' });
+    this.renderEdgeFilter(legend, edgeKinds);
 
-  renderReviewRadar(container) {
-    const reviewData = this.computeReviewStats();
-    const reviewView = container.createDiv('para-review-view');
+    // Filter notes by date range
+    const range = this.getDateWindow();
+    const filteredNotes = this.vaultData.notes.filter(n => this.isInDateWindow(n.modified, range));
 
-    if (reviewData.locations.length === 0) {
-      const empty = reviewView.createDiv('para-empty');
-      empty.createDiv('para-empty-icon').setText('🧭');
-      empty.createDiv('para-empty-message').setText('No PARA notes available to calculate review cadence.');
+    if (filteredNotes.length === 0) {
+      const empty = container.createDiv('para-empty');
+      empty.createDiv('para-empty-icon').setText('📭');
+      empty.createDiv('para-empty-message').setText('No notes found in selected time range');
       return;
     }
 
-    const summary = reviewView.createDiv('para-stats-panel');
-    const cards = [
-      { label: 'Overall Health', value: `${reviewData.overallHealth}%` },
-      { label: 'Overdue Reviews', value: reviewData.overdueNotes.length.toString() },
-      { label: 'Freshest Area', value: reviewData.freshest ? `${reviewData.freshest.label} (${this.formatDays(reviewData.freshest.avgDays)} ago)` : '—' }
-    ];
+    // Create force-directed layout (simplified). Positions start as fractions
+    // of the canvas and are scaled to it once it has a size.
+    const nodes = filteredNotes.map((note, i) => ({
+      id: note.path,
+      label: note.basename,
+      para: note.paraLocation,
+      x: Math.random(),
+      y: Math.random(),
+      vx: 0,
+      vy: 0,
+      links: note.links
+    }));
 
-    cards.forEach(cardData => {
-      const card = summary.createDiv('para-stat-card');
-      card.createDiv('para-stat-value').setText(cardData.value);
-      card.createDiv('para-stat-label').setText(cardData.label);
+    const nodeMap = new Map(nodes.map(n => [n.id, n]));
+
+    // Build edges
+    const edges = [];
+    this.vaultData.links.forEach(link => {
+      const kind = this.getEdgeKind(link);
+      if (this.hiddenEdgeKinds.has(kind)) return;
+      const source = nodeMap.get(link.source);
+      const target = nodeMap.get(link.target);
+      if (source && target) {
+        edges.push({ source, target, kind });
+      }
     });
 
-    const layout = reviewView.createDiv('para-review-layout');
-    const chartWrapper = layout.createDiv('para-review-chart');
-    const canvas = chartWrapper.createEl('canvas', { cls: 'para-review-canvas' });
+    if (!this.hiddenEdgeKinds.has('tag')) {
+      edges.push(...this.buildTagEdges(filteredNotes, nodeMap));
+    }
 
-    this.drawReviewRadarChart(canvas, reviewData.locations);
+    // Current drawing surface; set by the first draw and on every resize
+    let ctx = null;
+    let displayWidth = 1;
+    let displayHeight = 1;
 
-    const insights = layout.createDiv('para-review-insights');
-    insights.createEl('h3', { text: 'Insights' });
-    const list = insights.createEl('ul');
+    // Simple force simulation
+    const simulate = () => {
+      // Apply forces
+      const centerX = displayWidth / 2;
+      const centerY = displayHeight / 2;
+      const repulsion = 100;
+      const linkDistance = 50;
 
-    list.createEl('li', { text: `Review cadence health is at ${reviewData.overallHealth}% across tracked PARA buckets.` });
+      // Repulsion between nodes
+      for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+          const dx = nodes[j].x - nodes[i].x;
+          const dy = nodes[j].y - nodes[i].y;
+          const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+          const force = repulsion / (dist * dist);
+          const fx = (dx / dist) * force;
+          const fy = (dy / dist) * force;
+          nodes[i].vx -= fx;
+          nodes[i].vy -= fy;
+          nodes[j].vx += fx;
+          nodes[j].vy += fy;
+        }
+      }
 
-    if (reviewData.stalest) {
-      list.createEl('li', {
-        text: `${reviewData.stalest.label} is the stalest area (${Math.round(reviewData.stalest.avgDays)} days since average touch; target ${Math.round(reviewData.stalest.avgTarget)} days).`
+      // Attraction along edges
+      edges.forEach(edge => {
+        const dx = edge.target.x - edge.source.x;
+        const dy = edge.target.y - edge.source.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+        const force = (dist - linkDistance) * 0.01;
+        const fx = (dx / dist) * force;
+        const fy = (dy / dist) * force;
+        edge.source.vx += fx;
+        edge.source.vy += fy;
+        edge.target.vx -= fx;
+        edge.target.vy -= fy;
       });
-    }
 
-    if (reviewData.overdueNotes.length > 0) {
-      const worst = reviewData.overdueNotes[0];
-      list.createEl('li', {
-        text: `${worst.note.basename} is overdue by ${Math.round(worst.overdueBy)} days (target ${worst.target} days).`
+      // Center attraction
+      nodes.forEach(node => {
+        const dx = centerX - node.x;
+        const dy = centerY - node.y;
+        node.vx += dx * 0.001;
+        node.vy += dy * 0.001;
       });
-    } else {
-      list.createEl('li', { text: 'No notes are currently overdue for review. 🎉' });
-    }
 
-    const locationGrid = reviewView.createDiv('para-review-location-grid');
-    reviewData.locations.forEach(stat => {
-      const card = locationGrid.createDiv('para-review-location-card');
-      const header = card.createDiv('para-review-location-header');
-      const badge = header.createSpan('para-location-badge');
-      badge.addClass(stat.location);
-      badge.setText(stat.label.toUpperCase());
+      // Update positions with damping
+      nodes.forEach(node => {
+        node.x += node.vx;
+        node.y += node.vy;
+        node.vx *= 0.9;
+        node.vy *= 0.9;
 
-      header.createSpan({ text: `${Math.round(stat.score * 100)}% healthy`, cls: 'para-review-score' });
+        // Keep in bounds
+        node.x = Math.max(20, Math.min(displayWidth - 20, node.x));
+        node.y = Math.max(20, Math.min(displayHeight - 20, node.y));
+      });
+    };
 
-      const meta = card.createDiv('para-review-location-meta');
+    const draw = () => {
+      const colors = this.getThemeColors();
+      ctx.clearRect(0, 0, displayWidth, displayHeight);
 
-      meta.createEl('p', { text: `Avg touch: ${this.formatDays(stat.avgDays)} (target ${this.formatDays(stat.avgTarget)})` });
-      meta.createEl('p', { text: `Tracked notes: ${stat.noteCount}` });
-      meta.createEl('p', { text: `Overdue: ${stat.overdueCount}` });
-      meta.createEl('p', { text: `Last touched: ${stat.lastTouched ? new Date(stat.lastTouched).toLocaleDateString() : '—'}` });
-    });
+      // Draw edges
+      edges.forEach(edge => {
+        const style = this.getEdgeStyle(edge.kind);
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.width;
+        ctx.setLineDash(style.dash);
+        ctx.beginPath();
+        ctx.moveTo(edge.source.x, edge.source.y);
+        ctx.lineTo(edge.target.x, edge.target.y);
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
 
-    const overdueSection = reviewView.createDiv('para-review-overdue');
-    overdueSection.createEl('h3', { text: 'Notes Needing Review' });
+      // Draw nodes
+      nodes.forEach(node => {
+        const color = this.getParaColor(node.para, colors.textMuted);
+        const size = Math.min(8, Math.max(4, node.links.length + 3));
 
-    if (reviewData.overdueNotes.length === 0) {
-      overdueSection.createEl('p', { text: 'Everything is within the desired cadence.' });
-    } else {
-      const listEl = overdueSection.createEl('ul');
-      reviewData.overdueNotes.slice(0, 8).forEach(item => {
-        const li = listEl.createEl('li');
-        li.addClass('para-review-overdue-item');
-        li.innerHTML = `
-          <strong>${item.note.basename}</strong>
-          <span class="para-review-overdue-meta">
-            ${item.note.paraLocation.toUpperCase()} • ${this.formatDays(item.daysSince)} since touch • Overdue by ${Math.round(item.overdueBy)} days
-          </span>
-        `;
-        li.addEventListener('click', () => {
-          this.app.workspace.openLinkText(item.note.path, '', false);
-        });
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, size, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Label for larger nodes
+        if (node.links.length > 3) {
+          ctx.fillStyle = colors.text;
+          ctx.font = '10px sans-serif';
+          ctx.textAlign = 'center';
+          ctx.fillText(node.label.substring(0, 15), node.x, node.y - 12);
+        }
       });
-      if (reviewData.overdueNotes.length > 8) {
-        overdueSection.createEl('p', {
-          text: `${reviewData.overdueNotes.length - 8} more notes are overdue.`,
-          attr: { style: 'color: var(--text-muted); font-size: 0.9em;' }
-        });
+    };
+
+    // Animation loop; stops early if the view re-renders
+    let iterations = 0;
+    const animate = () => {
+      if (!canvas.isConnected) return;
+      if (iterations < 100) {
+        simulate();
+        draw();
+        iterations++;
+        requestAnimationFrame(animate);
+      } else {
+        draw(); // Final draw
       }
-    }
-  }
+    };
 
-  drawReviewRadarChart(canvas, locations) {
-    const ratio = window.devicePixelRatio || 1;
-    const displayWidth = canvas.offsetWidth || canvas.parentElement?.offsetWidth || 400;
-    const displayHeight = 360;
-    canvas.width = displayWidth * ratio;
-    canvas.height = displayHeight * ratio;
+    // Resizing rescales the current layout instead of restarting the simulation
+    this.drawCanvas(canvas, surface => {
+      const scaleX = surface.width / displayWidth;
+      const scaleY = surface.height / displayHeight;
+      nodes.forEach(node => {
+        node.x *= scaleX;
+        node.y *= scaleY;
+      });
+      displayWidth = surface.width;
+      displayHeight = surface.height;
 
-    const ctx = canvas.getContext('2d');
-    ctx.scale(ratio, ratio);
+      const started = ctx !== null;
+      ctx = surface.ctx;
+      if (started) {
+        draw();
+      } else {
+        animate();
+      }
 
-    const centerX = displayWidth / 2;
-    const centerY = displayHeight / 2;
-    const radius = Math.min(displayWidth, displayHeight) / 2 - 40;
-    const axisCount = locations.length;
-    const rings = 4;
+      // Nodes keep moving while the simulation runs, so test live positions
+      return (x, y) => {
+        const node = nodes.find(n => Math.hypot(x - n.x, y - n.y) < 10);
+        if (!node) return null;
+        return {
+          tooltip: `${node.label}\n${this.getLocationLabel(node.para)} · ${node.links.length} ${node.links.length === 1 ? 'link' : 'links'}`,
+          onClick: () => this.app.workspace.openLinkText(node.id, '', false)
+        };
+      };
+    });
+  }
 
-    ctx.strokeStyle = 'var(--background-modifier-border)';
-    ctx.lineWidth = 1;
+  /**
+   * Connect notes that share a content tag. Tags on more than 25 of the notes
+   * are skipped - they would connect everything to everything.
+   */
+  buildTagEdges(notes, nodeMap) {
+    const systemTags = this.getSystemTags();
+    const byTag = new Map();
+    notes.forEach(note => {
+      note.tags.forEach(tag => {
+        if (systemTags.has(tag.toLowerCase())) return;
+        if (!byTag.has(tag)) byTag.set(tag, []);
+        byTag.get(tag).push(note.path);
+      });
+    });
 
-    for (let i = 1; i <= rings; i++) {
-      const ringRadius = (radius / rings) * i;
-      ctx.beginPath();
-      for (let axis = 0; axis < axisCount; axis++) {
-        const angle = (Math.PI * 2 * axis) / axisCount - Math.PI / 2;
-        const x = centerX + Math.cos(angle) * ringRadius;
-        const y = centerY + Math.sin(angle) * ringRadius;
-        axis === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+    const edges = [];
+    const seen = new Set();
+    byTag.forEach(paths => {
+      if (paths.length < 2 || paths.length > 25) return;
+      for (let i = 0; i < paths.length; i++) {
+        for (let j = i + 1; j < paths.length; j++) {
+          const key = `${paths[i]}|${paths[j]}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          edges.push({ source: nodeMap.get(paths[i]), target: nodeMap.get(paths[j]), kind: 'tag' });
+        }
       }
-      ctx.closePath();
-      ctx.stroke();
-    }
+    });
+    return edges;
+  }
 
-    ctx.strokeStyle = 'var(--background-modifier-border)';
-    locations.forEach((stat, index) => {
-      const angle = (Math.PI * 2 * index) / axisCount - Math.PI / 2;
-      const x = centerX + Math.cos(angle) * radius;
-      const y = centerY + Math.sin(angle) * radius;
-      ctx.beginPath();
-      ctx.moveTo(centerX, centerY);
-      ctx.lineTo(x, y);
-      ctx.stroke();
+  renderSankey(container) {
+    const sankeyContainer = container.createDiv('para-sankey-container');
 
-      ctx.fillStyle = 'var(--text-muted)';
-      ctx.font = '12px sans-serif';
-      const labelX = centerX + Math.cos(angle) * (radius + 20);
-      const labelY = centerY + Math.sin(angle) * (radius + 20);
-      ctx.textAlign = labelX < centerX ? 'right' : 'left';
-      ctx.fillText(`${stat.label} (${Math.round(stat.avgDays)}d / ${Math.round(stat.avgTarget)}d)`, labelX, labelY);
-    });
+    // Calculate PARA flow based on note age and location
+    // Assumptions about flow patterns:
+    // - Notes created in inbox -> likely moved to projects/areas/resources
+    // - Notes in projects for >90 days -> likely moved to archive
+    // - Notes can move: inbox->projects->archive or inbox->areas (ongoing)
 
-    ctx.beginPath();
-    locations.forEach((stat, index) => {
-      const angle = (Math.PI * 2 * index) / axisCount - Math.PI / 2;
-      const r = radius * Math.max(0, Math.min(1, stat.score));
-      const x = centerX + Math.cos(angle) * r;
-      const y = centerY + Math.sin(angle) * r;
-      index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
-    });
-    ctx.closePath();
-    ctx.fillStyle = 'rgba(59, 130, 246, 0.25)';
-    ctx.strokeStyle = '#3b82f6';
-    ctx.fill();
-    ctx.stroke();
+    const range = this.getDateWindow();
+    const filteredNotes = this.vaultData.notes.filter(n => this.isInDateWindow(n.created, range));
 
-    locations.forEach((stat, index) => {
-      const angle = (Math.PI * 2 * index) / axisCount - Math.PI / 2;
-      const r = radius * stat.score;
-      const x = centerX + Math.cos(angle) * r;
-      const y = centerY + Math.sin(angle) * r;
-      ctx.beginPath();
-      ctx.fillStyle = '#3b82f6';
-      ctx.arc(x, y, 4, 0, Math.PI * 2);
-      ctx.fill();
-    });
-  }
+    if (filteredNotes.length === 0) {
+      const empty = container.createDiv('para-empty');
+      empty.createDiv('para-empty-icon').setText('🌊');
+      empty.createDiv('para-empty-message').setText('No notes found in selected time range');
+      return;
+    }
 
-  computeReviewStats() {
-    const now = Date.now();
-    const dayMs = 24 * 60 * 60 * 1000;
-    const locations = [];
-    const overdueNotes = [];
-    const order = ['inbox', 'projects', 'areas', 'resources'];
+    // Build flow data
+    // Since we don't have historical location tracking, we'll estimate flows based on:
+    // 1. Current distribution
+    // 2. Note age vs location (older notes in archive suggests flow)
+    // 3. Creation vs modification patterns
 
-    order.forEach(location => {
-      const notes = this.vaultData.notes.filter(n => n.paraLocation === location);
-      if (notes.length === 0) return;
+    const flowData = this.calculatePARAFlows(filteredNotes);
 
-      let totalDays = 0;
-      let totalTarget = 0;
-      let targetCount = 0;
-      let latestTouch = 0;
-      let overdueCount = 0;
+    // Stats panel
+    const statsPanel = sankeyContainer.createDiv('para-sankey-stats');
+    statsPanel.createEl('h3', { text: 'PARA Flow Analysis' });
 
-      notes.forEach(note => {
-        const daysSince = (now - note.modified) / dayMs;
-        totalDays += daysSince;
-        latestTouch = Math.max(latestTouch, note.modified);
-        const target = this.getReviewIntervalForNote(note);
-        if (target) {
-          totalTarget += target;
-          targetCount++;
-          if (daysSince > target) {
-            overdueCount++;
-            overdueNotes.push({
-              note,
-              daysSince,
-              target,
-              overdueBy: daysSince - target
-            });
-          }
-        }
-      });
+    const statsGrid = statsPanel.createDiv('para-stats-panel');
 
-      const avgDays = totalDays / notes.length;
-      const avgTarget = targetCount > 0 ? totalTarget / targetCount : this.getDefaultReviewInterval(location);
-      const score = avgDays <= 0 ? 1 : Math.min(1, avgTarget / avgDays);
+    const totalFlow = Object.values(flowData.flows).reduce((sum, val) => sum + val, 0);
 
-      locations.push({
-        location,
-        label: location.charAt(0).toUpperCase() + location.slice(1),
-        avgDays,
-        avgTarget,
-        score,
-        lastTouched: latestTouch,
-        noteCount: notes.length,
-        overdueCount
-      });
+    // Key metrics
+    const dataAccuracy = flowData.historyCount > 0
+      ? `${Math.round((flowData.historyCount / (flowData.historyCount + flowData.estimateCount)) * 100)}%`
+      : '0%';
+
+    // Project metrics follow the locations with the Project role
+    const noProjects = 'No location has the Project role (Settings → PARA locations)';
+    const metrics = [
+      { label: 'Total Flow Events', value: totalFlow },
+      flowData.hasProjects
+        ? { label: 'Active Projects', value: flowData.activeProjects }
+        : { label: 'Active Projects', value: '—', tooltip: noProjects },
+      { label: 'Archived Notes', value: flowData.archivedNotes },
+      flowData.hasProjects
+        ? { label: 'Avg. Project Duration', value: `${flowData.avgProjectDuration} days` }
+        : { label: 'Avg. Project Duration', value: '—', tooltip: noProjects },
+      { label: 'Data Accuracy', value: dataAccuracy, tooltip: `${flowData.historyCount} with history, ${flowData.estimateCount} estimated` }
+    ];
+
+    metrics.forEach(metric => {
+      const card = statsGrid.createDiv('para-stat-card');
+      if (metric.tooltip) {
+        card.setAttribute('title', metric.tooltip);
+      }
+      card.createDiv('para-stat-value').setText(metric.value.toString());
+      card.createDiv('para-stat-label').setText(metric.label);
     });
 
-    overdueNotes.sort((a, b) => b.overdueBy - a.overdueBy);
+    // Canvas for Sankey diagram
+    const canvas = sankeyContainer.createEl('canvas', { cls: 'para-sankey-canvas' });
+    // Sankey layout: entry stage on the left, active stages in the middle,
+    // terminal (archive) stages on the right
+    const { entry, active, terminal } = flowData.columns;
 
-    const overallHealth = locations.length
-      ? Math.round((locations.reduce((sum, loc) => sum + loc.score, 0) / locations.length) * 100)
-      : 0;
+    // Define flows (edges)
+    const flows = Object.entries(flowData.flows)
+      .map(([key, value]) => {
+        const [source, target] = key.split('->');
+        return { source, target, value };
+      })
+      .filter(flow => flow.value > 0);
+
+    this.drawCanvas(canvas, ({ ctx, width: displayWidth, height: displayHeight }) => {
+      const colors = this.getThemeColors();
+      const spreadY = (index, count) => displayHeight * ((index + 1) / (count + 1));
+      const makeNode = (loc, x, index, count) => ({
+        id: loc.id,
+        label: loc.label,
+        para: loc.id,
+        x,
+        y: spreadY(index, count),
+        width: 60,
+        height: 0
+      });
 
-    const stalest = locations.reduce((worst, current) => {
-      if (!worst) return current;
-      return current.avgDays > worst.avgDays ? current : worst;
-    }, null);
+      const nodes = [
+        // Left column (sources)
+        ...(entry ? [makeNode(entry, 80, 0, 1)] : []),
 
-    const freshest = locations.reduce((best, current) => {
-      if (!best) return current;
-      return current.avgDays < best.avgDays ? current : best;
-    }, null);
+        // Middle column (active work)
+        ...active.map((loc, i) => makeNode(loc, displayWidth / 2 - 80, i, active.length)),
 
-    return {
-      locations,
-      overdueNotes,
-      overallHealth,
-      stalest,
-      freshest
-    };
-  }
+        // Right column (destination)
+        ...terminal.map((loc, i) => makeNode(loc, displayWidth - 140, i, terminal.length))
+      ];
 
-  renderPipelineTimeline(container) {
-    const pipelineView = container.createDiv('para-pipeline-view');
-    const pipelineData = this.generatePipelineTimelineData();
+      // Calculate node heights based on flows: sources by outflow, destinations
+      // by inflow, and active stages by everything passing through them
+      const nodeFlows = {};
+      nodes.forEach(node => {
+        nodeFlows[node.id] = flows.reduce((sum, flow) => {
+          const touches = flow.source === node.id || flow.target === node.id;
+          return touches ? sum + flow.value : sum;
+        }, 0);
+      });
 
-    if (pipelineData.timeline.length === 0) {
-      const empty = pipelineView.createDiv('para-empty');
-      empty.createDiv('para-empty-icon').setText('📉');
-      empty.createDiv('para-empty-message').setText('Not enough PARA history data to build the pipeline timeline.');
-      return;
-    }
+      const maxFlow = Math.max(...Object.values(nodeFlows), 1);
+      const minHeight = 40;
+      const maxHeight = displayHeight * 0.4 / Math.max(1, Math.ceil(active.length / 3));
 
-    const totalActive = this.vaultData.notes.filter(n => n.paraLocation !== 'archive').length;
-    const summary = pipelineView.createDiv('para-stats-panel');
-    const cards = [
-      { label: 'Active Pipeline', value: totalActive.toString() },
-      { label: 'Projects Archived (window)', value: (pipelineData.transitionCounts['projects->archive'] || 0).toString() },
-      {
-        label: 'Longest Stage',
-        value: pipelineData.longestStage
-          ? `${pipelineData.longestStage.label} (${this.formatDays(pipelineData.longestStage.duration)})`
-          : '—'
-      }
-    ];
+      nodes.forEach(node => {
+        const flow = nodeFlows[node.id] || 0;
+        node.height = Math.max(minHeight, (flow / maxFlow) * maxHeight);
+      });
 
-    cards.forEach(cardData => {
-      const card = summary.createDiv('para-stat-card');
-      card.createDiv('para-stat-value').setText(cardData.value);
-      card.createDiv('para-stat-label').setText(cardData.label);
-    });
+      // Draw flows (curved paths), keeping a polyline of each for hit testing
+      const flowPaths = [];
+      flows.forEach(flow => {
+        const sourceNode = nodes.find(n => n.id === flow.source);
+        const targetNode = nodes.find(n => n.id === flow.target);
 
-    const chartSection = pipelineView.createDiv('para-pipeline-chart');
-    chartSection.createEl('h3', { text: 'Pipeline Over Time' });
-    const canvas = chartSection.createEl('canvas', { cls: 'para-pipeline-canvas' });
-    this.drawPipelineTimelineChart(canvas, pipelineData.timeline);
+        const flowHeight = (flow.value / maxFlow) * maxHeight * 0.8;
 
-    const legend = chartSection.createDiv('para-pipeline-legend');
-    Object.entries(PARA_COLORS).forEach(([location, color]) => {
-      const item = legend.createDiv('para-graph-legend-item');
-      const colorBox = item.createDiv('para-graph-legend-color');
-      colorBox.style.backgroundColor = color;
-      item.createSpan({ text: location.charAt(0).toUpperCase() + location.slice(1) });
-    });
+        // Calculate bezier curve
+        const x1 = sourceNode.x + sourceNode.width;
+        const y1 = sourceNode.y;
+        const x2 = targetNode.x;
+        const y2 = targetNode.y;
+        const cx1 = x1 + (x2 - x1) * 0.5;
+        const cx2 = x2 - (x2 - x1) * 0.5;
 
-    const insights = pipelineView.createDiv('para-pipeline-insights');
-    insights.createEl('h3', { text: 'Flow Insights' });
-    const list = insights.createEl('ul');
-    list.style.paddingLeft = '20px';
+        // Draw gradient flow
+        const gradient = ctx.createLinearGradient(x1, y1, x2, y2);
+        gradient.addColorStop(0, this.hexToRgba(this.getParaColor(sourceNode.para), 0.67));
+        gradient.addColorStop(1, this.hexToRgba(this.getParaColor(targetNode.para), 0.67));
 
-    if (pipelineData.busiestDay) {
-      const dominant = pipelineData.busiestDay.dominant
-        ? pipelineData.busiestDay.dominant.charAt(0).toUpperCase() + pipelineData.busiestDay.dominant.slice(1)
-        : 'Mixed';
-      list.createEl('li', {
-        text: `${pipelineData.busiestDay.date} was the busiest day (${pipelineData.busiestDay.total} notes) dominated by ${dominant}.`
-      });
-    }
+        ctx.fillStyle = gradient;
+        ctx.strokeStyle = gradient;
+        ctx.lineWidth = flowHeight;
+        ctx.lineCap = 'round';
 
-    if (pipelineData.longestStage) {
-      list.createEl('li', {
-        text: `${pipelineData.longestStage.label} keeps notes the longest (${this.formatDays(pipelineData.longestStage.duration)} on average).`
-      });
-    }
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.bezierCurveTo(cx1, y1, cx2, y2, x2, y2);
+        ctx.stroke();
 
-    if (pipelineData.topTransition) {
-      list.createEl('li', {
-        text: `${pipelineData.topTransition.key} happened ${pipelineData.topTransition.value} times in this window.`
+        const points = [];
+        for (let i = 0; i <= 20; i++) {
+          const t = i / 20;
+          const u = 1 - t;
+          points.push({
+            x: u * u * u * x1 + 3 * u * u * t * cx1 + 3 * u * t * t * cx2 + t * t * t * x2,
+            y: u * u * u * y1 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y2
+          });
+        }
+        flowPaths.push({ flow, points, halfWidth: Math.max(4, flowHeight / 2), sourceNode, targetNode });
+
+        // Draw flow label
+        const midX = (x1 + x2) / 2;
+        const midY = (y1 + y2) / 2;
+        if (flow.value > 0) {
+          ctx.fillStyle = colors.text;
+          ctx.font = 'bold 12px sans-serif';
+          ctx.textAlign = 'center';
+          ctx.fillText(flow.value.toString(), midX, midY - 5);
+        }
       });
-    }
 
-    const durationSection = pipelineView.createDiv('para-pipeline-durations');
-    durationSection.createEl('h3', { text: 'Average Time in Stage' });
-    const durationGrid = durationSection.createDiv('para-pipeline-duration-grid');
+      // Draw nodes
+      nodes.forEach(node => {
+        const color = this.getParaColor(node.para);
 
-    ['inbox', 'projects', 'areas', 'resources', 'archive'].forEach(location => {
-      const card = durationGrid.createDiv('para-pipeline-duration-card');
-      const header = card.createDiv('para-pipeline-duration-header');
-      const badge = header.createSpan('para-location-badge');
-      badge.addClass(location);
-      badge.setText(location.toUpperCase());
+        // Node rectangle
+        ctx.fillStyle = color;
+        ctx.fillRect(node.x, node.y - node.height / 2, node.width, node.height);
+
+        // Node border
+        ctx.strokeStyle = colors.background;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(node.x, node.y - node.height / 2, node.width, node.height);
+
+        // Node label
+        ctx.fillStyle = colors.text;
+        ctx.font = 'bold 14px sans-serif';
+        ctx.textAlign = node.x < displayWidth / 2 ? 'left' : 'right';
+        const labelX = node.x < displayWidth / 2 ? node.x - 10 : node.x + node.width + 10;
+        ctx.fillText(node.label, labelX, node.y + 5);
+
+        // Flow count
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = colors.textOnAccent;
+        const count = nodeFlows[node.id] || 0;
+        if (count > 0) {
+          ctx.fillText(count.toString(), node.x + node.width / 2, node.y + 5);
+        }
+      });
 
-      const duration = pipelineData.avgStageDurations[location];
-      card.createDiv('para-pipeline-duration-value').setText(
-        duration ? this.formatDays(duration) : 'No data'
-      );
-      card.createDiv('para-pipeline-duration-label').setText('Avg time before moving');
+      // Nodes are drawn on top, so test them before flows
+      return (x, y) => {
+        const node = nodes.find(n =>
+          x >= n.x && x <= n.x + n.width && y >= n.y - n.height / 2 && y <= n.y + n.height / 2
+        );
+        if (node) {
+          const notes = filteredNotes.filter(n => n.paraLocation === node.id);
+          return {
+            tooltip: `${node.label}\n${nodeFlows[node.id] || 0} flowing through · ${notes.length} notes here now`,
+            onClick: () => this.openNoteList(`${node.label} notes`, notes)
+          };
+        }
+
+        // Reverse so the flow drawn last (on top) wins
+        const hit = flowPaths.slice().reverse().find(path =>
+          path.points.some((point, i) => i > 0 && distanceToSegment(x, y, path.points[i - 1], point) <= path.halfWidth)
+        );
+        if (!hit) return null;
+        const title = `${hit.sourceNode.label} → ${hit.targetNode.label}`;
+        return {
+          tooltip: `${title}: ${hit.flow.value} ${hit.flow.value === 1 ? 'note' : 'notes'}`,
+          onClick: () => this.openNoteList(title, flowData.flowNotes[`${hit.flow.source}->${hit.flow.target}`] || [])
+        };
+      };
     });
 
-    const transitionSection = pipelineView.createDiv('para-pipeline-transitions');
-    transitionSection.createEl('h3', { text: 'Top Transitions' });
-    const transitionList = transitionSection.createEl('ol');
-    transitionList.style.paddingLeft = '20px';
+    // Insights section
+    const insights = sankeyContainer.createDiv('para-sankey-insights');
+    insights.createEl('h3', { text: 'Insights & Patterns' });
 
-    const topTransitions = Object.entries(pipelineData.transitionCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5);
+    const insightsList = insights.createEl('ul');
+    insightsList.style.paddingLeft = '20px';
+    insightsList.style.lineHeight = '1.8';
 
-    if (topTransitions.length === 0) {
-      transitionSection.createEl('p', { text: 'No tracked transitions during this window.' });
+    // Generate insights
+    const totalNotes = filteredNotes.length;
+    const archivedFlow = flows
+      .filter(flow => terminal.some(loc => loc.id === flow.target))
+      .reduce((sum, flow) => sum + flow.value, 0);
+    const archivePct = ((archivedFlow / totalNotes) * 100).toFixed(0);
+
+    if (entry) {
+      const topEntryFlow = flows
+        .filter(flow => flow.source === entry.id)
+        .sort((a, b) => b.value - a.value)[0];
+      if (topEntryFlow) {
+        insightsList.createEl('li', {
+          text: `Most ${entry.label.toLowerCase()} items become ${this.getLocationLabel(topEntryFlow.target).toLowerCase()} (${topEntryFlow.value} notes)`
+        });
+      }
+    }
+
+    if (archivedFlow > totalNotes * 0.1) {
+      insightsList.createEl('li', { text: `Good completion rate: ${archivedFlow} notes archived` });
     } else {
-      topTransitions.forEach(([key, value]) => {
-        transitionList.createEl('li', { text: `${key} — ${value} notes` });
-      });
+      insightsList.createEl('li', { text: 'Notes tend to stay active longer than average' });
+    }
+
+    if (!flowData.hasProjects) {
+      insightsList.createEl('li', { text: 'Give a location the Project role in settings to see project metrics' });
+    } else if (flowData.avgProjectDuration < 30) {
+      insightsList.createEl('li', { text: 'Fast project turnaround (< 1 month average)' });
+    } else if (flowData.avgProjectDuration > 90) {
+      insightsList.createEl('li', { text: 'Long-term projects (> 3 months average)' });
     }
+
+    insightsList.createEl('li', { text: `${archivePct}% of notes eventually get archived` });
   }
 
-  drawPipelineTimelineChart(canvas, timeline) {
-    const ratio = window.devicePixelRatio || 1;
-    const displayWidth = canvas.offsetWidth || canvas.parentElement?.offsetWidth || 600;
-    const displayHeight = 360;
-    canvas.width = displayWidth * ratio;
-    canvas.height = displayHeight * ratio;
+  calculatePARAFlows(notes) {
+    // Use real history data when available, fall back to heuristics
 
-    const ctx = canvas.getContext('2d');
-    ctx.scale(ratio, ratio);
+    const locations = this.getLocations();
+    const entry = locations.find(loc => loc.role === 'inbox') || null;
+    const active = locations.filter(loc => loc !== entry && loc.role !== 'archive');
+    const terminal = locations.filter(loc => loc !== entry && loc.role === 'archive');
 
-    const padding = 40;
-    const chartWidth = displayWidth - padding * 2;
-    const chartHeight = displayHeight - padding * 2;
-    const categories = ['inbox', 'projects', 'areas', 'resources', 'archive'];
-    const maxTotal = Math.max(...timeline.map(day => day.total), 1);
-    const stepCount = timeline.length > 1 ? timeline.length - 1 : 1;
+    // Column of each location in the flow diagram; only forward flows are tracked
+    const column = {};
+    if (entry) column[entry.id] = 0;
+    active.forEach(loc => { column[loc.id] = 1; });
+    terminal.forEach(loc => { column[loc.id] = 2; });
 
-    ctx.strokeStyle = '#ccc';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(padding, padding);
-    ctx.lineTo(padding, displayHeight - padding);
-    ctx.lineTo(displayWidth - padding, displayHeight - padding);
-    ctx.stroke();
+    const flows = {};
+    if (entry) {
+      active.forEach(loc => { flows[`${entry.id}->${loc.id}`] = 0; });
+    }
+    active.forEach(from => {
+      terminal.forEach(to => { flows[`${from.id}->${to.id}`] = 0; });
+    });
 
-    ctx.strokeStyle = '#eee';
-    for (let i = 1; i <= 4; i++) {
-      const y = padding + (chartHeight / 4) * i;
-      ctx.beginPath();
-      ctx.moveTo(padding, y);
-      ctx.lineTo(displayWidth - padding, y);
-      ctx.stroke();
+    const flowNotes = {}; // flow key -> notes counted in it
+    const addFlow = (from, to, note) => {
+      if (column[from] === undefined || column[to] === undefined) return;
+      if (column[from] >= column[to]) return;
+      const key = `${from}->${to}`;
+      flows[key] = (flows[key] || 0) + 1;
+      if (!flowNotes[key]) flowNotes[key] = [];
+      if (!flowNotes[key].includes(note)) flowNotes[key].push(note);
+    };
+
+    // Archive heuristics, ordered so younger archived notes are attributed to
+    // the stage that archives soonest (project stages before other active ones)
+    const heuristicFor = (location) => ARCHIVE_HEURISTICS[this.getLocationRole(location)] || DEFAULT_ARCHIVE_HEURISTIC;
+    const isProject = (location) => column[location] !== undefined && this.getLocationRole(location) === 'project';
+    const archiveOrigins = active
+      .slice()
+      .sort((a, b) => heuristicFor(a.id).age - heuristicFor(b.id).age);
+
+    let activeProjects = 0;
+    let archivedNotes = 0;
+    let projectDurations = [];
+    let historyCount = 0;
+    let estimateCount = 0;
+
+    const now = Date.now();
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    notes.forEach(note => {
+      const ageInDays = (now - note.created) / dayMs;
+      const timeSinceModDays = (now - note.modified) / dayMs;
+
+      // Use real history data if available
+      if (note.paraHistory && note.paraHistory.length > 0) {
+        historyCount++;
+        note.paraHistory.forEach(entryData => {
+          const from = this.normalizeLocation(entryData.from);
+          const to = this.normalizeLocation(entryData.to);
+          addFlow(from, to, note);
+
+          // Track project durations for real data
+          if (isProject(from) && this.getLocationRole(to) === 'archive') {
+            const projectDuration = (entryData.timestamp - note.created) / dayMs;
+            if (projectDuration > 0) {
+              projectDurations.push(projectDuration);
+            }
+          }
+        });
+      } else {
+        // Fall back to heuristic estimation
+        estimateCount++;
+        const role = column[note.paraLocation] === undefined ? null : this.getLocationRole(note.paraLocation);
+
+        if (role === 'archive') {
+          // Count backwards - where did archived notes come from?
+          // Estimate: the stage whose archive age threshold the note falls under
+          const origin = archiveOrigins.find(loc => ageInDays < heuristicFor(loc.id).age)
+            || archiveOrigins[archiveOrigins.length - 1];
+          if (origin) {
+            addFlow(origin.id, note.paraLocation, note);
+          }
+        } else if (role && note.paraLocation !== entry?.id) {
+          // Assume notes came from the inbox
+          if (entry) {
+            addFlow(entry.id, note.paraLocation, note);
+          }
+          if (isProject(note.paraLocation)) {
+            projectDurations.push(ageInDays);
+          }
+
+          // If old and unmodified, likely to be archived
+          const heuristic = heuristicFor(note.paraLocation);
+          if (terminal.length > 0 && ageInDays > heuristic.age && timeSinceModDays > heuristic.idle) {
+            addFlow(note.paraLocation, terminal[0].id, note);
+          }
+        }
+        // Inbox items are assumed to move eventually, but that is speculative
+      }
+
+      // Count active projects and archived notes from current state
+      if (isProject(note.paraLocation)) {
+        activeProjects++;
+      } else if (column[note.paraLocation] === 2) {
+        archivedNotes++;
+      }
+    });
+
+    const avgProjectDuration = projectDurations.length > 0
+      ? Math.round(projectDurations.reduce((a, b) => a + b, 0) / projectDurations.length)
+      : 0;
+
+    console.log(`Quick PARA Flow: ${historyCount} notes with history, ${estimateCount} estimated`);
+
+    return {
+      flows,
+      flowNotes,
+      columns: { entry, active, terminal },
+      hasProjects: active.some(loc => loc.role === 'project'),
+      activeProjects,
+      archivedNotes,
+      avgProjectDuration,
+      historyCount,
+      estimateCount
+    };
+  }
+
+  renderTaskAnalytics(container) {
+    const taskData = this.vaultData.tasks;
+
+    if (!taskData || taskData.all.length === 0) {
+      const empty = container.createDiv('para-empty');
+      empty.createDiv('para-empty-icon').setText('✅');
+      empty.createDiv('para-empty-message').setText('No tasks found in vault');
+      return;
     }
 
-    const stackedTotals = new Array(timeline.length).fill(0);
+    const analytics = container.createDiv('para-task-analytics');
 
-    categories.forEach(location => {
-      const topPoints = [];
-      const bottomPoints = [];
-      timeline.forEach((day, index) => {
-        const base = stackedTotals[index];
-        const value = day.counts[location] || 0;
-        const top = base + value;
-        const x = padding + (index / stepCount) * chartWidth;
-        const yTop = displayHeight - padding - (top / maxTotal) * chartHeight;
-        const yBase = displayHeight - padding - (base / maxTotal) * chartHeight;
-        topPoints.push({ x, y: yTop });
-        bottomPoints.push({ x, y: yBase });
-        stackedTotals[index] = top;
+    // Overall task metrics
+    const metricsSection = analytics.createDiv('para-heatmap-section');
+    metricsSection.createEl('h3', { text: 'Task Overview' });
+
+    const totalTasks = taskData.all.length;
+    const completedTasks = taskData.all.filter(t => t.completed).length;
+    const cancelledTasks = taskData.all.filter(t => t.status === 'cancelled').length;
+    const inProgressTasks = taskData.all.filter(t => t.status === 'in-progress').length;
+    const openTasks = taskData.all.filter(isOpenTask).length;
+    // Cancelled tasks were never going to be done, so they don't count against the rate
+    const countedTasks = totalTasks - cancelledTasks;
+    const completionRate = countedTasks > 0 ? ((completedTasks / countedTasks) * 100).toFixed(1) : 0;
+
+    // Calculate tasks with completion dates (tracked completion)
+    const tasksWithCompletionDates = taskData.all.filter(t => t.completed && t.completionDate).length;
+    const trackingCoverage = completedTasks > 0 ? ((tasksWithCompletionDates / completedTasks) * 100).toFixed(0) : 0;
+
+    const metricsGrid = metricsSection.createDiv('para-stats-panel');
+
+    const metrics = [
+      { label: 'Total Tasks', value: totalTasks },
+      { label: 'Completed', value: completedTasks },
+      { label: 'In Progress', value: inProgressTasks },
+      { label: 'Open', value: openTasks, tooltip: 'Tasks not done or cancelled, including in-progress and deferred ones' },
+      { label: 'Cancelled', value: cancelledTasks },
+      { label: 'Completion Rate', value: `${completionRate}%`, tooltip: 'Completed tasks out of all tasks that were not cancelled' },
+      { label: 'Tracking Coverage', value: `${trackingCoverage}%`, tooltip: `${tasksWithCompletionDates} of ${completedTasks} completed tasks have completion dates` }
+    ];
+
+    metrics.forEach(metric => {
+      const card = metricsGrid.createDiv('para-stat-card');
+      if (metric.tooltip) {
+        card.setAttribute('title', metric.tooltip);
+      }
+      card.createDiv('para-stat-value').setText(metric.value.toString());
+      card.createDiv('para-stat-label').setText(metric.label);
+    });
+
+    // Task distribution by PARA location
+    const paraSection = analytics.createDiv('para-heatmap-section');
+    paraSection.createEl('h3', { text: 'Tasks by PARA Location' });
+
+    const paraGrid = paraSection.createDiv('para-task-para-grid');
+
+    Object.entries(taskData.byPara).forEach(([location, counts]) => {
+      const total = counts.open + counts.completed + counts.cancelled;
+      if (total === 0) return;
+
+      const card = paraGrid.createDiv('para-task-para-card');
+
+      const header = card.createDiv('para-task-para-header');
+      this.createLocationBadge(header, location);
+
+      const stats = card.createDiv('para-task-para-stats');
+
+      const bars = [
+        { label: 'Open', count: counts.open, color: '#f59e0b' }, // Orange for open tasks
+        { label: 'In progress (of open)', count: counts.inProgress, color: '#06b6d4', optional: true },
+        { label: 'Completed', count: counts.completed, color: this.getParaColor(location) },
+        { label: 'Cancelled', count: counts.cancelled, color: '#9ca3af', optional: true }
+      ];
+
+      bars.forEach(({ label, count, color, optional }) => {
+        if (optional && count === 0) return;
+        const bar = stats.createDiv('para-task-bar');
+        bar.createSpan({ text: `${label}: ${count}`, cls: 'para-task-bar-label' });
+        const progress = bar.createDiv('para-task-bar-progress');
+        progress.style.width = `${(count / total) * 100}%`;
+        progress.style.backgroundColor = color;
+      });
+    });
+
+    const range = this.getDateWindow();
+    const comparisonRange = this.getComparisonWindow();
+    const countCompletions = keys => keys.reduce((sum, key) => sum + (taskData.byDate.get(key)?.length || 0), 0);
+
+    // Task completion heatmap
+    if (tasksWithCompletionDates > 0) {
+      const heatmapSection = analytics.createDiv('para-heatmap-section');
+      heatmapSection.createEl('h3', { text: 'Task Completion Heatmap' });
+      if (comparisonRange) {
+        const current = countCompletions(this.getDateWindowKeys(range));
+        const previous = countCompletions(this.getDateWindowKeys(comparisonRange));
+        heatmapSection.createSpan({ text: `${current} completed vs ${previous} in ${this.formatDateWindow(comparisonRange)} ` });
+        this.renderDelta(heatmapSection, current, previous);
+      }
+
+      this.renderCalendarHeatmap(heatmapSection, {
+        range,
+        color: '#10b981', // Green for completed tasks
+        unit: ['task completed', 'tasks completed'],
+        getItems: dateStr => taskData.byDate.get(dateStr) || [],
+        onClick: (dateStr, tasks) => this.openTaskList(`Tasks completed on ${dateStr}`, tasks)
       });
+    }
+
+    // Task velocity chart (line graph)
+    const velocitySection = analytics.createDiv('para-heatmap-section');
+    velocitySection.createEl('h3', { text: 'Task Completion Velocity' });
 
+    const velocityCanvas = velocitySection.createEl('canvas', { cls: 'para-velocity-canvas' });
+
+    // Calculate daily completion counts
+    const toDailyCounts = keys => keys.map(date => ({ date, count: taskData.byDate.get(date)?.length || 0 }));
+    const dailyCounts = toDailyCounts(this.getDateWindowKeys(range));
+    // The comparison period is drawn day-for-day underneath the selected one
+    const comparisonCounts = comparisonRange ? toDailyCounts(this.getDateWindowKeys(comparisonRange)) : [];
+
+    if (comparisonRange) {
+      const current = dailyCounts.reduce((sum, d) => sum + d.count, 0);
+      const previous = comparisonCounts.reduce((sum, d) => sum + d.count, 0);
+      const summary = velocitySection.createDiv('para-velocity-summary');
+      summary.createSpan({ text: `${current} completed (solid) vs ${previous} in ${this.formatDateWindow(comparisonRange)} (dashed) ` });
+      this.renderDelta(summary, current, previous);
+    }
+
+    // Draw velocity chart
+    const maxVelocity = Math.max(...dailyCounts.map(d => d.count), ...comparisonCounts.map(d => d.count), 1);
+    const dayCount = Math.max(dailyCounts.length, comparisonCounts.length);
+    const xStep = dayCount > 1 ? 1 / (dayCount - 1) : 0;
+
+    this.drawCanvas(velocityCanvas, ({ ctx, width: displayWidth, height: displayHeight }) => {
+      const colors = this.getThemeColors();
+      const padding = 40;
+      const chartWidth = displayWidth - padding * 2;
+      const chartHeight = displayHeight - padding * 2;
+
+      // Draw axes
+      ctx.strokeStyle = colors.axis;
+      ctx.lineWidth = 1;
       ctx.beginPath();
-      topPoints.forEach((point, idx) => (idx === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
-      for (let i = bottomPoints.length - 1; i >= 0; i--) {
-        const point = bottomPoints[i];
-        ctx.lineTo(point.x, point.y);
+      ctx.moveTo(padding, padding);
+      ctx.lineTo(padding, displayHeight - padding);
+      ctx.lineTo(displayWidth - padding, displayHeight - padding);
+      ctx.stroke();
+
+      // Draw grid lines
+      ctx.strokeStyle = colors.grid;
+      for (let i = 0; i <= 5; i++) {
+        const y = padding + (chartHeight / 5) * i;
+        ctx.beginPath();
+        ctx.moveTo(padding, y);
+        ctx.lineTo(displayWidth - padding, y);
+        ctx.stroke();
+
+        // Y-axis labels
+        ctx.fillStyle = colors.textMuted;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        const value = Math.round(maxVelocity * (1 - i / 5));
+        ctx.fillText(value.toString(), padding - 5, y + 3);
       }
-      ctx.closePath();
-      ctx.fillStyle = this.hexToRgba(PARA_COLORS[location], 0.3);
-      ctx.strokeStyle = this.hexToRgba(PARA_COLORS[location], 0.7);
-      ctx.fill();
+
+      // Comparison series
+      if (comparisonCounts.length > 0) {
+        ctx.strokeStyle = colors.textMuted;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        comparisonCounts.forEach((point, index) => {
+          const x = padding + index * xStep * chartWidth;
+          const y = displayHeight - padding - (point.count / maxVelocity) * chartHeight;
+          if (index === 0) {
+            ctx.moveTo(x, y);
+          } else {
+            ctx.lineTo(x, y);
+          }
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+
+      // Draw line chart
+      ctx.strokeStyle = '#10b981';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+
+      dailyCounts.forEach((point, index) => {
+        const x = padding + index * xStep * chartWidth;
+        const y = displayHeight - padding - (point.count / maxVelocity) * chartHeight;
+
+        if (index === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+
       ctx.stroke();
-    });
 
-    ctx.fillStyle = '#666';
-    ctx.font = '11px sans-serif';
-    ctx.textAlign = 'center';
-    const labelIndexes = [0, Math.floor(timeline.length / 2), timeline.length - 1];
-    labelIndexes.forEach(index => {
-      const day = timeline[index];
-      const x = padding + (index / stepCount) * chartWidth;
-      ctx.fillText(day.date, x, displayHeight - padding + 20);
+      // Draw points
+      dailyCounts.forEach((point, index) => {
+        const x = padding + index * xStep * chartWidth;
+        const y = displayHeight - padding - (point.count / maxVelocity) * chartHeight;
+
+        ctx.fillStyle = '#10b981';
+        ctx.beginPath();
+        ctx.arc(x, y, 3, 0, Math.PI * 2);
+        ctx.fill();
+      });
+
+      // X-axis label
+      ctx.fillStyle = colors.textMuted;
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText('Days', displayWidth / 2, displayHeight - 5);
+
+      // Y-axis label
+      ctx.save();
+      ctx.translate(15, displayHeight / 2);
+      ctx.rotate(-Math.PI / 2);
+      ctx.fillText('Tasks Completed', 0, 0);
+      ctx.restore();
+
+      // Nearest day under the cursor
+      return (x, y) => {
+        if (x < padding - 10 || x > displayWidth - padding + 10 || y < padding || y > displayHeight - padding) return null;
+        const index = xStep ? Math.round((x - padding) / (xStep * chartWidth)) : 0;
+        const point = dailyCounts[index];
+        if (!point) return null;
+        const lines = [`${point.date}: ${point.count} completed`];
+        if (comparisonCounts[index]) {
+          lines.push(`${comparisonCounts[index].date}: ${comparisonCounts[index].count} completed`);
+        }
+        return {
+          tooltip: lines.join('\n'),
+          onClick: point.count > 0
+            ? () => this.openTaskList(`Tasks completed on ${point.date}`, taskData.byDate.get(point.date))
+            : null
+        };
+      };
     });
 
-    ctx.save();
-    ctx.translate(15, displayHeight / 2);
-    ctx.rotate(-Math.PI / 2);
-    ctx.fillText('Notes per PARA stage', 0, 0);
-    ctx.restore();
-  }
+    // Task age analysis (for completed tasks with dates)
+    const tasksWithAge = taskData.all.filter(t => t.ageInDays !== undefined);
+    if (tasksWithAge.length > 0) {
+      const ageSection = analytics.createDiv('para-heatmap-section');
+      ageSection.createEl('h3', { text: 'Task Age Analysis' });
 
-  generatePipelineTimelineData() {
-    const dayMs = 24 * 60 * 60 * 1000;
-    const timeline = [];
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const startDate = new Date(today);
-    startDate.setDate(startDate.getDate() - (this.dateRange - 1));
-
-    for (let i = 0; i < this.dateRange; i++) {
-      const date = new Date(startDate);
-      date.setDate(startDate.getDate() + i);
-      timeline.push({
-        date: date.toISOString().split('T')[0],
-        timestamp: date.getTime(),
-        counts: {
-          inbox: 0,
-          projects: 0,
-          areas: 0,
-          resources: 0,
-          archive: 0
-        },
-        total: 0,
-        dominant: null
+      const ages = tasksWithAge.map(t => t.ageInDays);
+      const avgAge = Math.round(ages.reduce((a, b) => a + b, 0) / ages.length);
+      const minAge = Math.min(...ages);
+      const maxAge = Math.max(...ages);
+      const medianAge = ages.sort((a, b) => a - b)[Math.floor(ages.length / 2)];
+
+      const ageGrid = ageSection.createDiv('para-stats-panel');
+
+      const ageMetrics = [
+        { label: 'Avg. Time to Complete', value: `${avgAge} days` },
+        { label: 'Fastest Completion', value: `${minAge} days` },
+        { label: 'Slowest Completion', value: `${maxAge} days` },
+        { label: 'Median Time', value: `${medianAge} days` }
+      ];
+
+      ageMetrics.forEach(metric => {
+        const card = ageGrid.createDiv('para-stat-card');
+        card.createDiv('para-stat-value').setText(metric.value);
+        card.createDiv('para-stat-label').setText(metric.label);
       });
     }
 
-    const transitionCounts = {};
-    const stageDurations = {
-      inbox: [],
-      projects: [],
-      areas: [],
-      resources: [],
-      archive: []
-    };
+    // Insights
+    const insights = analytics.createDiv('para-sankey-insights');
+    insights.createEl('h3', { text: 'Task Insights' });
 
-    this.vaultData.notes.forEach(note => {
-      const history = (note.paraHistory || [])
-        .map(entry => {
-          const rawTimestamp =
-            entry.timestamp ??
-            entry.time ??
-            (entry.date ? new Date(entry.date).getTime() : null);
-          if (!rawTimestamp || !isFinite(rawTimestamp)) return null;
+    const insightsList = insights.createEl('ul');
+    insightsList.style.paddingLeft = '20px';
+    insightsList.style.lineHeight = '1.8';
+
+    // Generate insights
+    if (completionRate >= 70) {
+      insightsList.createEl('li', { text: `Great job! ${completionRate}% of your tasks are completed.` });
+    } else if (completionRate >= 50) {
+      insightsList.createEl('li', { text: `You're making progress with ${completionRate}% completion rate.` });
+    } else {
+      insightsList.createEl('li', { text: `${openTasks} tasks are still open. Consider prioritizing.` });
+    }
+
+    if (trackingCoverage < 50) {
+      insightsList.createEl('li', { text: `Tip: Add completion dates (✅ YYYY-MM-DD) to track your velocity over time.` });
+    }
+
+    const projectLocations = this.getLocations().filter(loc => loc.role === 'project');
+    const projectTasks = projectLocations.reduce((sum, loc) => {
+      const counts = taskData.byPara[loc.id];
+      return counts ? sum + counts.open + counts.completed : sum;
+    }, 0);
+    if (projectLocations.length > 0 && projectTasks > countedTasks * 0.5) {
+      const label = projectLocations.map(loc => loc.label).join(' and ');
+      insightsList.createEl('li', { text: `Most tasks (${projectTasks}) are in ${label} - your active work area.` });
+    }
+
+    if (tasksWithAge.length > 0) {
+      const avgAge = Math.round(tasksWithAge.map(t => t.ageInDays).reduce((a, b) => a + b, 0) / tasksWithAge.length);
+      if (avgAge < 7) {
+        insightsList.createEl('li', { text: `Fast turnaround! Average task completion in ${avgAge} days.` });
+      } else if (avgAge > 30) {
+        insightsList.createEl('li', { text: `Tasks take ${avgAge} days on average. Consider breaking them into smaller chunks.` });
+      }
+    }
+  }
+
+  renderTagCloud(container) {
+    const tagCloud = container.createDiv('para-tag-cloud');
+
+    // Filter tags (exclude system tags)
+    const systemTags = this.getSystemTags();
+    const range = this.getDateWindow();
+    const tagData = Array.from(this.vaultData.tags.entries())
+      .filter(([tag]) => !systemTags.has(tag.toLowerCase()))
+      .map(([tag, notes]) => ({
+        tag,
+        count: notes.length,
+        recentCount: notes.filter(n => this.isInDateWindow(n.modified, range)).length
+      }))
+      .filter(item => item.recentCount > 0)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 50); // Top 50 tags
+
+    if (tagData.length === 0) {
+      const empty = container.createDiv('para-empty');
+      empty.createDiv('para-empty-icon').setText('🏷️');
+      empty.createDiv('para-empty-message').setText('No tags found in selected time range');
+      return;
+    }
+
+    const maxCount = Math.max(...tagData.map(t => t.count));
+    const minSize = 12;
+    const maxSize = 48;
+
+    tagData.forEach(item => {
+      const size = minSize + ((item.count / maxCount) * (maxSize - minSize));
+      const opacity = 0.5 + (item.recentCount / item.count) * 0.5;
+
+      const tagEl = tagCloud.createSpan('para-tag-cloud-item');
+      tagEl.setText(`#${item.tag}`);
+      tagEl.style.fontSize = `${size}px`;
+      tagEl.style.opacity = opacity.toString();
+
+      // Random PARA color
+      const paraLocations = this.getLocations();
+      const randomColor = paraLocations[Math.floor(Math.random() * paraLocations.length)].color;
+      tagEl.style.color = randomColor;
+
+      tagEl.setAttribute('title', `${item.count} notes (${item.recentCount} recent)`);
+
+      tagEl.addEventListener('click', () => {
+        // Search for tag
+        this.app.internalPlugins.getPluginById('global-search').instance.openGlobalSearch(`tag:#${item.tag}`);
+      });
+    });
+  }
+
+  renderStats(container) {
+    const stats = container.createDiv();
+
+    // Overall stats
+    const overallSection = stats.createDiv('para-heatmap-section');
+    overallSection.createEl('h3', { text: 'Vault Overview' });
+
+    const overallGrid = overallSection.createDiv('para-stats-panel');
+
+    const totalCard = overallGrid.createDiv('para-stat-card');
+    totalCard.createDiv('para-stat-value').setText(this.vaultData.notes.length.toString());
+    totalCard.createDiv('para-stat-label').setText('Total Notes');
+
+    const tagsCard = overallGrid.createDiv('para-stat-card');
+    tagsCard.createDiv('para-stat-value').setText(this.vaultData.tags.size.toString());
+    tagsCard.createDiv('para-stat-label').setText('Unique Tags');
+
+    const linksCard = overallGrid.createDiv('para-stat-card');
+    linksCard.createDiv('para-stat-value').setText(this.vaultData.links.length.toString());
+    linksCard.createDiv('para-stat-label').setText('Total Links');
+
+    // Average links per note
+    const avgLinks = (this.vaultData.links.length / this.vaultData.notes.length).toFixed(1);
+    const avgCard = overallGrid.createDiv('para-stat-card');
+    avgCard.createDiv('para-stat-value').setText(avgLinks);
+    avgCard.createDiv('para-stat-label').setText('Avg Links/Note');
+
+    const unresolvedCard = overallGrid.createDiv('para-stat-card');
+    unresolvedCard.createDiv('para-stat-value').setText(this.vaultData.unresolvedLinks.length.toString());
+    unresolvedCard.createDiv('para-stat-label').setText('Unresolved Links');
+
+    // PARA distribution
+    const paraSection = stats.createDiv('para-heatmap-section');
+    paraSection.createEl('h3', { text: 'PARA Distribution' });
+
+    const paraGrid = paraSection.createDiv('para-stats-panel');
+    Object.entries(this.vaultData.paraLocations).forEach(([location, notes]) => {
+      const card = paraGrid.createDiv('para-stat-card');
+      const value = card.createDiv('para-stat-value');
+      value.setText(notes.length.toString());
+      value.style.color = this.getParaColor(location);
+
+      const percentage = ((notes.length / this.vaultData.notes.length) * 100).toFixed(1);
+      card.createDiv('para-stat-label').setText(`${this.getLocationLabel(location).toUpperCase()} (${percentage}%)`);
+    });
+
+    // Where PARA locations come from
+    const sourceSection = stats.createDiv('para-heatmap-section');
+    sourceSection.createEl('h3', { text: 'Location Source' });
+
+    const sourceGrid = sourceSection.createDiv('para-stats-panel');
+    const sourceCounts = [
+      { source: 'frontmatter', label: 'From frontmatter' },
+      { source: 'folder', label: 'From folder' },
+      { source: null, label: 'Not assigned' }
+    ];
+    sourceCounts.forEach(({ source, label }) => {
+      const count = this.vaultData.notes.filter(n => n.paraSource === source).length;
+      const card = sourceGrid.createDiv('para-stat-card');
+      card.createDiv('para-stat-value').setText(count.toString());
+      card.createDiv('para-stat-label').setText(label);
+    });
+
+    // Selected time range, with deltas when a comparison period is chosen
+    const range = this.getDateWindow();
+    const comparisonRange = this.getComparisonWindow();
+    const periodSection = stats.createDiv('para-heatmap-section');
+    periodSection.createEl('h3', { text: 'Selected Period' });
+    periodSection.createDiv({
+      cls: 'para-stat-label',
+      text: comparisonRange
+        ? `${this.formatDateWindow(range)} vs ${this.formatDateWindow(comparisonRange)}`
+        : this.formatDateWindow(range)
+    });
+
+    const taskDateIn = (value, period) => {
+      const date = parseDate(value);
+      return !!date && this.isInDateWindow(date.getTime(), period);
+    };
+    const periodMetrics = [
+      { label: 'Notes Modified', count: period => this.vaultData.notes.filter(n => this.isInDateWindow(n.modified, period)).length },
+      { label: 'Notes Created', count: period => this.vaultData.notes.filter(n => this.isInDateWindow(n.created, period)).length },
+      { label: 'Tasks Completed', count: period => this.vaultData.tasks.all.filter(t => t.completed && taskDateIn(t.completionDate, period)).length },
+      { label: 'Tasks Created', count: period => this.vaultData.tasks.all.filter(t => taskDateIn(t.createdDate, period)).length }
+    ];
+
+    const periodGrid = periodSection.createDiv('para-stats-panel');
+    periodMetrics.forEach(metric => {
+      const current = metric.count(range);
+      const card = periodGrid.createDiv('para-stat-card');
+      card.createDiv('para-stat-value').setText(current.toString());
+      card.createDiv('para-stat-label').setText(metric.label);
+      if (comparisonRange) {
+        this.renderDelta(card, current, metric.count(comparisonRange));
+      }
+    });
+
+    // Recent activity
+    const activitySection = stats.createDiv('para-heatmap-section');
+    activitySection.createEl('h3', { text: 'Recent Activity' });
+
+    const periods = [
+      { days: 1, label: 'Last 24 hours' },
+      { days: 7, label: 'Last 7 days' },
+      { days: 30, label: 'Last 30 days' },
+      { days: 90, label: 'Last 90 days' }
+    ];
+
+    const activityGrid = activitySection.createDiv('para-stats-panel');
+    periods.forEach(period => {
+      const cutoff = Date.now() - (period.days * 24 * 60 * 60 * 1000);
+      const count = this.vaultData.notes.filter(n => n.modified >= cutoff).length;
+
+      const card = activityGrid.createDiv('para-stat-card');
+      card.createDiv('para-stat-value').setText(count.toString());
+      card.createDiv('para-stat-label').setText(period.label);
+    });
+
+    // Top tags
+    const tagsSection = stats.createDiv('para-heatmap-section');
+    tagsSection.createEl('h3', { text: 'Top 10 Tags' });
+
+    const topTags = Array.from(this.vaultData.tags.entries())
+      .map(([tag, notes]) => ({ tag, count: notes.length }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10);
+
+    const tagsList = tagsSection.createEl('ol');
+    tagsList.style.paddingLeft = '20px';
+    topTags.forEach(item => {
+      tagsList.createEl('li', { text: `#${item.tag} (${item.count})` });
+    });
+  }
+
+  renderReviewRadar(container) {
+    const reviewData = this.computeReviewStats();
+    const reviewView = container.createDiv('para-review-view');
+
+    if (reviewData.locations.length === 0) {
+      const empty = reviewView.createDiv('para-empty');
+      empty.createDiv('para-empty-icon').setText('🧭');
+      empty.createDiv('para-empty-message').setText('No PARA notes available to calculate review cadence.');
+      return;
+    }
+
+    const summary = reviewView.createDiv('para-stats-panel');
+    const cards = [
+      { label: 'Overall Health', value: `${reviewData.overallHealth}%` },
+      { label: 'Overdue Reviews', value: reviewData.overdueNotes.length.toString() },
+      { label: 'Freshest Area', value: reviewData.freshest ? `${reviewData.freshest.label} (${this.formatDays(reviewData.freshest.avgDays)} ago)` : '—' }
+    ];
+
+    cards.forEach(cardData => {
+      const card = summary.createDiv('para-stat-card');
+      card.createDiv('para-stat-value').setText(cardData.value);
+      card.createDiv('para-stat-label').setText(cardData.label);
+    });
+
+    const layout = reviewView.createDiv('para-review-layout');
+    const chartWrapper = layout.createDiv('para-review-chart');
+    const canvas = chartWrapper.createEl('canvas', { cls: 'para-review-canvas' });
+
+    this.drawCanvas(canvas, surface => this.drawReviewRadarChart(surface, reviewData.locations));
+
+    const insights = layout.createDiv('para-review-insights');
+    insights.createEl('h3', { text: 'Insights' });
+    const list = insights.createEl('ul');
+
+    list.createEl('li', { text: `Review cadence health is at ${reviewData.overallHealth}% across tracked PARA buckets.` });
+
+    if (reviewData.stalest) {
+      list.createEl('li', {
+        text: `${reviewData.stalest.label} is the stalest area (${Math.round(reviewData.stalest.avgDays)} days since average touch; target ${Math.round(reviewData.stalest.avgTarget)} days).`
+      });
+    }
+
+    if (reviewData.overdueNotes.length > 0) {
+      const worst = reviewData.overdueNotes[0];
+      list.createEl('li', {
+        text: `${worst.note.basename} is overdue by ${Math.round(worst.overdueBy)} days (target ${worst.target} days).`
+      });
+    } else {
+      list.createEl('li', { text: 'No notes are currently overdue for review. 🎉' });
+    }
+
+    const locationGrid = reviewView.createDiv('para-review-location-grid');
+    reviewData.locations.forEach(stat => {
+      const card = locationGrid.createDiv('para-review-location-card');
+      const header = card.createDiv('para-review-location-header');
+      this.createLocationBadge(header, stat.location);
+
+      header.createSpan({ text: `${Math.round(stat.score * 100)}% healthy`, cls: 'para-review-score' });
+
+      const meta = card.createDiv('para-review-location-meta');
+
+      meta.createEl('p', { text: `Avg touch: ${this.formatDays(stat.avgDays)} (target ${this.formatDays(stat.avgTarget)})` });
+      meta.createEl('p', { text: `Tracked notes: ${stat.noteCount}` });
+      meta.createEl('p', { text: `Overdue: ${stat.overdueCount}` });
+      meta.createEl('p', { text: `Last touched: ${stat.lastTouched ? new Date(stat.lastTouched).toLocaleDateString() : '—'}` });
+    });
+
+    const overdueSection = reviewView.createDiv('para-review-overdue');
+    overdueSection.createEl('h3', { text: 'Notes Needing Review' });
+
+    if (reviewData.overdueNotes.length === 0) {
+      overdueSection.createEl('p', { text: 'Everything is within the desired cadence.' });
+    } else {
+      const listEl = overdueSection.createEl('ul');
+      reviewData.overdueNotes.slice(0, 8).forEach(item => {
+        const li = listEl.createEl('li');
+        li.addClass('para-review-overdue-item');
+        li.createEl('strong', { text: item.note.basename });
+        li.createSpan({
+          cls: 'para-review-overdue-meta',
+          text: `${this.getLocationLabel(item.note.paraLocation)} • ${this.formatDays(item.daysSince)} since touch • Overdue by ${Math.round(item.overdueBy)} days`
+        });
+        li.addEventListener('click', () => {
+          this.app.workspace.openLinkText(item.note.path, '', false);
+        });
+      });
+      if (reviewData.overdueNotes.length > 8) {
+        this.renderMoreLink(overdueSection, `${reviewData.overdueNotes.length - 8} more notes are overdue.`, () => {
+          const overdueBy = new Map(reviewData.overdueNotes.map(item => [item.note, item.overdueBy]));
+          this.openNoteList(
+            'Notes needing review',
+            reviewData.overdueNotes.map(item => item.note),
+            note => `Overdue by ${this.formatDays(overdueBy.get(note))}`
+          );
+        });
+      }
+    }
+  }
+
+  drawReviewRadarChart({ ctx, width: displayWidth, height: displayHeight }, locations) {
+    const colors = this.getThemeColors();
+    const centerX = displayWidth / 2;
+    const centerY = displayHeight / 2;
+    const radius = Math.min(displayWidth, displayHeight) / 2 - 40;
+    const axisCount = locations.length;
+    const rings = 4;
+
+    ctx.strokeStyle = colors.grid;
+    ctx.lineWidth = 1;
+
+    for (let i = 1; i <= rings; i++) {
+      const ringRadius = (radius / rings) * i;
+      ctx.beginPath();
+      for (let axis = 0; axis < axisCount; axis++) {
+        const angle = (Math.PI * 2 * axis) / axisCount - Math.PI / 2;
+        const x = centerX + Math.cos(angle) * ringRadius;
+        const y = centerY + Math.sin(angle) * ringRadius;
+        axis === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+      }
+      ctx.closePath();
+      ctx.stroke();
+    }
+
+    ctx.strokeStyle = colors.grid;
+    locations.forEach((stat, index) => {
+      const angle = (Math.PI * 2 * index) / axisCount - Math.PI / 2;
+      const x = centerX + Math.cos(angle) * radius;
+      const y = centerY + Math.sin(angle) * radius;
+      ctx.beginPath();
+      ctx.moveTo(centerX, centerY);
+      ctx.lineTo(x, y);
+      ctx.stroke();
+
+      ctx.fillStyle = colors.textMuted;
+      ctx.font = '12px sans-serif';
+      const labelX = centerX + Math.cos(angle) * (radius + 20);
+      const labelY = centerY + Math.sin(angle) * (radius + 20);
+      ctx.textAlign = labelX < centerX ? 'right' : 'left';
+      ctx.fillText(`${stat.label} (${Math.round(stat.avgDays)}d / ${Math.round(stat.avgTarget)}d)`, labelX, labelY);
+    });
+
+    ctx.beginPath();
+    locations.forEach((stat, index) => {
+      const angle = (Math.PI * 2 * index) / axisCount - Math.PI / 2;
+      const r = radius * Math.max(0, Math.min(1, stat.score));
+      const x = centerX + Math.cos(angle) * r;
+      const y = centerY + Math.sin(angle) * r;
+      index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.fillStyle = colors.accent;
+    ctx.strokeStyle = colors.accent;
+    ctx.globalAlpha = 0.25;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.stroke();
+
+    locations.forEach((stat, index) => {
+      const angle = (Math.PI * 2 * index) / axisCount - Math.PI / 2;
+      const r = radius * stat.score;
+      const x = centerX + Math.cos(angle) * r;
+      const y = centerY + Math.sin(angle) * r;
+      ctx.beginPath();
+      ctx.fillStyle = colors.accent;
+      ctx.arc(x, y, 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    // Axis nearest the cursor's angle
+    return (x, y) => {
+      const dx = x - centerX;
+      const dy = y - centerY;
+      if (Math.hypot(dx, dy) > radius + 30 || axisCount === 0) return null;
+      const angle = (Math.atan2(dy, dx) + Math.PI / 2 + Math.PI * 2) % (Math.PI * 2);
+      const stat = locations[Math.round(angle / (Math.PI * 2 / axisCount)) % axisCount];
+      return {
+        tooltip: [
+          stat.label,
+          `Average ${this.formatDays(stat.avgDays)} since last edit (target ${this.formatDays(stat.avgTarget)})`,
+          `Health ${Math.round(stat.score * 100)}%`,
+          `${stat.overdueCount} of ${stat.noteCount} notes overdue`
+        ].join('\n'),
+        onClick: () => {
+          // Stalest first, the order they need reviewing in
+          const notes = this.vaultData.notes
+            .filter(n => n.paraLocation === stat.location)
+            .sort((a, b) => a.modified - b.modified);
+          this.openNoteList(`${stat.label} notes by last edit`, notes, note => {
+            const target = this.getReviewIntervalForNote(note);
+            const since = this.formatDays((Date.now() - note.modified) / (24 * 60 * 60 * 1000));
+            return target ? `Edited ${since} ago · review every ${this.formatDays(target)}` : `Edited ${since} ago`;
+          });
+        }
+      };
+    };
+  }
+
+  computeReviewStats() {
+    const now = Date.now();
+    const dayMs = 24 * 60 * 60 * 1000;
+    const locations = [];
+    const overdueNotes = [];
+    // Terminal (archive) locations aren't expected to be reviewed on a cadence
+    const order = this.getLocations()
+      .filter(loc => loc.role !== 'archive')
+      .map(loc => loc.id);
+
+    order.forEach(location => {
+      const notes = this.vaultData.notes.filter(n => n.paraLocation === location);
+      if (notes.length === 0) return;
+
+      let totalDays = 0;
+      let totalTarget = 0;
+      let targetCount = 0;
+      let latestTouch = 0;
+      let overdueCount = 0;
+
+      notes.forEach(note => {
+        const daysSince = (now - note.modified) / dayMs;
+        totalDays += daysSince;
+        latestTouch = Math.max(latestTouch, note.modified);
+        const target = this.getReviewIntervalForNote(note);
+        if (target) {
+          totalTarget += target;
+          targetCount++;
+          if (daysSince > target) {
+            overdueCount++;
+            overdueNotes.push({
+              note,
+              daysSince,
+              target,
+              overdueBy: daysSince - target
+            });
+          }
+        }
+      });
+
+      const avgDays = totalDays / notes.length;
+      const avgTarget = targetCount > 0 ? totalTarget / targetCount : this.getDefaultReviewInterval(location);
+      const score = avgDays <= 0 ? 1 : Math.min(1, avgTarget / avgDays);
+
+      locations.push({
+        location,
+        label: this.getLocationLabel(location),
+        avgDays,
+        avgTarget,
+        score,
+        lastTouched: latestTouch,
+        noteCount: notes.length,
+        overdueCount
+      });
+    });
+
+    overdueNotes.sort((a, b) => b.overdueBy - a.overdueBy);
+
+    const overallHealth = locations.length
+      ? Math.round((locations.reduce((sum, loc) => sum + loc.score, 0) / locations.length) * 100)
+      : 0;
+
+    const stalest = locations.reduce((worst, current) => {
+      if (!worst) return current;
+      return current.avgDays > worst.avgDays ? current : worst;
+    }, null);
+
+    const freshest = locations.reduce((best, current) => {
+      if (!best) return current;
+      return current.avgDays < best.avgDays ? current : best;
+    }, null);
+
+    return {
+      locations,
+      overdueNotes,
+      overallHealth,
+      stalest,
+      freshest
+    };
+  }
+
+  renderPipelineTimeline(container) {
+    const pipelineView = container.createDiv('para-pipeline-view');
+    const pipelineData = this.generatePipelineTimelineData();
+
+    if (pipelineData.timeline.length === 0) {
+      const empty = pipelineView.createDiv('para-empty');
+      empty.createDiv('para-empty-icon').setText('📉');
+      empty.createDiv('para-empty-message').setText('Not enough PARA history data to build the pipeline timeline.');
+      return;
+    }
+
+    const totalActive = this.vaultData.notes.filter(n => this.getLocationRole(n.paraLocation) !== 'archive').length;
+    const archivedInWindow = Object.entries(pipelineData.transitionCounts)
+      .filter(([key]) => this.getLocationRole(key.split('->')[1]) === 'archive')
+      .reduce((sum, [, value]) => sum + value, 0);
+    const summary = pipelineView.createDiv('para-stats-panel');
+    const cards = [
+      { label: 'Active Pipeline', value: totalActive.toString() },
+      { label: 'Archived (window)', value: archivedInWindow.toString() },
+      {
+        label: 'Longest Stage',
+        value: pipelineData.longestStage
+          ? `${pipelineData.longestStage.label} (${this.formatDays(pipelineData.longestStage.duration)})`
+          : '—'
+      }
+    ];
+
+    cards.forEach(cardData => {
+      const card = summary.createDiv('para-stat-card');
+      card.createDiv('para-stat-value').setText(cardData.value);
+      card.createDiv('para-stat-label').setText(cardData.label);
+    });
+
+    const chartSection = pipelineView.createDiv('para-pipeline-chart');
+    chartSection.createEl('h3', { text: 'Pipeline Over Time' });
+    const canvas = chartSection.createEl('canvas', { cls: 'para-pipeline-canvas' });
+    this.drawCanvas(canvas, surface => this.drawPipelineTimelineChart(surface, pipelineData));
+
+    const legend = chartSection.createDiv('para-pipeline-legend');
+    this.getLocations().forEach(loc => {
+      const item = legend.createDiv('para-graph-legend-item');
+      const colorBox = item.createDiv('para-graph-legend-color');
+      colorBox.style.backgroundColor = loc.color;
+      item.createSpan({ text: loc.label });
+    });
+
+    const insights = pipelineView.createDiv('para-pipeline-insights');
+    insights.createEl('h3', { text: 'Flow Insights' });
+    const list = insights.createEl('ul');
+    list.style.paddingLeft = '20px';
+
+    if (pipelineData.busiestDay) {
+      const dominant = pipelineData.busiestDay.dominant
+        ? this.getLocationLabel(pipelineData.busiestDay.dominant)
+        : 'Mixed';
+      list.createEl('li', {
+        text: `${pipelineData.busiestDay.date} was the busiest day (${pipelineData.busiestDay.total} notes) dominated by ${dominant}.`
+      });
+    }
+
+    if (pipelineData.longestStage) {
+      list.createEl('li', {
+        text: `${pipelineData.longestStage.label} keeps notes the longest (${this.formatDays(pipelineData.longestStage.duration)} on average).`
+      });
+    }
+
+    if (pipelineData.topTransition) {
+      list.createEl('li', {
+        text: `${pipelineData.topTransition.key} happened ${pipelineData.topTransition.value} times in this window.`
+      });
+    }
+
+    const durationSection = pipelineView.createDiv('para-pipeline-durations');
+    durationSection.createEl('h3', { text: 'Average Time in Stage' });
+    const durationGrid = durationSection.createDiv('para-pipeline-duration-grid');
+
+    this.getLocations().forEach(({ id: location }) => {
+      const card = durationGrid.createDiv('para-pipeline-duration-card');
+      const header = card.createDiv('para-pipeline-duration-header');
+      this.createLocationBadge(header, location);
+
+      const duration = pipelineData.avgStageDurations[location];
+      card.createDiv('para-pipeline-duration-value').setText(
+        duration ? this.formatDays(duration) : 'No data'
+      );
+      card.createDiv('para-pipeline-duration-label').setText('Avg time before moving');
+    });
+
+    const transitionSection = pipelineView.createDiv('para-pipeline-transitions');
+    transitionSection.createEl('h3', { text: 'Top Transitions' });
+    const transitionList = transitionSection.createEl('ol');
+    transitionList.style.paddingLeft = '20px';
+
+    const topTransitions = Object.entries(pipelineData.transitionCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5);
+
+    if (topTransitions.length === 0) {
+      transitionSection.createEl('p', { text: 'No tracked transitions during this window.' });
+    } else {
+      topTransitions.forEach(([key, value]) => {
+        transitionList.createEl('li', { text: `${key} — ${value} notes` });
+      });
+    }
+  }
+
+  drawPipelineTimelineChart({ ctx, width: displayWidth, height: displayHeight }, pipelineData) {
+    const { timeline } = pipelineData;
+    const colors = this.getThemeColors();
+    const padding = 40;
+    const chartWidth = displayWidth - padding * 2;
+    const chartHeight = displayHeight - padding * 2;
+    const categories = this.getLocations().map(loc => loc.id);
+    const maxTotal = Math.max(...timeline.map(day => day.total), 1);
+    const stepCount = timeline.length > 1 ? timeline.length - 1 : 1;
+
+    ctx.strokeStyle = colors.axis;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(padding, padding);
+    ctx.lineTo(padding, displayHeight - padding);
+    ctx.lineTo(displayWidth - padding, displayHeight - padding);
+    ctx.stroke();
+
+    ctx.strokeStyle = colors.grid;
+    for (let i = 1; i <= 4; i++) {
+      const y = padding + (chartHeight / 4) * i;
+      ctx.beginPath();
+      ctx.moveTo(padding, y);
+      ctx.lineTo(displayWidth - padding, y);
+      ctx.stroke();
+    }
+
+    const stackedTotals = new Array(timeline.length).fill(0);
+
+    categories.forEach(location => {
+      const topPoints = [];
+      const bottomPoints = [];
+      timeline.forEach((day, index) => {
+        const base = stackedTotals[index];
+        const value = day.counts[location] || 0;
+        const top = base + value;
+        const x = padding + (index / stepCount) * chartWidth;
+        const yTop = displayHeight - padding - (top / maxTotal) * chartHeight;
+        const yBase = displayHeight - padding - (base / maxTotal) * chartHeight;
+        topPoints.push({ x, y: yTop });
+        bottomPoints.push({ x, y: yBase });
+        stackedTotals[index] = top;
+      });
+
+      ctx.beginPath();
+      topPoints.forEach((point, idx) => (idx === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      for (let i = bottomPoints.length - 1; i >= 0; i--) {
+        const point = bottomPoints[i];
+        ctx.lineTo(point.x, point.y);
+      }
+      ctx.closePath();
+      ctx.fillStyle = this.hexToRgba(this.getParaColor(location), 0.3);
+      ctx.strokeStyle = this.hexToRgba(this.getParaColor(location), 0.7);
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    ctx.fillStyle = colors.textMuted;
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    const labelIndexes = [0, Math.floor(timeline.length / 2), timeline.length - 1];
+    labelIndexes.forEach(index => {
+      const day = timeline[index];
+      const x = padding + (index / stepCount) * chartWidth;
+      ctx.fillText(day.date, x, displayHeight - padding + 20);
+    });
+
+    ctx.save();
+    ctx.translate(15, displayHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText('Notes per PARA stage', 0, 0);
+    ctx.restore();
+
+    // Stage band under the cursor on the nearest day
+    return (x, y) => {
+      if (x < padding - 10 || x > displayWidth - padding + 10 || y < padding || y > displayHeight - padding) return null;
+      const day = timeline[Math.round(((x - padding) / chartWidth) * stepCount)];
+      if (!day) return null;
+      const value = ((displayHeight - padding - y) / chartHeight) * maxTotal;
+      let base = 0;
+      const location = categories.find(loc => {
+        base += day.counts[loc] || 0;
+        return value < base;
+      });
+      if (!location) return null;
+      const count = day.counts[location];
+      return {
+        tooltip: `${day.date}\n${this.getLocationLabel(location)}: ${count} ${count === 1 ? 'note' : 'notes'} (of ${day.total})`,
+        onClick: () => this.openNoteList(
+          `${this.getLocationLabel(location)} on ${day.date}`,
+          this.getPipelineNotesAt(pipelineData, location, day)
+        )
+      };
+    };
+  }
+
+  // Notes that were in `location` on a pipeline timeline day
+  getPipelineNotesAt(pipelineData, location, day) {
+    const midday = day.timestamp + 12 * 60 * 60 * 1000;
+    return pipelineData.noteStates
+      .filter(({ states }) => this.getLocationAtTime(states, midday) === location)
+      .map(({ note }) => note);
+  }
+
+  generatePipelineTimelineData() {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const locationIds = this.getLocations().map(loc => loc.id);
+    const emptyCounts = () => Object.fromEntries(locationIds.map(id => [id, 0]));
+    const timeline = [];
+    const range = this.getDateWindow();
+
+    for (let i = 0; i < range.days; i++) {
+      const date = addDays(range.start, i);
+      timeline.push({
+        date: toDateKey(date),
+        timestamp: date.getTime(),
+        counts: emptyCounts(),
+        total: 0,
+        dominant: null
+      });
+    }
+
+    const transitionCounts = {};
+    const windowTransitions = []; // { note, from, to, timestamp } for moves inside the range
+    const stageDurations = Object.fromEntries(locationIds.map(id => [id, []]));
+    const noteStates = []; // { note, states } for drilling into a day
+
+    this.vaultData.notes.forEach(note => {
+      const history = this.getNoteMoves(note);
+
+      const creationTs = note.created || 0;
+      const initialLocation = history.length > 0
+        ? this.normalizeLocation(history[0].from || note.paraLocation)
+        : this.normalizeLocation(note.paraLocation);
+
+      const states = [{ timestamp: creationTs, location: initialLocation }];
+      history.forEach(move => {
+        states.push({ timestamp: move.timestamp, location: move.to || states[states.length - 1].location });
+      });
+      states.sort((a, b) => a.timestamp - b.timestamp);
+      noteStates.push({ note, states });
+
+      timeline.forEach(day => {
+        const loc = this.getLocationAtTime(states, day.timestamp + dayMs / 2);
+        if (loc && day.counts[loc] !== undefined) {
+          day.counts[loc]++;
+        }
+      });
+
+      let prevTimestamp = creationTs;
+      let prevLocation = states[0]?.location || initialLocation;
+      history.forEach(move => {
+        const duration = (move.timestamp - prevTimestamp) / dayMs;
+        if (duration >= 0 && stageDurations[prevLocation]) {
+          stageDurations[prevLocation].push(duration);
+        }
+        const key = `${prevLocation}->${move.to}`;
+        transitionCounts[key] = (transitionCounts[key] || 0) + 1;
+        if (this.isInDateWindow(move.timestamp, range)) {
+          windowTransitions.push({ note, from: prevLocation, to: move.to, timestamp: move.timestamp });
+        }
+        prevTimestamp = move.timestamp;
+        prevLocation = move.to || prevLocation;
+      });
+    });
+
+    timeline.forEach(day => {
+      const entries = Object.entries(day.counts);
+      day.total = entries.reduce((sum, [, value]) => sum + value, 0);
+      const dominant = entries.reduce(
+        (best, [location, value]) => (value > (best?.value || 0) ? { location, value } : best),
+        null
+      );
+      day.dominant = dominant?.location || null;
+    });
+
+    const avgStageDurations = {};
+    Object.entries(stageDurations).forEach(([location, durations]) => {
+      if (durations.length > 0) {
+        avgStageDurations[location] = durations.reduce((sum, value) => sum + value, 0) / durations.length;
+      }
+    });
+
+    const longestStage = Object.entries(avgStageDurations).reduce((best, [location, duration]) => {
+      if (!best || duration > best.duration) {
+        return {
+          location,
+          duration,
+          label: this.getLocationLabel(location)
+        };
+      }
+      return best;
+    }, null);
+
+    const busiestDay = timeline.reduce((best, day) => {
+      if (!best || day.total > best.total) return day;
+      return best;
+    }, null);
+
+    const topTransition = Object.entries(transitionCounts).reduce((best, [key, value]) => {
+      if (!best || value > best.value) {
+        return { key, value };
+      }
+      return best;
+    }, null);
+
+    return {
+      timeline,
+      noteStates,
+      transitionCounts,
+      windowTransitions,
+      avgStageDurations,
+      longestStage,
+      busiestDay,
+      topTransition
+    };
+  }
+
+  /**
+   * A note's `para_history` as { timestamp, from, to } moves, oldest first.
+   * Entries without a usable time are skipped.
+   */
+  getNoteMoves(note) {
+    return (note.paraHistory || [])
+      .map(entry => {
+        const rawTimestamp =
+          entry.timestamp ??
+          entry.time ??
+          (entry.date ? parseDate(entry.date)?.getTime() : null);
+        if (!rawTimestamp || !isFinite(rawTimestamp)) return null;
+
+        return {
+          timestamp: Number(rawTimestamp),
+          from: this.normalizeLocation(entry.from ?? entry.from_location ?? entry.fromLocation ?? note.paraLocation),
+          to: this.normalizeLocation(entry.to ?? entry.to_location ?? entry.toLocation ?? note.paraLocation)
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  renderTaskCalendar(container) {
+    const calendarView = container.createDiv('para-task-calendar-view');
+    // Cancelled tasks don't add to anyone's load
+    const tasksWithDueDates = this.vaultData.tasks.all.filter(task => task.dueDate && task.status !== 'cancelled');
+    const calendarData = this.buildTaskCalendarData(tasksWithDueDates);
+
+    const summary = calendarView.createDiv('para-stats-panel');
+    const busiestLabel = calendarData.busiestCell
+      ? `${calendarData.busiestCell.dayLabel} ${calendarData.busiestCell.dateLabel} (${calendarData.busiestCell.tasks.length})`
+      : '—';
+
+    const summaryCards = [
+      { label: 'Tasks w/ due dates', value: tasksWithDueDates.length.toString() },
+      { label: 'Overdue tasks', value: calendarData.overdueTasks.length.toString() },
+      { label: 'Due next 7 days', value: calendarData.upcomingWeekCount.toString() },
+      { label: 'Busiest day', value: busiestLabel }
+    ];
+
+    summaryCards.forEach(cardData => {
+      const card = summary.createDiv('para-stat-card');
+      card.createDiv('para-stat-value').setText(cardData.value);
+      card.createDiv('para-stat-label').setText(cardData.label);
+    });
+
+    const grid = calendarView.createDiv('para-task-calendar-grid');
+    calendarData.cells.forEach(cell => {
+      const cellEl = grid.createDiv('para-task-calendar-cell');
+      if (cell.isToday) cellEl.addClass('today');
+      if (cell.isPast && !cell.isToday) cellEl.addClass('past');
+
+      const header = cellEl.createDiv('para-task-calendar-cell-header');
+      header.createSpan({ text: cell.dayLabel, cls: 'para-task-calendar-day' });
+      header.createSpan({ text: cell.dateLabel.toString(), cls: 'para-task-calendar-date' });
+
+      const bar = cellEl.createDiv('para-task-calendar-bar');
+      if (cell.tasks.length === 0) {
+        bar.addClass('empty');
+        bar.setText('No tasks');
+      } else {
+        const total = cell.tasks.length;
+        Object.entries(cell.counts).forEach(([location, count]) => {
+          if (count === 0) return;
+          const segment = bar.createDiv('para-task-calendar-bar-segment');
+          segment.style.backgroundColor = this.getParaColor(location, 'var(--interactive-accent)');
+          segment.style.width = `${(count / total) * 100}%`;
+          segment.setAttribute('title', `${count} ${location}`);
+        });
+      }
+
+      if (cell.tasks.length > 0) {
+        const list = cellEl.createEl('ul', { cls: 'para-task-calendar-list' });
+        cell.tasks.slice(0, 3).forEach(task => {
+          const item = list.createEl('li', { cls: 'para-task-calendar-item' });
+          const taskDue = parseDate(task.dueDate);
+          const now = startOfDay(new Date());
+          if (isOpenTask(task) && taskDue < now) {
+            item.addClass('overdue');
+          }
+          const statusIcon = task.completed ? '✅' : taskDue < now ? '⚠️' : task.status === 'in-progress' ? '◐' : '•';
+
+          item.innerHTML = `
+            <span class="para-task-calendar-status">${statusIcon}</span>
+            ${task.text}
+          `;
+          const badge = this.createLocationBadge(item, task.paraLocation || 'unknown', task.paraLocation ? undefined : 'N/A');
+          badge.addClass('para-task-calendar-para');
+          badge.setAttribute('title', this.getLocationLabel(task.paraLocation));
+
+          item.addEventListener('click', () => {
+            this.openTask(task);
+          });
+        });
+
+        if (cell.tasks.length > 3) {
+          this.renderMoreLink(cellEl, `+${cell.tasks.length - 3} more`, () => {
+            this.openTaskList(`Tasks due ${cell.date}`, cell.tasks, task => task.dueDate);
+          }).addClass('para-task-calendar-more');
+        }
+      }
+    });
+
+    const totalsSection = calendarView.createDiv('para-task-calendar-stats');
+    totalsSection.createEl('h3', { text: 'Load by PARA' });
+    const totalsGrid = totalsSection.createDiv('para-task-calendar-totals');
+    Object.entries(calendarData.windowCounts).forEach(([location, count]) => {
+      const card = totalsGrid.createDiv('para-task-calendar-total');
+      this.createLocationBadge(card, location);
+      card.createDiv('para-task-calendar-total-value').setText(count.toString());
+      card.createDiv('para-task-calendar-total-label').setText('Tasks in calendar window');
+    });
+
+    const overdueSection = calendarView.createDiv('para-task-calendar-overdue');
+    overdueSection.createEl('h3', { text: 'Overdue Tasks' });
+    if (calendarData.overdueTasks.length === 0) {
+      overdueSection.createEl('p', { text: 'No overdue tasks. Nice work!' });
+    } else {
+      const list = overdueSection.createEl('ul');
+      list.addClass('para-task-calendar-overdue-list');
+      calendarData.overdueTasks.slice(0, 10).forEach(task => {
+        const item = list.createEl('li');
+        item.createEl('strong', { text: task.text });
+        item.createSpan({
+          cls: 'para-task-calendar-overdue-meta',
+          text: `${task.dueDate} • ${task.fileName} • ${this.getLocationLabel(task.paraLocation)}`
+        });
+        item.addEventListener('click', () => {
+          this.openTask(task);
+        });
+      });
+      if (calendarData.overdueTasks.length > 10) {
+        this.renderMoreLink(overdueSection, `${calendarData.overdueTasks.length - 10} additional overdue tasks`, () => {
+          this.openTaskList('Overdue tasks', calendarData.overdueTasks, task => `Due ${task.dueDate}`);
+        });
+      }
+    }
+  }
+
+  buildTaskCalendarData(tasks) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const today = startOfDay(new Date());
+    const start = startOfWeek(today, this.plugin.settings.weekStart);
+
+    const totalDays = 28;
+    const locationIds = this.getLocations().map(loc => loc.id);
+    const emptyCounts = () => Object.fromEntries(locationIds.map(id => [id, 0]));
+    const cells = [];
+    const cellMap = new Map();
+
+    for (let i = 0; i < totalDays; i++) {
+      const date = addDays(start, i);
+      const dateStr = toDateKey(date);
+      const cell = {
+        date: dateStr,
+        timestamp: date.getTime(),
+        dayLabel: date.toLocaleDateString(undefined, { weekday: 'short' }),
+        dateLabel: date.getDate(),
+        tasks: [],
+        counts: emptyCounts(),
+        isToday: date.getTime() === today.getTime(),
+        isPast: date.getTime() < today.getTime()
+      };
+      cells.push(cell);
+      cellMap.set(dateStr, cell);
+    }
+
+    const overdueTasks = [];
+    const windowCounts = emptyCounts();
+
+    tasks.forEach(task => {
+      const due = parseDate(task.dueDate);
+      if (!due) return;
+      const dateStr = toDateKey(due);
+      if (isOpenTask(task) && due < today) {
+        overdueTasks.push(task);
+      }
+      const cell = cellMap.get(dateStr);
+      if (cell) {
+        cell.tasks.push(task);
+        if (cell.counts[task.paraLocation] !== undefined) {
+          cell.counts[task.paraLocation]++;
+          windowCounts[task.paraLocation]++;
+        }
+      }
+    });
+
+    cells.forEach(cell => {
+      cell.tasks.sort((a, b) => {
+        if (a.completed !== b.completed) return a.completed ? 1 : -1;
+        return a.text.localeCompare(b.text);
+      });
+    });
+
+    const upcomingWeekEnd = today.getTime() + 7 * dayMs;
+    const upcomingWeekCount = cells
+      .filter(cell => cell.timestamp >= today.getTime() && cell.timestamp < upcomingWeekEnd)
+      .reduce((sum, cell) => sum + cell.tasks.filter(isOpenTask).length, 0);
+
+    let busiestCell = cells.reduce((best, cell) => {
+      if (!best || cell.tasks.length > best.tasks.length) return cell;
+      return best;
+    }, null);
+    if (busiestCell && busiestCell.tasks.length === 0) {
+      busiestCell = null;
+    }
+
+    return {
+      cells,
+      overdueTasks,
+      upcomingWeekCount,
+      busiestCell,
+      windowCounts
+    };
+  }
+
+  async updateCurrentNoteData() {
+    const activeFile = this.app.workspace.getActiveFile();
+    if (!activeFile) {
+      this.currentNoteData = null;
+      return;
+    }
+
+    // Ensure vault data is loaded
+    if (!this.vaultData) {
+      console.warn('PARA Visualizer: Vault data not loaded yet, skipping note update');
+      this.currentNoteData = null;
+      return;
+    }
+
+    this.currentNoteData = this.buildNoteContext(activeFile);
+  }
+
+  /**
+   * Links, siblings, tag relations and tasks of one note, or null when the
+   * note isn't indexed yet. Needs `vaultData` for backlinks and relations.
+   */
+  buildNoteContext(file) {
+    const cache = this.app.metadataCache.getFileCache(file);
+    if (!cache) {
+      return null;
+    }
+
+    // Get note data from the vault index
+    const record = this.plugin.index.getRecord(file.path);
+    if (!record) {
+      // Newly created or just-moved notes are picked up on the next index update
+      return null;
+    }
+    const noteData = record.note;
+
+    // Edge kinds per linked note, in both directions
+    const incomingKinds = new Map(); // source path -> kinds
+    const outgoingKinds = new Map(); // target path -> kinds
+    this.vaultData.links.forEach(link => {
+      const kind = this.getEdgeKind(link);
+      if (link.target === file.path) {
+        if (!incomingKinds.has(link.source)) incomingKinds.set(link.source, []);
+        incomingKinds.get(link.source).push(kind);
+      }
+      if (link.source === file.path) {
+        if (!outgoingKinds.has(link.target)) outgoingKinds.set(link.target, []);
+        outgoingKinds.get(link.target).push(kind);
+      }
+    });
+
+    // Find incoming links (what notes link TO this one)
+    const incomingLinks = Array.from(incomingKinds.keys())
+      .map(path => this.plugin.index.getNote(path))
+      .filter(n => n);
+
+    // Find outgoing links (what notes this one links TO)
+    const outgoingLinks = noteData.links
+      .map(path => this.plugin.index.getNote(path))
+      .filter(n => n); // Remove null entries
+
+    // Find sibling notes (same PARA location + same subfolder)
+    const siblings = this.vaultData.notes.filter(n => {
+      if (n.path === file.path) return false;
+      if (n.paraLocation !== noteData.paraLocation) return false;
+
+      // Check if in same subfolder
+      const activeFolder = file.parent?.path || '';
+      const noteFolder = n.path.split('/').slice(0, -1).join('/');
+      return activeFolder === noteFolder;
+    });
+
+    // Find notes with shared tags (exclude system tags)
+    const systemTags = this.getSystemTags();
+    const contentTags = noteData.tags.filter(tag => !systemTags.has(tag.toLowerCase()));
+
+    const relatedByTag = [];
+    if (contentTags.length > 0) {
+      this.vaultData.notes.forEach(n => {
+        if (n.path === file.path) return;
+        const nContentTags = n.tags.filter(tag => !systemTags.has(tag.toLowerCase()));
+        const sharedTags = nContentTags.filter(tag => contentTags.includes(tag));
+        if (sharedTags.length > 0) {
+          relatedByTag.push({
+            note: n,
+            sharedTags: sharedTags,
+            tagScore: sharedTags.length
+          });
+        }
+      });
+      relatedByTag.sort((a, b) => b.tagScore - a.tagScore);
+    }
+
+    const tasks = record.tasks;
+
+    return {
+      file: file,
+      note: noteData,
+      incomingLinks: incomingLinks,
+      outgoingLinks: outgoingLinks,
+      incomingKinds: incomingKinds,
+      outgoingKinds: outgoingKinds,
+      unresolvedLinks: noteData.unresolvedLinks,
+      siblings: siblings,
+      relatedByTag: relatedByTag.slice(0, 10), // Top 10
+      tasks: tasks
+    };
+  }
+
+  renderNoteContext(container) {
+    if (!this.currentNoteData) {
+      const activeFile = this.app.workspace.getActiveFile();
+      if (!activeFile) {
+        container.createDiv('para-empty-state').innerHTML = `
+          <div style="text-align: center; padding: 40px; color: var(--text-muted);">
+            <p>📝 No note selected</p>
+            <p style="font-size: 0.9em;">Open a note to see its context and connections</p>
+          </div>
+        `;
+      } else {
+        container.createDiv('para-empty-state').innerHTML = `
+          <div style="text-align: center; padding: 40px; color: var(--text-muted);">
+            <p>⏳ Loading note data...</p>
+          </div>
+        `;
+        // Trigger update; if the note isn't indexed yet the next index update re-renders
+        this.updateCurrentNoteData().then(() => {
+          if (this.currentNoteData) this.render();
+        });
+      }
+      return;
+    }
+
+    const { note, incomingKinds, outgoingKinds, unresolvedLinks, siblings, relatedByTag } = this.currentNoteData;
+
+    // Apply the edge kind filter shared with the Knowledge Graph
+    const isVisible = kinds => kinds.some(kind => !this.hiddenEdgeKinds.has(kind));
+    const incomingLinks = this.currentNoteData.incomingLinks.filter(n => isVisible(incomingKinds.get(n.path)));
+    const outgoingLinks = this.currentNoteData.outgoingLinks.filter(n => isVisible(outgoingKinds.get(n.path)));
+    const edgeKinds = [];
+    [...incomingKinds.values(), ...outgoingKinds.values()].forEach(kinds => {
+      kinds.forEach(kind => {
+        if (!edgeKinds.includes(kind)) edgeKinds.push(kind);
+      });
+    });
+
+    // Header with note info
+    const header = container.createDiv('para-note-header');
+    header.createEl('h2', { text: note.basename });
+
+    const metadata = header.createDiv('para-note-metadata');
+    const locationBadge = metadata.createSpan({ text: this.getLocationLabel(note.paraLocation).toUpperCase() });
+    locationBadge.style.cssText = `background: ${this.getParaColor(note.paraLocation)}; color: white; padding: 2px 8px; border-radius: 4px; font-size: 0.85em;`;
+    metadata.appendText(' ');
+    metadata.createSpan({
+      cls: ['para-source-indicator', note.paraSource || 'none'],
+      text: this.getParaSourceLabel(note),
+      attr: { title: "Source of this note's PARA location" }
+    });
+    const tagList = metadata.createSpan({ text: note.tags.map(t => '#' + t).join(' ') });
+    tagList.style.cssText = 'margin-left: 8px; color: var(--text-muted); font-size: 0.9em;';
+
+    // Stats row
+    const stats = container.createDiv('para-note-stats');
+    stats.style.cssText = 'display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin: 20px 0;';
+
+    const statBoxes = [
+      { label: 'Incoming Links', value: incomingLinks.length, icon: '⬅️' },
+      { label: 'Outgoing Links', value: outgoingLinks.length, icon: '➡️' },
+      { label: 'Siblings', value: siblings.length, icon: '👥' },
+      { label: 'Related Notes', value: relatedByTag.length, icon: '🔗' }
+    ];
+
+    statBoxes.forEach(stat => {
+      const box = stats.createDiv('para-stat-box');
+      box.style.cssText = 'background: var(--background-secondary); padding: 12px; border-radius: 8px; text-align: center;';
+      box.innerHTML = `
+        <div style="font-size: 1.5em; margin-bottom: 4px;">${stat.icon} ${stat.value}</div>
+        <div style="font-size: 0.85em; color: var(--text-muted);">${stat.label}</div>
+      `;
+    });
+
+    if (edgeKinds.length > 1) {
+      this.renderEdgeFilter(container, edgeKinds);
+    }
+
+    // Sections
+    const sections = container.createDiv('para-note-sections');
+
+    // Incoming links
+    if (incomingLinks.length > 0) {
+      const section = sections.createDiv('para-note-section');
+      section.createEl('h3', { text: '⬅️ Incoming Links' });
+      section.createEl('p', {
+        text: `${incomingLinks.length} note${incomingLinks.length > 1 ? 's' : ''} link to this note`,
+        attr: { style: 'color: var(--text-muted); font-size: 0.9em; margin-bottom: 8px;' }
+      });
+
+      const list = section.createEl('ul');
+      incomingLinks.slice(0, 10).forEach(n => {
+        const item = list.createEl('li');
+        item.style.cssText = 'cursor: pointer; padding: 4px 0;';
+        const badge = item.createSpan({ text: this.getLocationLabel(n.paraLocation).toUpperCase() });
+        badge.style.cssText = `background: ${this.getParaColor(n.paraLocation)}; color: white; padding: 1px 6px; border-radius: 3px; font-size: 0.75em; margin-right: 6px;`;
+        item.appendText(n.basename);
+        this.renderEdgeKindChips(item, incomingKinds.get(n.path));
+        item.addEventListener('click', () => {
+          this.app.workspace.openLinkText(n.path, '', false);
+        });
+      });
+
+      if (incomingLinks.length > 10) {
+        this.renderMoreLink(section, `...and ${incomingLinks.length - 10} more`, () => {
+          this.openNoteList(`Incoming links of ${note.basename}`, incomingLinks);
+        });
+      }
+    }
+
+    // Outgoing links
+    if (outgoingLinks.length > 0) {
+      const section = sections.createDiv('para-note-section');
+      section.createEl('h3', { text: '➡️ Outgoing Links' });
+      section.createEl('p', {
+        text: `This note links to ${outgoingLinks.length} other note${outgoingLinks.length > 1 ? 's' : ''}`,
+        attr: { style: 'color: var(--text-muted); font-size: 0.9em; margin-bottom: 8px;' }
+      });
+
+      const list = section.createEl('ul');
+      outgoingLinks.slice(0, 10).forEach(n => {
+        const item = list.createEl('li');
+        item.style.cssText = 'cursor: pointer; padding: 4px 0;';
+        const badge = item.createSpan({ text: this.getLocationLabel(n.paraLocation).toUpperCase() });
+        badge.style.cssText = `background: ${this.getParaColor(n.paraLocation)}; color: white; padding: 1px 6px; border-radius: 3px; font-size: 0.75em; margin-right: 6px;`;
+        item.appendText(n.basename);
+        this.renderEdgeKindChips(item, outgoingKinds.get(n.path));
+        item.addEventListener('click', () => {
+          this.app.workspace.openLinkText(n.path, '', false);
+        });
+      });
+
+      if (outgoingLinks.length > 10) {
+        this.renderMoreLink(section, `...and ${outgoingLinks.length - 10} more`, () => {
+          this.openNoteList(`Outgoing links of ${note.basename}`, outgoingLinks);
+        });
+      }
+    }
+
+    // Unresolved links
+    if (unresolvedLinks.length > 0) {
+      const section = sections.createDiv('para-note-section');
+      section.createEl('h3', { text: '❓ Unresolved Links' });
+      section.createEl('p', {
+        text: `${unresolvedLinks.length} link${unresolvedLinks.length > 1 ? 's' : ''} to notes that don't exist yet`,
+        attr: { style: 'color: var(--text-muted); font-size: 0.9em; margin-bottom: 8px;' }
+      });
+
+      const list = section.createEl('ul');
+      unresolvedLinks.slice(0, 10).forEach(link => {
+        const item = list.createEl('li', { text: link });
+        item.style.cssText = 'cursor: pointer; padding: 4px 0; color: var(--text-muted);';
+        item.addEventListener('click', () => {
+          this.app.workspace.openLinkText(link, note.path, false);
+        });
+      });
+
+      if (unresolvedLinks.length > 10) {
+        section.createEl('p', {
+          text: `...and ${unresolvedLinks.length - 10} more`,
+          attr: { style: 'color: var(--text-muted); font-size: 0.85em; font-style: italic;' }
+        });
+      }
+    }
+
+    // Siblings
+    if (siblings.length > 0) {
+      const section = sections.createDiv('para-note-section');
+      section.createEl('h3', { text: '👥 Sibling Notes' });
+      section.createEl('p', {
+        text: `${siblings.length} other note${siblings.length > 1 ? 's' : ''} in the same folder`,
+        attr: { style: 'color: var(--text-muted); font-size: 0.9em; margin-bottom: 8px;' }
+      });
+
+      const list = section.createEl('ul');
+      siblings.slice(0, 10).forEach(n => {
+        const item = list.createEl('li');
+        item.style.cssText = 'cursor: pointer; padding: 4px 0;';
+        item.textContent = n.basename;
+        item.addEventListener('click', () => {
+          this.app.workspace.openLinkText(n.path, '', false);
+        });
+      });
+
+      if (siblings.length > 10) {
+        this.renderMoreLink(section, `...and ${siblings.length - 10} more`, () => {
+          this.openNoteList(`Sibling notes of ${note.basename}`, siblings);
+        });
+      }
+    }
+
+    // Related by tags
+    if (relatedByTag.length > 0) {
+      const section = sections.createDiv('para-note-section');
+      section.createEl('h3', { text: '🔗 Related by Tags' });
+      section.createEl('p', {
+        text: `Notes sharing tags with this note`,
+        attr: { style: 'color: var(--text-muted); font-size: 0.9em; margin-bottom: 8px;' }
+      });
+
+      const list = section.createEl('ul');
+      relatedByTag.forEach(rel => {
+        const item = list.createEl('li');
+        item.style.cssText = 'cursor: pointer; padding: 4px 0;';
+        const badge = item.createSpan({ text: this.getLocationLabel(rel.note.paraLocation).toUpperCase() });
+        badge.style.cssText = `background: ${this.getParaColor(rel.note.paraLocation)}; color: white; padding: 1px 6px; border-radius: 3px; font-size: 0.75em; margin-right: 6px;`;
+        item.appendText(rel.note.basename);
+        const shared = item.createSpan({ text: `(${rel.sharedTags.map(t => '#' + t).join(', ')})` });
+        shared.style.cssText = 'color: var(--text-muted); font-size: 0.85em; margin-left: 6px;';
+        item.addEventListener('click', () => {
+          this.app.workspace.openLinkText(rel.note.path, '', false);
+        });
+      });
+    }
+
+    // Orphan status (regardless of the edge filter)
+    if (this.currentNoteData.incomingLinks.length === 0 && this.currentNoteData.outgoingLinks.length === 0) {
+      const warning = container.createDiv('para-note-warning');
+      warning.style.cssText = 'background: var(--background-modifier-error); padding: 12px; border-radius: 8px; margin-top: 16px;';
+      warning.innerHTML = `
+        <div style="font-weight: 600; margin-bottom: 4px;">⚠️ Orphan Note</div>
+        <div style="font-size: 0.9em;">This note has no connections to other notes. Consider linking it to related content.</div>
+      `;
+    }
+  }
+
+  renderNoteHistory(container) {
+    // Check for Quick PARA dependency
+    if (!this.plugin.hasQuickPARA()) {
+      container.createDiv('para-dependency-warning').innerHTML = `
+        <div style="background: var(--background-modifier-error); padding: 24px; border-radius: 8px; margin: 20px;">
+          <h3 style="margin: 0 0 12px 0; color: var(--text-error);">⚠️ Quick PARA Plugin Required</h3>
+          <p style="margin: 0 0 12px 0;">The PARA History feature requires the <strong>Quick PARA</strong> plugin to track note movements.</p>
+          <p style="margin: 0 0 12px 0; font-size: 0.9em;">Quick PARA automatically records when you move notes between PARA folders (Inbox → Projects → Archive, etc.).</p>
+          <p style="margin: 0; font-size: 0.9em;"><strong>To use this feature:</strong></p>
+          <ol style="margin: 8px 0 0 20px; font-size: 0.9em;">
+            <li>Install the Quick PARA plugin</li>
+            <li>Enable it in Settings → Community Plugins</li>
+            <li>Move notes between PARA folders to build history</li>
+          </ol>
+          <p style="margin: 12px 0 0 0; font-size: 0.85em; color: var(--text-muted);">
+            Run "PARA Visualizer: Check Dependencies" command to verify installation.
+          </p>
+        </div>
+      `;
+      return;
+    }
+
+    if (!this.currentNoteData) {
+      container.createDiv('para-empty-state').innerHTML = `
+        <div style="text-align: center; padding: 40px; color: var(--text-muted);">
+          <p>📝 No note selected</p>
+          <p style="font-size: 0.9em;">Open a note to see its PARA history</p>
+        </div>
+      `;
+      return;
+    }
+
+    const { note } = this.currentNoteData;
+
+    // Header
+    const header = container.createDiv('para-note-header');
+    header.createEl('h2', { text: `PARA Journey: ${note.basename}` });
+
+    // Current location
+    const currentSection = container.createDiv('para-note-section');
+    currentSection.createEl('h3', { text: '📍 Current Location' });
+    const current = currentSection.createDiv({ text: this.getLocationLabel(note.paraLocation).toUpperCase() });
+    current.style.cssText = `padding: 16px; background: ${this.getParaColor(note.paraLocation)}; color: white; border-radius: 8px; text-align: center; font-size: 18px; font-weight: 600; margin-top: 8px;`;
+    const source = currentSection.createDiv({
+      cls: ['para-source-indicator', note.paraSource || 'none'],
+      text: this.getParaSourceLabel(note)
+    });
+    source.style.marginTop = '6px';
+
+    // Check if there's any history
+    if (!note.paraHistory || note.paraHistory.length === 0) {
+      const noHistorySection = container.createDiv('para-note-section');
+      noHistorySection.innerHTML = `
+        <div style="text-align: center; padding: 40px; color: var(--text-muted);">
+          <p>📋 No movement history recorded</p>
+          <p style="font-size: 0.9em;">This note hasn't moved between PARA locations yet.</p>
+          <p style="font-size: 0.9em; margin-top: 12px;">The Quick PARA plugin tracks movements automatically when you move files between PARA folders.</p>
+        </div>
+      `;
+      return;
+    }
+
+    // History timeline
+    const timelineSection = container.createDiv('para-note-section');
+    timelineSection.createEl('h3', { text: '📜 Movement History' });
+    timelineSection.createEl('p', {
+      text: `This note has moved ${note.paraHistory.length} time${note.paraHistory.length > 1 ? 's' : ''}`,
+      attr: { style: 'color: var(--text-muted); font-size: 0.9em; margin-bottom: 16px;' }
+    });
+
+    const timeline = timelineSection.createDiv('para-history-timeline');
+    timeline.style.cssText = 'position: relative; padding-left: 32px;';
+
+    // Add vertical line
+    const line = timeline.createDiv('para-history-line');
+    line.style.cssText = 'position: absolute; left: 11px; top: 0; bottom: 0; width: 2px; background: var(--background-modifier-border);';
+
+    // Sort history by date (most recent first)
+    const sortedHistory = [...note.paraHistory].sort((a, b) => {
+      const dateA = parseDate(a.timestamp || a.date)?.getTime() || 0;
+      const dateB = parseDate(b.timestamp || b.date)?.getTime() || 0;
+      return dateB - dateA;
+    });
+
+    sortedHistory.forEach((move, index) => {
+      const item = timeline.createDiv('para-history-item');
+      item.style.cssText = 'position: relative; margin-bottom: 24px; padding-bottom: 16px; border-bottom: 1px solid var(--background-modifier-border);';
+
+      // Dot
+      const dot = item.createDiv('para-history-dot');
+      dot.style.cssText = 'position: absolute; left: -26px; top: 4px; width: 12px; height: 12px; border-radius: 50%; background: var(--interactive-accent); border: 2px solid var(--background-primary);';
+
+      // Date
+      const date = item.createDiv('para-history-date');
+      const moveDate = parseDate(move.timestamp || move.date);
+      date.style.cssText = 'font-size: 0.85em; color: var(--text-muted); margin-bottom: 4px;';
+      if (moveDate) {
+        const dateStr = moveDate.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+        const timeStr = moveDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+        date.textContent = `${dateStr} at ${timeStr}`;
+      } else {
+        date.textContent = 'Unknown date';
+      }
+
+      // Movement
+      const movement = item.createDiv('para-history-movement');
+      movement.style.cssText = 'display: flex; align-items: center; gap: 12px; margin-top: 8px;';
+
+      const fromColor = this.getParaColor(move.from);
+      const toColor = this.getParaColor(move.to);
+
+      const fromBadge = movement.createSpan({ text: this.getLocationLabel(move.from).toUpperCase() });
+      fromBadge.style.cssText = `background: ${fromColor}; color: white; padding: 4px 12px; border-radius: 6px; font-weight: 500; font-size: 0.9em;`;
+      movement.createSpan({ text: '→' }).style.fontSize = '1.2em';
+      const toBadge = movement.createSpan({ text: this.getLocationLabel(move.to).toUpperCase() });
+      toBadge.style.cssText = `background: ${toColor}; color: white; padding: 4px 12px; border-radius: 6px; font-weight: 500; font-size: 0.9em;`;
+
+      // Add context if this was the most recent move
+      if (index === 0) {
+        const badge = item.createDiv('para-history-badge');
+        badge.style.cssText = 'display: inline-block; background: var(--interactive-accent); color: var(--text-on-accent); padding: 2px 8px; border-radius: 4px; font-size: 0.75em; font-weight: 600; margin-top: 8px;';
+        badge.textContent = 'MOST RECENT';
+      }
+    });
+
+    // Flow visualization
+    const flowSection = container.createDiv('para-note-section');
+    flowSection.createEl('h3', { text: '🌊 PARA Flow Diagram' });
+
+    // Get unique locations in order
+    const locations = this.getLocations().map(loc => loc.id);
+    const visitedLocations = new Set();
+
+    // Add all locations from history
+    sortedHistory.forEach(move => {
+      visitedLocations.add(move.from);
+      visitedLocations.add(move.to);
+    });
+    visitedLocations.add(note.paraLocation); // Current location
+
+    // Show locations from history that aren't part of the taxonomy at the end
+    visitedLocations.forEach(location => {
+      if (!locations.includes(location)) locations.push(location);
+    });
+
+    const flowDiagram = flowSection.createDiv('para-flow-diagram');
+    flowDiagram.style.cssText = 'display: flex; align-items: center; justify-content: center; flex-wrap: wrap; gap: 12px; padding: 24px; background: var(--background-secondary); border-radius: 8px;';
+
+    locations.forEach(location => {
+      if (visitedLocations.has(location)) {
+        const box = flowDiagram.createDiv('para-flow-box');
+        const color = this.getParaColor(location);
+        const isCurrent = location === note.paraLocation;
+
+        box.style.cssText = `
+          background: ${color};
+          color: white;
+          padding: 12px 20px;
+          border-radius: 8px;
+          font-weight: 600;
+          text-align: center;
+          ${isCurrent ? 'box-shadow: 0 0 0 3px var(--interactive-accent); transform: scale(1.1);' : ''}
+        `;
+        box.textContent = this.getLocationLabel(location).toUpperCase();
+
+        if (isCurrent) {
+          const currentBadge = box.createDiv();
+          currentBadge.style.cssText = 'font-size: 0.7em; margin-top: 4px; opacity: 0.9;';
+          currentBadge.textContent = '(Current)';
+        }
+      }
+    });
+
+    // Stats
+    const statsSection = container.createDiv('para-note-section');
+    statsSection.createEl('h3', { text: '📊 Movement Statistics' });
+
+    const stats = statsSection.createDiv('para-note-stats');
+    stats.style.cssText = 'display: grid; grid-template-columns: repeat(2, 1fr); gap: 12px; margin-top: 12px;';
+
+    const firstMove = sortedHistory[sortedHistory.length - 1];
+    const lastMove = sortedHistory[0];
+    const firstDate = firstMove ? parseDate(firstMove.timestamp || firstMove.date) : null;
+    const lastDate = lastMove ? parseDate(lastMove.timestamp || lastMove.date) : null;
+
+    const statBoxes = [
+      { label: 'Total Moves', value: note.paraHistory.length, icon: '🔄' },
+      { label: 'Locations Visited', value: visitedLocations.size, icon: '📍' },
+      {
+        label: 'First Move',
+        value: firstDate ? firstDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'N/A',
+        icon: '🕐'
+      },
+      {
+        label: 'Last Move',
+        value: lastDate ? lastDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'N/A',
+        icon: '🕑'
+      }
+    ];
+
+    statBoxes.forEach(stat => {
+      const box = stats.createDiv('para-stat-box');
+      box.style.cssText = 'background: var(--background-secondary); padding: 12px; border-radius: 8px; text-align: center;';
+      box.innerHTML = `
+        <div style="font-size: 1.2em; margin-bottom: 4px;">${stat.icon} ${stat.value}</div>
+        <div style="font-size: 0.85em; color: var(--text-muted);">${stat.label}</div>
+      `;
+    });
+  }
+
+  renderNoteTasks(container) {
+    if (!this.currentNoteData) {
+      container.createDiv('para-empty-state').innerHTML = `
+        <div style="text-align: center; padding: 40px; color: var(--text-muted);">
+          <p>📝 No note selected</p>
+          <p style="font-size: 0.9em;">Open a note to see its tasks</p>
+        </div>
+      `;
+      return;
+    }
 
-          return {
-            timestamp: Number(rawTimestamp),
-            from: this.normalizeLocation(entry.from ?? entry.from_location ?? entry.fromLocation ?? note.paraLocation),
-            to: this.normalizeLocation(entry.to ?? entry.to_location ?? entry.toLocation ?? note.paraLocation)
-          };
-        })
-        .filter(Boolean)
-        .sort((a, b) => a.timestamp - b.timestamp);
+    const { note, tasks } = this.currentNoteData;
 
-      const creationTs = note.created || 0;
-      const initialLocation = history.length > 0
-        ? this.normalizeLocation(history[0].from || note.paraLocation)
-        : this.normalizeLocation(note.paraLocation);
+    // Header
+    const header = container.createDiv('para-note-header');
+    header.createEl('h2', { text: `Tasks in ${note.basename}` });
 
-      const states = [{ timestamp: creationTs, location: initialLocation }];
-      history.forEach(move => {
-        states.push({ timestamp: move.timestamp, location: move.to || states[states.length - 1].location });
-      });
-      states.sort((a, b) => a.timestamp - b.timestamp);
+    if (tasks.length === 0) {
+      container.createDiv('para-empty-state').innerHTML = `
+        <div style="text-align: center; padding: 40px; color: var(--text-muted);">
+          <p>✅ No tasks found</p>
+          <p style="font-size: 0.9em;">This note doesn't contain any tasks</p>
+        </div>
+      `;
+      return;
+    }
 
-      timeline.forEach(day => {
-        const loc = this.getLocationAtTime(states, day.timestamp + dayMs / 2);
-        if (loc && day.counts[loc] !== undefined) {
-          day.counts[loc]++;
-        }
-      });
+    // Task stats
+    const completed = tasks.filter(t => t.completed).length;
+    const cancelled = tasks.filter(t => t.status === 'cancelled').length;
+    const open = tasks.filter(isOpenTask).length;
+    const counted = tasks.length - cancelled;
+    const completionRate = counted > 0 ? Math.round((completed / counted) * 100) : 0;
 
-      let prevTimestamp = creationTs;
-      let prevLocation = states[0]?.location || initialLocation;
-      history.forEach(move => {
-        const duration = (move.timestamp - prevTimestamp) / dayMs;
-        if (duration >= 0 && stageDurations[prevLocation]) {
-          stageDurations[prevLocation].push(duration);
-        }
-        const key = `${prevLocation}->${move.to}`;
-        transitionCounts[key] = (transitionCounts[key] || 0) + 1;
-        prevTimestamp = move.timestamp;
-        prevLocation = move.to || prevLocation;
-      });
-    });
+    const stats = container.createDiv('para-note-stats');
+    stats.style.cssText = 'display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin: 20px 0;';
 
-    timeline.forEach(day => {
-      const entries = Object.entries(day.counts);
-      day.total = entries.reduce((sum, [, value]) => sum + value, 0);
-      const dominant = entries.reduce(
-        (best, [location, value]) => (value > (best?.value || 0) ? { location, value } : best),
-        null
-      );
-      day.dominant = dominant?.location || null;
-    });
+    const statBoxes = [
+      { label: 'Total Tasks', value: tasks.length, icon: '📋' },
+      { label: 'Completed', value: completed, icon: '✅' },
+      { label: 'Open', value: open, icon: '⬜' }
+    ];
 
-    const avgStageDurations = {};
-    Object.entries(stageDurations).forEach(([location, durations]) => {
-      if (durations.length > 0) {
-        avgStageDurations[location] = durations.reduce((sum, value) => sum + value, 0) / durations.length;
-      }
+    statBoxes.forEach(stat => {
+      const box = stats.createDiv('para-stat-box');
+      box.style.cssText = 'background: var(--background-secondary); padding: 12px; border-radius: 8px; text-align: center;';
+      box.innerHTML = `
+        <div style="font-size: 1.5em; margin-bottom: 4px;">${stat.icon} ${stat.value}</div>
+        <div style="font-size: 0.85em; color: var(--text-muted);">${stat.label}</div>
+      `;
     });
 
-    const longestStage = Object.entries(avgStageDurations).reduce((best, [location, duration]) => {
-      if (!best || duration > best.duration) {
-        return {
-          location,
-          duration,
-          label: location.charAt(0).toUpperCase() + location.slice(1)
-        };
-      }
-      return best;
-    }, null);
-
-    const busiestDay = timeline.reduce((best, day) => {
-      if (!best || day.total > best.total) return day;
-      return best;
-    }, null);
+    // Completion bar
+    const progressSection = container.createDiv('para-note-section');
+    progressSection.createEl('h3', { text: 'Completion Progress' });
+    const progressBar = progressSection.createDiv('para-progress-bar');
+    progressBar.style.cssText = 'background: var(--background-secondary); height: 30px; border-radius: 8px; overflow: hidden; position: relative;';
 
-    const topTransition = Object.entries(transitionCounts).reduce((best, [key, value]) => {
-      if (!best || value > best.value) {
-        return { key, value };
-      }
-      return best;
-    }, null);
+    const progressFill = progressBar.createDiv('para-progress-fill');
+    progressFill.style.cssText = `background: linear-gradient(90deg, #10b981, #059669); width: ${completionRate}%; height: 100%; transition: width 0.3s ease;`;
 
-    return {
-      timeline,
-      transitionCounts,
-      avgStageDurations,
-      longestStage,
-      busiestDay,
-      topTransition
-    };
-  }
+    const progressText = progressBar.createDiv('para-progress-text');
+    progressText.style.cssText = 'position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); font-weight: 600; color: var(--text-normal);';
+    progressText.textContent = `${completionRate}%`;
 
-  renderTaskCalendar(container) {
-    const calendarView = container.createDiv('para-task-calendar-view');
-    const tasksWithDueDates = this.vaultData.tasks.all.filter(task => task.dueDate);
-    const calendarData = this.buildTaskCalendarData(tasksWithDueDates);
+    // Open tasks
+    const openTasks = tasks.filter(t => isOpenTask(t));
+    if (openTasks.length > 0) {
+      const section = container.createDiv('para-note-section');
+      section.createEl('h3', { text: `⬜ Open Tasks (${openTasks.length})` });
 
-    const summary = calendarView.createDiv('para-stats-panel');
-    const busiestLabel = calendarData.busiestCell
-      ? `${calendarData.busiestCell.dayLabel} ${calendarData.busiestCell.dateLabel} (${calendarData.busiestCell.tasks.length})`
-      : '—';
+      // Group by the heading each task lives under, in note order
+      const groups = new Map(); // headingLine -> { heading, tasks }
+      openTasks.forEach(task => {
+        if (!groups.has(task.headingLine)) {
+          groups.set(task.headingLine, { heading: task.heading, tasks: [] });
+        }
+        groups.get(task.headingLine).tasks.push(task);
+      });
 
-    const summaryCards = [
-      { label: 'Tasks w/ due dates', value: tasksWithDueDates.length.toString() },
-      { label: 'Overdue tasks', value: calendarData.overdueTasks.length.toString() },
-      { label: 'Due next 7 days', value: calendarData.upcomingWeekCount.toString() },
-      { label: 'Busiest day', value: busiestLabel }
-    ];
+      // Nesting depth follows parent tasks, whatever their status
+      const tasksByLine = new Map(tasks.map(t => [t.line, t]));
+      const getDepth = task => {
+        let depth = 0;
+        let parent = tasksByLine.get(task.parentLine);
+        while (parent) {
+          depth++;
+          parent = tasksByLine.get(parent.parentLine);
+        }
+        return depth;
+      };
 
-    summaryCards.forEach(cardData => {
-      const card = summary.createDiv('para-stat-card');
-      card.createDiv('para-stat-value').setText(cardData.value);
-      card.createDiv('para-stat-label').setText(cardData.label);
-    });
+      groups.forEach(group => {
+        if (groups.size > 1 || group.heading) {
+          section.createEl('h4', {
+            text: group.heading || 'Top of note',
+            cls: 'para-note-task-heading'
+          });
+        }
 
-    const grid = calendarView.createDiv('para-task-calendar-grid');
-    calendarData.cells.forEach(cell => {
-      const cellEl = grid.createDiv('para-task-calendar-cell');
-      if (cell.isToday) cellEl.addClass('today');
-      if (cell.isPast && !cell.isToday) cellEl.addClass('past');
+        const list = section.createEl('ul');
+        list.style.cssText = 'list-style: none; padding-left: 0;';
 
-      const header = cellEl.createDiv('para-task-calendar-cell-header');
-      header.createSpan({ text: cell.dayLabel, cls: 'para-task-calendar-day' });
-      header.createSpan({ text: cell.dateLabel.toString(), cls: 'para-task-calendar-date' });
+        group.tasks.forEach(task => {
+          const item = list.createEl('li');
+          item.style.cssText = 'padding: 8px; background: var(--background-secondary); margin-bottom: 6px; border-radius: 6px;';
+          item.style.marginLeft = `${getDepth(task) * 20}px`;
 
-      const bar = cellEl.createDiv('para-task-calendar-bar');
-      if (cell.tasks.length === 0) {
-        bar.addClass('empty');
-        bar.setText('No tasks');
-      } else {
-        const total = cell.tasks.length;
-        Object.entries(cell.counts).forEach(([location, count]) => {
-          if (count === 0) return;
-          const segment = bar.createDiv('para-task-calendar-bar-segment');
-          segment.style.backgroundColor = PARA_COLORS[location] || 'var(--interactive-accent)';
-          segment.style.width = `${(count / total) * 100}%`;
-          segment.setAttribute('title', `${count} ${location}`);
-        });
-      }
+          let taskHTML = `<input type="checkbox" disabled style="margin-right: 8px;"> ${task.text}`;
 
-      if (cell.tasks.length > 0) {
-        const list = cellEl.createEl('ul', { cls: 'para-task-calendar-list' });
-        cell.tasks.slice(0, 3).forEach(task => {
-          const item = list.createEl('li', { cls: 'para-task-calendar-item' });
-          const taskDue = new Date(task.dueDate);
-          taskDue.setHours(0, 0, 0, 0);
-          const now = new Date();
-          now.setHours(0, 0, 0, 0);
-          if (!task.completed && taskDue < now) {
-            item.addClass('overdue');
+          if (task.status === 'in-progress') {
+            taskHTML += ` <span style="color: var(--text-accent); font-size: 0.85em; margin-left: 8px;">◐ In progress</span>`;
           }
 
-          const paraKey = task.paraLocation || 'unknown';
-          const paraLabel = task.paraLocation ? task.paraLocation.substring(0, 3).toUpperCase() : 'N/A';
+          if (task.dueDate) {
+            const dueDate = parseDate(task.dueDate);
+            const isOverdue = dueDate && dueDate < startOfDay(new Date());
+            const dueDateStr = task.dueDate;
 
-          item.innerHTML = `
-            <span class="para-task-calendar-status">${task.completed ? '✅' : taskDue < now ? '⚠️' : '•'}</span>
-            ${task.text}
-            <span class="para-task-calendar-para para-location-badge ${paraKey}">
-              ${paraLabel}
-            </span>
-          `;
+            taskHTML += ` <span style="color: ${isOverdue ? '#ef4444' : 'var(--text-muted)'}; font-size: 0.85em; margin-left: 8px;">📅 ${dueDateStr}</span>`;
+          }
 
-          item.addEventListener('click', () => {
-            this.app.workspace.openLinkText(task.file, '', false);
-          });
+          item.innerHTML = taskHTML;
         });
+      });
+    }
 
-        if (cell.tasks.length > 3) {
-          cellEl.createEl('p', {
-            text: `+${cell.tasks.length - 3} more`,
-            cls: 'para-task-calendar-more'
-          });
-        }
-      }
-    });
+    // Completed tasks
+    const completedTasks = tasks.filter(t => t.completed);
+    if (completedTasks.length > 0) {
+      const section = container.createDiv('para-note-section');
+      section.createEl('h3', { text: `✅ Completed Tasks (${completedTasks.length})` });
 
-    const totalsSection = calendarView.createDiv('para-task-calendar-stats');
-    totalsSection.createEl('h3', { text: 'Load by PARA' });
-    const totalsGrid = totalsSection.createDiv('para-task-calendar-totals');
-    Object.entries(calendarData.windowCounts).forEach(([location, count]) => {
-      const card = totalsGrid.createDiv('para-task-calendar-total');
-      const badge = card.createSpan('para-location-badge');
-      badge.addClass(location);
-      badge.setText(location.toUpperCase());
-      card.createDiv('para-task-calendar-total-value').setText(count.toString());
-      card.createDiv('para-task-calendar-total-label').setText('Tasks in calendar window');
-    });
+      const list = section.createEl('ul');
+      list.style.cssText = 'list-style: none; padding-left: 0;';
 
-    const overdueSection = calendarView.createDiv('para-task-calendar-overdue');
-    overdueSection.createEl('h3', { text: 'Overdue Tasks' });
-    if (calendarData.overdueTasks.length === 0) {
-      overdueSection.createEl('p', { text: 'No overdue tasks. Nice work!' });
-    } else {
-      const list = overdueSection.createEl('ul');
-      list.addClass('para-task-calendar-overdue-list');
-      calendarData.overdueTasks.slice(0, 10).forEach(task => {
+      completedTasks.slice(0, 10).forEach(task => {
         const item = list.createEl('li');
-        const paraLabel = task.paraLocation ? task.paraLocation.toUpperCase() : 'UNKNOWN';
-        item.innerHTML = `
-          <strong>${task.text}</strong>
-          <span class="para-task-calendar-overdue-meta">
-            ${task.dueDate} • ${task.fileName} • ${paraLabel}
-          </span>
-        `;
-        item.addEventListener('click', () => {
-          this.app.workspace.openLinkText(task.file, '', false);
-        });
+        item.style.cssText = 'padding: 8px; background: var(--background-secondary); margin-bottom: 6px; border-radius: 6px; opacity: 0.7;';
+
+        let taskHTML = `<input type="checkbox" checked disabled style="margin-right: 8px;"> <s>${task.text}</s>`;
+
+        if (task.completionDate) {
+          taskHTML += ` <span style="color: var(--text-muted); font-size: 0.85em; margin-left: 8px;">✅ ${task.completionDate}</span>`;
+        }
+
+        item.innerHTML = taskHTML;
       });
-      if (calendarData.overdueTasks.length > 10) {
-        overdueSection.createEl('p', {
-          text: `${calendarData.overdueTasks.length - 10} additional overdue tasks`,
-          attr: { style: 'color: var(--text-muted); font-size: 0.9em;' }
+
+      if (completedTasks.length > 10) {
+        this.renderMoreLink(section, `...and ${completedTasks.length - 10} more completed`, () => {
+          this.openTaskList(`Completed tasks in ${note.basename}`, completedTasks, task => task.completionDate ? `Completed ${task.completionDate}` : null);
         });
       }
     }
-  }
 
-  buildTaskCalendarData(tasks) {
-    const dayMs = 24 * 60 * 60 * 1000;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const start = new Date(today);
-    const weekday = today.getDay();
-    const mondayOffset = (weekday + 6) % 7;
-    start.setDate(start.getDate() - mondayOffset);
+    // Cancelled tasks
+    const cancelledTasks = tasks.filter(t => t.status === 'cancelled');
+    if (cancelledTasks.length > 0) {
+      const section = container.createDiv('para-note-section');
+      section.createEl('h3', { text: `❌ Cancelled Tasks (${cancelledTasks.length})` });
 
-    const totalDays = 28;
-    const cells = [];
-    const cellMap = new Map();
+      const list = section.createEl('ul');
+      list.style.cssText = 'list-style: none; padding-left: 0;';
 
-    for (let i = 0; i < totalDays; i++) {
-      const date = new Date(start);
-      date.setDate(start.getDate() + i);
-      date.setHours(0, 0, 0, 0);
-      const dateStr = date.toISOString().split('T')[0];
-      const cell = {
-        date: dateStr,
-        timestamp: date.getTime(),
-        dayLabel: date.toLocaleDateString(undefined, { weekday: 'short' }),
-        dateLabel: date.getDate(),
-        tasks: [],
-        counts: { inbox: 0, projects: 0, areas: 0, resources: 0, archive: 0 },
-        isToday: date.getTime() === today.getTime(),
-        isPast: date.getTime() < today.getTime()
-      };
-      cells.push(cell);
-      cellMap.set(dateStr, cell);
-    }
+      cancelledTasks.slice(0, 10).forEach(task => {
+        const item = list.createEl('li');
+        item.style.cssText = 'padding: 8px; background: var(--background-secondary); margin-bottom: 6px; border-radius: 6px; opacity: 0.5;';
 
-    const overdueTasks = [];
-    const windowCounts = { inbox: 0, projects: 0, areas: 0, resources: 0, archive: 0 };
+        let taskHTML = `<s>${task.text}</s>`;
 
-    tasks.forEach(task => {
-      const due = new Date(task.dueDate);
-      if (isNaN(due.getTime())) return;
-      due.setHours(0, 0, 0, 0);
-      const dateStr = due.toISOString().split('T')[0];
-      if (!task.completed && due < today) {
-        overdueTasks.push(task);
-      }
-      const cell = cellMap.get(dateStr);
-      if (cell) {
-        cell.tasks.push(task);
-        if (cell.counts[task.paraLocation] !== undefined) {
-          cell.counts[task.paraLocation]++;
-          windowCounts[task.paraLocation]++;
+        if (task.cancelledDate) {
+          taskHTML += ` <span style="color: var(--text-muted); font-size: 0.85em; margin-left: 8px;">❌ ${task.cancelledDate}</span>`;
         }
+
+        item.innerHTML = taskHTML;
+      });
+
+      if (cancelledTasks.length > 10) {
+        this.renderMoreLink(section, `...and ${cancelledTasks.length - 10} more cancelled`, () => {
+          this.openTaskList(`Cancelled tasks in ${note.basename}`, cancelledTasks, task => task.cancelledDate ? `Cancelled ${task.cancelledDate}` : null);
+        });
       }
-    });
+    }
+  }
+};
 
-    cells.forEach(cell => {
-      cell.tasks.sort((a, b) => {
-        if (a.completed !== b.completed) return a.completed ? 1 : -1;
-        return a.text.localeCompare(b.text);
-      });
-    });
+class PARAVisualizerView extends PARAVisualizationMixin(ItemView) {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.initVisualization(plugin);
+    this.currentView = plugin.settings.defaultView;
+    this.scope = 'vault'; // 'vault' or 'note'
+  }
 
-    const upcomingWeekEnd = today.getTime() + 7 * dayMs;
-    const upcomingWeekCount = cells
-      .filter(cell => cell.timestamp >= today.getTime() && cell.timestamp < upcomingWeekEnd)
-      .reduce((sum, cell) => sum + cell.tasks.filter(t => !t.completed).length, 0);
+  getViewType() {
+    return VIEW_TYPE_PARA_VISUALIZER;
+  }
 
-    let busiestCell = cells.reduce((best, cell) => {
-      if (!best || cell.tasks.length > best.tasks.length) return cell;
-      return best;
-    }, null);
-    if (busiestCell && busiestCell.tasks.length === 0) {
-      busiestCell = null;
-    }
+  getDisplayText() {
+    return 'PARA Visualizer';
+  }
 
+  getIcon() {
+    return 'bar-chart-2';
+  }
+
+  /**
+   * View state saved with the workspace layout, so the scope, tab and time
+   * range survive a restart.
+   */
+  getState() {
     return {
-      cells,
-      overdueTasks,
-      upcomingWeekCount,
-      busiestCell,
-      windowCounts
+      ...super.getState(),
+      scope: this.scope,
+      view: this.currentView,
+      datePreset: this.datePreset,
+      customRange: { ...this.customRange },
+      comparison: this.comparison,
+      hiddenEdgeKinds: Array.from(this.hiddenEdgeKinds),
+      heatmapMetric: this.heatmapMetric
     };
   }
 
-  async updateCurrentNoteData() {
-    const activeFile = this.app.workspace.getActiveFile();
-    if (!activeFile) {
-      this.currentNoteData = null;
-      return;
+  async setState(state, result) {
+    state = state || {};
+    if (DATE_RANGE_PRESETS.some(p => p.id === state.datePreset)) {
+      this.datePreset = state.datePreset;
     }
-
-    // Ensure vault data is loaded
-    if (!this.vaultData) {
-      console.warn('PARA Visualizer: Vault data not loaded yet, skipping note update');
-      this.currentNoteData = null;
-      return;
+    if (state.customRange) {
+      this.customRange = {
+        start: parseDate(state.customRange.start) ? state.customRange.start : null,
+        end: parseDate(state.customRange.end) ? state.customRange.end : null
+      };
+    }
+    if (COMPARISON_OPTIONS.some(c => c.id === state.comparison)) {
+      this.comparison = state.comparison;
+    }
+    if (Array.isArray(state.hiddenEdgeKinds)) {
+      this.hiddenEdgeKinds = new Set(state.hiddenEdgeKinds);
+    }
+    if (HEATMAP_METRICS.some(m => m.id === state.heatmapMetric)) {
+      this.heatmapMetric = state.heatmapMetric;
     }
 
-    const cache = this.app.metadataCache.getFileCache(activeFile);
-    if (!cache) {
-      this.currentNoteData = null;
-      return;
+    if (state.scope === 'vault' || state.scope === 'note') {
+      await this.showView(state.scope, state.view);
+    } else {
+      this.render();
     }
+    await super.setState(state, result);
+  }
 
-    // Get note data from vault data
-    let noteData = this.vaultData.notes.find(n => n.path === activeFile.path);
-    if (!noteData) {
-      console.warn(`PARA Visualizer: Note not found in vault data: ${activeFile.path}`);
-      console.warn('This may happen after moving a file. Refreshing vault data...');
-      // Refresh vault data and try again
-      await this.collectVaultData();
-      noteData = this.vaultData.notes.find(n => n.path === activeFile.path);
-      if (!noteData) {
-        console.error(`PARA Visualizer: Note still not found after refresh: ${activeFile.path}`);
-        this.currentNoteData = null;
-        return;
-      }
-      console.log('PARA Visualizer: Note found after vault refresh');
+  // Ask Obsidian to persist getState() after the user changes it
+  saveViewState() {
+    this.app.workspace.requestSaveLayout();
+  }
+
+  /**
+   * Switch scope and tab. Unknown tab ids fall back to the scope's default tab.
+   */
+  async showView(scope, viewId) {
+    const views = scope === 'note' ? NOTE_VIEWS : VAULT_VIEWS;
+    const fallback = scope === 'note' ? 'note-context' : this.plugin.settings.defaultView;
+    this.scope = scope;
+    this.currentView = views.some(v => v.id === viewId) ? viewId : fallback;
+    this.loadVaultData();
+    if (scope === 'note') {
+      await this.updateCurrentNoteData();
     }
+    this.render();
+  }
 
-    // Find incoming links (what notes link TO this one)
-    const incomingLinks = this.vaultData.notes.filter(n =>
-      n.links.some(link => {
-        // Handle both full paths and basenames
-        return link === activeFile.basename || link === activeFile.path;
+  async onOpen() {
+    const container = this.containerEl.children[1];
+    container.empty();
+    container.addClass('para-visualizer-view');
+
+    // Listen for active file changes
+    this.registerEvent(
+      this.app.workspace.on('active-leaf-change', async () => {
+        if (this.scope === 'note') {
+          await this.updateCurrentNoteData();
+          this.render();
+        }
       })
     );
 
-    // Find outgoing links (what notes this one links TO)
-    const outgoingLinks = noteData.links.map(link => {
-      return this.vaultData.notes.find(n =>
-        n.basename === link || n.path === link
-      );
-    }).filter(n => n); // Remove null entries
+    // Canvas colors come from the theme, so redraw when it changes
+    this.registerEvent(
+      this.app.workspace.on('css-change', () => this.redrawCanvases(true))
+    );
 
-    // Find sibling notes (same PARA location + same subfolder)
-    const siblings = this.vaultData.notes.filter(n => {
-      if (n.path === activeFile.path) return false;
-      if (n.paraLocation !== noteData.paraLocation) return false;
+    // Keep our snapshot in sync with the vault index
+    this.registerEvent(
+      this.plugin.index.on('updated', async (paths) => {
+        this.loadVaultData();
 
-      // Check if in same subfolder
-      const activeFolder = activeFile.parent?.path || '';
-      const noteFolder = n.path.split('/').slice(0, -1).join('/');
-      return activeFolder === noteFolder;
-    });
+        if (this.scope === 'note') {
+          const activeFile = this.app.workspace.getActiveFile();
+          if (!activeFile) {
+            this.currentNoteData = null;
+            this.render();
+          } else if (!this.currentNoteData || paths.includes(activeFile.path) || paths.includes(this.currentNoteData.note.path)) {
+            await this.updateCurrentNoteData();
+            this.render();
+          }
+        } else {
+          this.requestRender();
+        }
+      })
+    );
 
-    // Find notes with shared tags (exclude system tags)
-    const systemTags = ['all', 'inbox', 'projects', 'areas', 'resources', 'archive'];
-    const contentTags = noteData.tags.filter(tag => !systemTags.includes(tag.toLowerCase()));
+    this.render();
 
-    const relatedByTag = [];
-    if (contentTags.length > 0) {
-      this.vaultData.notes.forEach(n => {
-        if (n.path === activeFile.path) return;
-        const nContentTags = n.tags.filter(tag => !systemTags.includes(tag.toLowerCase()));
-        const sharedTags = nContentTags.filter(tag => contentTags.includes(tag));
-        if (sharedTags.length > 0) {
-          relatedByTag.push({
-            note: n,
-            sharedTags: sharedTags,
-            tagScore: sharedTags.length
-          });
-        }
-      });
-      relatedByTag.sort((a, b) => b.tagScore - a.tagScore);
+    await this.plugin.index.whenReady();
+    if (!this.vaultData) {
+      this.loadVaultData();
+      // A restored note scope couldn't look up the note before the index was ready
+      if (this.scope === 'note') {
+        await this.updateCurrentNoteData();
+      }
+      this.render();
     }
+  }
 
-    // Parse tasks from current file
-    const tasks = await this.parseTasksFromFile(activeFile, noteData.paraLocation);
+  // Filters only apply to vault views; note views need the whole vault for links
+  getFilters() {
+    return this.scope === 'vault' ? this.plugin.settings.filters : null;
+  }
 
-    this.currentNoteData = {
-      file: activeFile,
-      note: noteData,
-      incomingLinks: incomingLinks,
-      outgoingLinks: outgoingLinks,
-      siblings: siblings,
-      relatedByTag: relatedByTag.slice(0, 10), // Top 10
-      tasks: tasks
-    };
+  loadVaultData() {
+    this.vaultData = this.plugin.index.built ? this.plugin.index.getData(this.getFilters()) : null;
   }
 
-  renderNoteContext(container) {
-    if (!this.currentNoteData) {
-      const activeFile = this.app.workspace.getActiveFile();
-      if (!activeFile) {
-        container.createDiv('para-empty-state').innerHTML = `
-          <div style="text-align: center; padding: 40px; color: var(--text-muted);">
-            <p>📝 No note selected</p>
-            <p style="font-size: 0.9em;">Open a note to see its context and connections</p>
-          </div>
-        `;
-      } else {
-        container.createDiv('para-empty-state').innerHTML = `
-          <div style="text-align: center; padding: 40px; color: var(--text-muted);">
-            <p>⏳ Loading note data...</p>
-          </div>
-        `;
-        // Trigger update
-        this.updateCurrentNoteData().then(() => this.render());
-      }
-      return;
+  async refresh() {
+    this.loadVaultData();
+    if (this.scope === 'note') {
+      await this.updateCurrentNoteData();
     }
+    this.render();
+  }
 
-    const { note, incomingLinks, outgoingLinks, siblings, relatedByTag } = this.currentNoteData;
+  render() {
+    const container = this.containerEl.children[1];
+    this.resetCanvases();
+    container.empty();
+    container.addClass('para-visualizer-view');
+    this.applyColorVariables(container);
 
-    // Header with note info
-    const header = container.createDiv('para-note-header');
-    header.createEl('h2', { text: note.basename });
+    // Header
+    const header = container.createDiv('para-visualizer-header');
+    this.renderTabs(header);
+    this.renderControls(header);
 
-    const metadata = header.createDiv('para-note-metadata');
-    const paraColor = PARA_COLORS[note.paraLocation] || '#6b7280';
-    metadata.innerHTML = `
-      <span style="background: ${paraColor}; color: white; padding: 2px 8px; border-radius: 4px; font-size: 0.85em;">
-        ${note.paraLocation.toUpperCase()}
-      </span>
-      <span style="margin-left: 8px; color: var(--text-muted); font-size: 0.9em;">
-        ${note.tags.map(t => '#' + t).join(' ')}
-      </span>
-    `;
+    // Content
+    const content = container.createDiv('para-visualizer-content');
 
-    // Stats row
-    const stats = container.createDiv('para-note-stats');
-    stats.style.cssText = 'display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin: 20px 0;';
+    if (!this.vaultData) {
+      content.createDiv('para-loading').setText('Loading vault data...');
+      return;
+    }
 
-    const statBoxes = [
-      { label: 'Incoming Links', value: incomingLinks.length, icon: '⬅️' },
-      { label: 'Outgoing Links', value: outgoingLinks.length, icon: '➡️' },
-      { label: 'Siblings', value: siblings.length, icon: '👥' },
-      { label: 'Related Notes', value: relatedByTag.length, icon: '🔗' }
-    ];
+    this.renderVisualization(content, this.currentView);
+  }
 
-    statBoxes.forEach(stat => {
-      const box = stats.createDiv('para-stat-box');
-      box.style.cssText = 'background: var(--background-secondary); padding: 12px; border-radius: 8px; text-align: center;';
-      box.innerHTML = `
-        <div style="font-size: 1.5em; margin-bottom: 4px;">${stat.icon} ${stat.value}</div>
-        <div style="font-size: 0.85em; color: var(--text-muted);">${stat.label}</div>
-      `;
+  renderTabs(container) {
+    // Scope toggle
+    const scopeToggle = container.createDiv('para-scope-toggle');
+    scopeToggle.style.cssText = 'display: flex; gap: 8px; margin-bottom: 12px; background: var(--background-secondary); padding: 4px; border-radius: 8px; width: fit-content;';
+
+    const vaultBtn = scopeToggle.createEl('button');
+    vaultBtn.textContent = '🗂️ Vault';
+    vaultBtn.style.cssText = `padding: 6px 12px; border: none; border-radius: 6px; cursor: pointer; font-weight: 500; background: ${this.scope === 'vault' ? 'var(--interactive-accent)' : 'transparent'}; color: ${this.scope === 'vault' ? 'var(--text-on-accent)' : 'var(--text-normal)'}`;
+    vaultBtn.addEventListener('click', async () => {
+      await this.showView('vault'); // Default vault view
+      this.saveViewState();
     });
 
-    // Sections
-    const sections = container.createDiv('para-note-sections');
+    const noteBtn = scopeToggle.createEl('button');
+    noteBtn.textContent = '📝 Current Note';
+    noteBtn.style.cssText = `padding: 6px 12px; border: none; border-radius: 6px; cursor: pointer; font-weight: 500; background: ${this.scope === 'note' ? 'var(--interactive-accent)' : 'transparent'}; color: ${this.scope === 'note' ? 'var(--text-on-accent)' : 'var(--text-normal)'}`;
+    noteBtn.addEventListener('click', async () => {
+      await this.showView('note'); // Default note view
+      this.saveViewState();
+    });
 
-    // Incoming links
-    if (incomingLinks.length > 0) {
-      const section = sections.createDiv('para-note-section');
-      section.createEl('h3', { text: '⬅️ Incoming Links' });
-      section.createEl('p', {
-        text: `${incomingLinks.length} note${incomingLinks.length > 1 ? 's' : ''} link to this note`,
-        attr: { style: 'color: var(--text-muted); font-size: 0.9em; margin-bottom: 8px;' }
+    // Tabs based on scope
+    const tabsContainer = container.createDiv('para-visualizer-tabs');
+
+    const tabs = this.scope === 'vault' ? VAULT_VIEWS : NOTE_VIEWS;
+
+    tabs.forEach(tab => {
+      const tabEl = tabsContainer.createDiv('para-visualizer-tab');
+      if (tab.id === this.currentView) {
+        tabEl.addClass('active');
+      }
+      tabEl.setText(`${tab.icon} ${tab.label}`);
+      tabEl.addEventListener('click', () => {
+        this.currentView = tab.id;
+        this.render();
+        this.saveViewState();
       });
+    });
+  }
 
-      const list = section.createEl('ul');
-      incomingLinks.slice(0, 10).forEach(n => {
-        const item = list.createEl('li');
-        item.style.cssText = 'cursor: pointer; padding: 4px 0;';
-        item.innerHTML = `
-          <span style="background: ${PARA_COLORS[n.paraLocation]}; color: white; padding: 1px 6px; border-radius: 3px; font-size: 0.75em; margin-right: 6px;">
-            ${n.paraLocation.substring(0, 3).toUpperCase()}
-          </span>
-          ${n.basename}
-        `;
-        item.addEventListener('click', () => {
-          this.app.workspace.openLinkText(n.path, '', false);
-        });
+  renderControls(container) {
+    const controlsContainer = container.createDiv('para-visualizer-controls');
+
+    // Date range selector
+    const dateControl = controlsContainer.createDiv('para-visualizer-control');
+    dateControl.createEl('label', { text: 'Time range:' });
+    const dateSelect = dateControl.createEl('select');
+    DATE_RANGE_PRESETS.forEach(preset => {
+      const option = dateSelect.createEl('option', {
+        text: preset.label,
+        value: preset.id
       });
+      if (preset.id === this.datePreset) {
+        option.selected = true;
+      }
+    });
+    dateSelect.addEventListener('change', () => {
+      if (dateSelect.value === 'custom' && !this.customRange.start) {
+        // Start the custom range from whatever was selected before
+        const current = this.getDateWindow();
+        this.customRange = { start: toDateKey(current.start), end: toDateKey(current.end) };
+      }
+      this.datePreset = dateSelect.value;
+      this.render();
+      this.saveViewState();
+    });
 
-      if (incomingLinks.length > 10) {
-        section.createEl('p', {
-          text: `...and ${incomingLinks.length - 10} more`,
-          attr: { style: 'color: var(--text-muted); font-size: 0.85em; font-style: italic;' }
+    if (this.datePreset === 'custom') {
+      const addDateInput = (key) => {
+        const input = dateControl.createEl('input', { type: 'date' });
+        input.value = this.customRange[key] || '';
+        input.addEventListener('change', () => {
+          if (!parseDate(input.value)) return;
+          this.customRange[key] = input.value;
+          this.render();
+          this.saveViewState();
         });
+      };
+      addDateInput('start');
+      dateControl.createSpan({ text: '–' });
+      addDateInput('end');
+    }
+
+    // Comparison period selector
+    const compareControl = controlsContainer.createDiv('para-visualizer-control');
+    compareControl.createEl('label', { text: 'Compare:' });
+    const compareSelect = compareControl.createEl('select');
+    COMPARISON_OPTIONS.forEach(choice => {
+      const option = compareSelect.createEl('option', { text: choice.label, value: choice.id });
+      if (choice.id === this.comparison) {
+        option.selected = true;
       }
+    });
+    compareSelect.addEventListener('change', () => {
+      this.comparison = compareSelect.value;
+      this.render();
+      this.saveViewState();
+    });
+
+    const comparisonWindow = this.getComparisonWindow();
+    if (comparisonWindow) {
+      compareControl.setAttribute('title', `Comparing with ${this.formatDateWindow(comparisonWindow)}`);
     }
 
-    // Outgoing links
-    if (outgoingLinks.length > 0) {
-      const section = sections.createDiv('para-note-section');
-      section.createEl('h3', { text: '➡️ Outgoing Links' });
-      section.createEl('p', {
-        text: `This note links to ${outgoingLinks.length} other note${outgoingLinks.length > 1 ? 's' : ''}`,
-        attr: { style: 'color: var(--text-muted); font-size: 0.9em; margin-bottom: 8px;' }
-      });
+    // Refresh button
+    const refreshBtn = controlsContainer.createEl('button', { text: '🔄 Refresh' });
+    refreshBtn.addClass('para-visualizer-control');
+    refreshBtn.addEventListener('click', async () => {
+      await this.plugin.index.whenReady();
+      await this.refresh();
+      new Notice('PARA Visualizer refreshed');
+    });
 
-      const list = section.createEl('ul');
-      outgoingLinks.slice(0, 10).forEach(n => {
-        const item = list.createEl('li');
-        item.style.cssText = 'cursor: pointer; padding: 4px 0;';
-        item.innerHTML = `
-          <span style="background: ${PARA_COLORS[n.paraLocation]}; color: white; padding: 1px 6px; border-radius: 3px; font-size: 0.75em; margin-right: 6px;">
-            ${n.paraLocation.substring(0, 3).toUpperCase()}
-          </span>
-          ${n.basename}
-        `;
-        item.addEventListener('click', () => {
-          this.app.workspace.openLinkText(n.path, '', false);
-        });
-      });
+    // Export menu
+    const exportBtn = controlsContainer.createEl('button', { text: '📤 Export' });
+    exportBtn.addClass('para-visualizer-control');
+    exportBtn.addEventListener('click', (event) => {
+      const menu = new Menu();
+      menu.addItem(item => item
+        .setTitle(`Export as PNG (${this.plugin.settings.exportScale}×)`)
+        .setIcon('image')
+        .onClick(() => this.exportVisualization(this.currentView, 'png')));
+      menu.addItem(item => item
+        .setTitle('Export as SVG')
+        .setIcon('file-code')
+        .onClick(() => this.exportVisualization(this.currentView, 'svg')));
+      menu.addSeparator();
+      const datasets = VIEW_DATA_EXPORTS[this.currentView] || ['notes', 'tasks'];
+      menu.addItem(item => item
+        .setTitle('Export data as CSV')
+        .setIcon('sheet')
+        .onClick(() => this.exportData(datasets, 'csv')));
+      menu.addItem(item => item
+        .setTitle('Export data as JSON')
+        .setIcon('braces')
+        .onClick(() => this.exportData(datasets, 'json')));
+      menu.showAtMouseEvent(event);
+    });
 
-      if (outgoingLinks.length > 10) {
-        section.createEl('p', {
-          text: `...and ${outgoingLinks.length - 10} more`,
-          attr: { style: 'color: var(--text-muted); font-size: 0.85em; font-style: italic;' }
-        });
-      }
+    if (this.scope === 'vault') {
+      this.renderFilterBar(container);
     }
+  }
 
-    // Siblings
-    if (siblings.length > 0) {
-      const section = sections.createDiv('para-note-section');
-      section.createEl('h3', { text: '👥 Sibling Notes' });
-      section.createEl('p', {
-        text: `${siblings.length} other note${siblings.length > 1 ? 's' : ''} in the same folder`,
-        attr: { style: 'color: var(--text-muted); font-size: 0.9em; margin-bottom: 8px;' }
-      });
+  /**
+   * Folder, tag, PARA location and title filters shared by every vault view.
+   * Filters live in settings, so they apply to all open visualizers and
+   * survive restarts.
+   */
+  renderFilterBar(container) {
+    const filters = this.plugin.settings.filters;
+    const filterBar = container.createDiv('para-filter-bar');
+
+    const applyFilters = async () => {
+      await this.plugin.saveSettings();
+      this.plugin.refreshViews();
+    };
 
-      const list = section.createEl('ul');
-      siblings.slice(0, 10).forEach(n => {
-        const item = list.createEl('li');
-        item.style.cssText = 'cursor: pointer; padding: 4px 0;';
-        item.textContent = n.basename;
-        item.addEventListener('click', () => {
-          this.app.workspace.openLinkText(n.path, '', false);
-        });
+    const addTextFilter = (label, placeholder, value, onChange) => {
+      const control = filterBar.createDiv('para-visualizer-control');
+      control.createEl('label', { text: label });
+      const input = control.createEl('input', { type: 'text', placeholder });
+      input.value = value;
+      input.addEventListener('change', async () => {
+        onChange(input.value.trim());
+        await applyFilters();
       });
+    };
 
-      if (siblings.length > 10) {
-        section.createEl('p', {
-          text: `...and ${siblings.length - 10} more`,
-          attr: { style: 'color: var(--text-muted); font-size: 0.85em; font-style: italic;' }
-        });
-      }
-    }
+    addTextFilter('Folder:', 'e.g. 1 - Projects/Client', filters.folder, value => {
+      filters.folder = value;
+    });
 
-    // Related by tags
-    if (relatedByTag.length > 0) {
-      const section = sections.createDiv('para-note-section');
-      section.createEl('h3', { text: '🔗 Related by Tags' });
-      section.createEl('p', {
-        text: `Notes sharing tags with this note`,
-        attr: { style: 'color: var(--text-muted); font-size: 0.9em; margin-bottom: 8px;' }
+    // "clientX, -archive": plain tags are included, "-" prefixed tags excluded
+    const tagText = [
+      ...filters.tags.map(tag => `#${tag}`),
+      ...filters.excludeTags.map(tag => `-#${tag}`)
+    ].join(', ');
+    addTextFilter('Tags:', '#clientX, -#someday', tagText, value => {
+      Object.assign(filters, parseTagFilter(value));
+    });
+
+    addTextFilter('Title:', 'contains…', filters.title, value => {
+      filters.title = value;
+    });
+
+    const locationControl = filterBar.createDiv('para-visualizer-control para-filter-locations');
+    locationControl.createEl('label', { text: 'PARA:' });
+    this.getLocations().forEach(loc => {
+      const chip = locationControl.createEl('button', { text: loc.label, cls: 'para-filter-chip' });
+      if (filters.locations.includes(loc.id)) {
+        chip.addClass('active');
+        chip.style.backgroundColor = loc.color;
+      }
+      chip.addEventListener('click', async () => {
+        filters.locations = filters.locations.includes(loc.id)
+          ? filters.locations.filter(id => id !== loc.id)
+          : [...filters.locations, loc.id];
+        await applyFilters();
       });
+    });
 
-      const list = section.createEl('ul');
-      relatedByTag.forEach(rel => {
-        const item = list.createEl('li');
-        item.style.cssText = 'cursor: pointer; padding: 4px 0;';
-        item.innerHTML = `
-          <span style="background: ${PARA_COLORS[rel.note.paraLocation]}; color: white; padding: 1px 6px; border-radius: 3px; font-size: 0.75em; margin-right: 6px;">
-            ${rel.note.paraLocation.substring(0, 3).toUpperCase()}
-          </span>
-          ${rel.note.basename}
-          <span style="color: var(--text-muted); font-size: 0.85em; margin-left: 6px;">
-            (${rel.sharedTags.map(t => '#' + t).join(', ')})
-          </span>
-        `;
-        item.addEventListener('click', () => {
-          this.app.workspace.openLinkText(rel.note.path, '', false);
-        });
+    if (this.plugin.index.hasActiveFilters(filters)) {
+      const total = this.plugin.index.getData().notes.length;
+      const shown = this.vaultData ? this.vaultData.notes.length : 0;
+      filterBar.createSpan({ text: `Showing ${shown} of ${total} notes`, cls: 'para-filter-summary' });
+
+      const clearBtn = filterBar.createEl('button', { text: 'Clear filters' });
+      clearBtn.addClass('para-visualizer-control');
+      clearBtn.addEventListener('click', async () => {
+        this.plugin.settings.filters = this.plugin.getDefaultSettings().filters;
+        await applyFilters();
       });
     }
+  }
 
-    // Orphan status
-    if (incomingLinks.length === 0 && outgoingLinks.length === 0) {
-      const warning = container.createDiv('para-note-warning');
-      warning.style.cssText = 'background: var(--background-modifier-error); padding: 12px; border-radius: 8px; margin-top: 16px;';
-      warning.innerHTML = `
-        <div style="font-weight: 600; margin-bottom: 4px;">⚠️ Orphan Note</div>
-        <div style="font-size: 0.9em;">This note has no connections to other notes. Consider linking it to related content.</div>
-      `;
-    }
+  async onClose() {
+    this.requestRender.cancel();
+    this.resetCanvases();
   }
+}
 
-  renderNoteHistory(container) {
-    // Check for Quick PARA dependency
-    if (!this.plugin.hasQuickPARA()) {
-      container.createDiv('para-dependency-warning').innerHTML = `
-        <div style="background: var(--background-modifier-error); padding: 24px; border-radius: 8px; margin: 20px;">
-          <h3 style="margin: 0 0 12px 0; color: var(--text-error);">⚠️ Quick PARA Plugin Required</h3>
-          <p style="margin: 0 0 12px 0;">The PARA History feature requires the <strong>Quick PARA</strong> plugin to track note movements.</p>
-          <p style="margin: 0 0 12px 0; font-size: 0.9em;">Quick PARA automatically records when you move notes between PARA folders (Inbox → Projects → Archive, etc.).</p>
-          <p style="margin: 0; font-size: 0.9em;"><strong>To use this feature:</strong></p>
-          <ol style="margin: 8px 0 0 20px; font-size: 0.9em;">
-            <li>Install the Quick PARA plugin</li>
-            <li>Enable it in Settings → Community Plugins</li>
-            <li>Move notes between PARA folders to build history</li>
-          </ol>
-          <p style="margin: 12px 0 0 0; font-size: 0.85em; color: var(--text-muted);">
-            Run "PARA Visualizer: Check Dependencies" command to verify installation.
-          </p>
-        </div>
-      `;
+/**
+ * A single vault visualization embedded in a note with a `para-viz` code block:
+ *
+ *   ```para-viz
+ *   view: review
+ *   range: 30
+ *   tags: "#clientX, -#someday"
+ *   ```
+ *
+ * Options: `view` (a VAULT_VIEWS id), `range` (days ending today or a
+ * DATE_RANGE_PRESETS id), `start`/`end` (YYYY-MM-DD), `compare` (a
+ * COMPARISON_OPTIONS id), `metric` (a HEATMAP_METRICS id for the heatmap)
+ * and the filter bar's `folder`, `tags`, `title` and `locations`. The block
+ * follows the vault index like the sidebar view.
+ */
+class PARAVizBlock extends PARAVisualizationMixin(MarkdownRenderChild) {
+  constructor(containerEl, plugin, source) {
+    super(containerEl);
+    this.initVisualization(plugin);
+    this.source = source;
+    this.error = null;
+    // Waits for a pause, so typing in the note holding the block doesn't
+    // re-render it on every index update
+    this.requestRefresh = debounce(() => this.refresh(), 1000, true);
+    this.parseOptions(source);
+  }
+
+  parseOptions(source) {
+    let options;
+    try {
+      options = parseYaml(source) || {};
+    } catch (e) {
+      this.error = `Couldn't read the block options: ${e.message}`;
+      return;
+    }
+    if (typeof options !== 'object') {
+      this.error = 'Write options as "key: value" lines, e.g. "view: heatmap".';
       return;
     }
 
-    if (!this.currentNoteData) {
-      container.createDiv('para-empty-state').innerHTML = `
-        <div style="text-align: center; padding: 40px; color: var(--text-muted);">
-          <p>📝 No note selected</p>
-          <p style="font-size: 0.9em;">Open a note to see its PARA history</p>
-        </div>
-      `;
+    this.viewId = options.view || 'heatmap';
+    if (!VAULT_VIEWS.some(v => v.id === this.viewId)) {
+      this.error = `Unknown view "${this.viewId}". Use one of: ${VAULT_VIEWS.map(v => v.id).join(', ')}.`;
       return;
     }
 
-    const { note } = this.currentNoteData;
+    // A number of days rolls with the current date; presets are used as-is
+    this.rangeDays = null;
+    if (options.start || options.end) {
+      this.datePreset = 'custom';
+      this.customRange = {
+        start: parseDate(String(options.start ?? '')) ? String(options.start) : null,
+        end: parseDate(String(options.end ?? '')) ? String(options.end) : null
+      };
+    } else if (typeof options.range === 'number' || /^\d+$/.test(String(options.range ?? ''))) {
+      this.rangeDays = Math.max(1, parseInt(options.range, 10));
+      this.datePreset = 'custom';
+    } else if (options.range !== undefined) {
+      if (!DATE_RANGE_PRESETS.some(p => p.id === options.range && p.id !== 'custom')) {
+        this.error = `Unknown range "${options.range}". Use a number of days or one of: ${DATE_RANGE_PRESETS.filter(p => p.id !== 'custom').map(p => p.id).join(', ')}.`;
+        return;
+      }
+      this.datePreset = options.range;
+    }
 
-    // Header
-    const header = container.createDiv('para-note-header');
-    header.createEl('h2', { text: `PARA Journey: ${note.basename}` });
+    if (options.compare !== undefined) {
+      if (!COMPARISON_OPTIONS.some(c => c.id === options.compare)) {
+        this.error = `Unknown comparison "${options.compare}". Use one of: ${COMPARISON_OPTIONS.map(c => c.id).join(', ')}.`;
+        return;
+      }
+      this.comparison = options.compare;
+    }
 
-    // Current location
-    const currentSection = container.createDiv('para-note-section');
-    currentSection.createEl('h3', { text: '📍 Current Location' });
-    const paraColor = PARA_COLORS[note.paraLocation] || '#6b7280';
-    currentSection.innerHTML += `
-      <div style="padding: 16px; background: ${paraColor}; color: white; border-radius: 8px; text-align: center; font-size: 18px; font-weight: 600; margin-top: 8px;">
-        ${note.paraLocation.toUpperCase()}
-      </div>
-    `;
+    if (options.metric !== undefined) {
+      if (!HEATMAP_METRICS.some(m => m.id === options.metric)) {
+        this.error = `Unknown metric "${options.metric}". Use one of: ${HEATMAP_METRICS.map(m => m.id).join(', ')}.`;
+        return;
+      }
+      this.heatmapMetric = options.metric;
+    }
 
-    // Check if there's any history
-    if (!note.paraHistory || note.paraHistory.length === 0) {
-      const noHistorySection = container.createDiv('para-note-section');
-      noHistorySection.innerHTML = `
-        <div style="text-align: center; padding: 40px; color: var(--text-muted);">
-          <p>📋 No movement history recorded</p>
-          <p style="font-size: 0.9em;">This note hasn't moved between PARA locations yet.</p>
-          <p style="font-size: 0.9em; margin-top: 12px;">The Quick PARA plugin tracks movements automatically when you move files between PARA folders.</p>
-        </div>
-      `;
-      return;
+    const toList = value => (Array.isArray(value) ? value : String(value ?? '').split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+    const tagFilter = parseTagFilter(toList(options.tags).join(', '));
+    this.filters = {
+      folder: String(options.folder ?? ''),
+      title: String(options.title ?? ''),
+      tags: tagFilter.tags,
+      excludeTags: tagFilter.excludeTags,
+      locations: toList(options.locations).map(id => id.toLowerCase())
+    };
+  }
+
+  // Index updates and settings changes reach blocks only through the
+  // plugin, which calls requestRefresh()
+  onload() {
+    this.plugin.embeds.add(this);
+    this.registerEvent(this.app.workspace.on('css-change', () => this.redrawCanvases(true)));
+
+    if (!this.error && this.plugin.index.built) {
+      this.vaultData = this.plugin.index.getData(this.filters);
+    }
+    this.render();
+    if (!this.error) {
+      // The build's 'updated' event draws the block once data is ready
+      this.plugin.index.whenReady().catch(error => {
+        console.error('PARA Visualizer: index build failed', error);
+        this.error = `Couldn't index the vault: ${error.message}`;
+        this.render();
+      });
     }
+  }
 
-    // History timeline
-    const timelineSection = container.createDiv('para-note-section');
-    timelineSection.createEl('h3', { text: '📜 Movement History' });
-    timelineSection.createEl('p', {
-      text: `This note has moved ${note.paraHistory.length} time${note.paraHistory.length > 1 ? 's' : ''}`,
-      attr: { style: 'color: var(--text-muted); font-size: 0.9em; margin-bottom: 16px;' }
-    });
+  onunload() {
+    this.plugin.embeds.delete(this);
+    this.requestRefresh.cancel();
+    this.resetCanvases();
+  }
 
-    const timeline = timelineSection.createDiv('para-history-timeline');
-    timeline.style.cssText = 'position: relative; padding-left: 32px;';
+  getFilters() {
+    return this.filters;
+  }
 
-    // Add vertical line
-    const line = timeline.createDiv('para-history-line');
-    line.style.cssText = 'position: absolute; left: 11px; top: 0; bottom: 0; width: 2px; background: var(--background-modifier-border);';
+  refresh() {
+    if (this.error || !this.plugin.index.built) return;
+    this.vaultData = this.plugin.index.getData(this.filters);
+    this.render();
+  }
 
-    // Sort history by date (most recent first)
-    const sortedHistory = [...note.paraHistory].sort((a, b) => {
-      const dateA = new Date(a.timestamp || a.date);
-      const dateB = new Date(b.timestamp || b.date);
-      return dateB - dateA;
-    });
+  render() {
+    const container = this.containerEl;
+    this.resetCanvases();
+    container.empty();
+    container.addClass('para-visualizer-view', 'para-viz-block');
+    this.applyColorVariables(container);
 
-    sortedHistory.forEach((move, index) => {
-      const item = timeline.createDiv('para-history-item');
-      item.style.cssText = 'position: relative; margin-bottom: 24px; padding-bottom: 16px; border-bottom: 1px solid var(--background-modifier-border);';
+    if (this.error) {
+      container.createDiv({ cls: 'para-viz-error', text: `para-viz: ${this.error}` });
+      return;
+    }
+    if (!this.vaultData) {
+      container.createDiv('para-loading').setText('Loading vault data...');
+      return;
+    }
 
-      // Dot
-      const dot = item.createDiv('para-history-dot');
-      dot.style.cssText = 'position: absolute; left: -26px; top: 4px; width: 12px; height: 12px; border-radius: 50%; background: var(--interactive-accent); border: 2px solid var(--background-primary);';
+    if (this.rangeDays) {
+      const today = startOfDay(new Date());
+      this.customRange = { start: toDateKey(addDays(today, -(this.rangeDays - 1))), end: toDateKey(today) };
+    }
 
-      // Date
-      const date = item.createDiv('para-history-date');
-      const moveDate = new Date(move.timestamp || move.date);
-      const dateStr = moveDate.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
-      const timeStr = moveDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
-      date.style.cssText = 'font-size: 0.85em; color: var(--text-muted); margin-bottom: 4px;';
-      date.textContent = `${dateStr} at ${timeStr}`;
+    const view = VAULT_VIEWS.find(v => v.id === this.viewId);
+    const header = container.createDiv('para-viz-block-header');
+    header.createSpan({ cls: 'para-viz-block-title', text: `${view.icon} ${view.label}` });
+    header.createSpan({ cls: 'para-viz-block-range', text: this.formatDateWindow(this.getDateWindow()) });
 
-      // Movement
-      const movement = item.createDiv('para-history-movement');
-      movement.style.cssText = 'display: flex; align-items: center; gap: 12px; margin-top: 8px;';
+    this.renderVisualization(container.createDiv('para-visualizer-content'), this.viewId);
+  }
+}
 
-      const fromColor = PARA_COLORS[move.from] || '#6b7280';
-      const toColor = PARA_COLORS[move.to] || '#6b7280';
-
-      movement.innerHTML = `
-        <span style="background: ${fromColor}; color: white; padding: 4px 12px; border-radius: 6px; font-weight: 500; font-size: 0.9em;">
-          ${move.from.toUpperCase()}
-        </span>
-        <span style="font-size: 1.2em;">→</span>
-        <span style="background: ${toColor}; color: white; padding: 4px 12px; border-radius: 6px; font-weight: 500; font-size: 0.9em;">
-          ${move.to.toUpperCase()}
-        </span>
-      `;
+/**
+ * The visualizations' analytics without a view, for a time range and
+ * filters. Call `load()` before any compute method.
+ */
+class PARAAnalytics extends PARAVisualizationMixin(class {}) {
+  constructor(plugin, { range = null, filters = null } = {}) {
+    super();
+    this.initVisualization(plugin);
+    this.filters = filters;
+    if (range !== null) {
+      this.setRange(range);
+    }
+  }
 
-      // Add context if this was the most recent move
-      if (index === 0) {
-        const badge = item.createDiv('para-history-badge');
-        badge.style.cssText = 'display: inline-block; background: var(--interactive-accent); color: var(--text-on-accent); padding: 2px 8px; border-radius: 4px; font-size: 0.75em; font-weight: 600; margin-top: 8px;';
-        badge.textContent = 'MOST RECENT';
+  // A DATE_RANGE_PRESETS id, a number of days ending today, or
+  // { start, end } date keys
+  setRange(range) {
+    if (typeof range === 'number') {
+      const today = startOfDay(new Date());
+      this.datePreset = 'custom';
+      this.customRange = { start: toDateKey(addDays(today, -(Math.max(1, range) - 1))), end: toDateKey(today) };
+    } else if (typeof range === 'object') {
+      if (!parseDate(range.start) || !parseDate(range.end)) {
+        throw new Error('range.start and range.end must be YYYY-MM-DD dates');
       }
-    });
+      this.datePreset = 'custom';
+      this.customRange = { start: range.start, end: range.end };
+    } else if (DATE_RANGE_PRESETS.some(preset => preset.id === range && preset.id !== 'custom')) {
+      this.datePreset = range;
+    } else {
+      throw new Error(`Unknown range "${range}"`);
+    }
+  }
 
-    // Flow visualization
-    const flowSection = container.createDiv('para-note-section');
-    flowSection.createEl('h3', { text: '🌊 PARA Flow Diagram' });
+  getFilters() {
+    return this.filters;
+  }
 
-    // Get unique locations in order
-    const locations = ['inbox', 'projects', 'areas', 'resources', 'archive'];
-    const visitedLocations = new Set();
+  async load() {
+    await this.plugin.index.whenReady();
+    this.vaultData = this.plugin.index.getData(this.filters);
+    return this;
+  }
+}
 
-    // Add all locations from history
-    sortedHistory.forEach(move => {
-      visitedLocations.add(move.from);
-      visitedLocations.add(move.to);
-    });
-    visitedLocations.add(note.paraLocation); // Current location
+/**
+ * Weekly review note built from the same analytics as the views: overdue
+ * reviews, inbox age, upcoming and overdue tasks, PARA moves and completed
+ * tasks for the current week, filled into the user's template. Covers the
+ * whole vault (filters are ignored).
+ */
+class PARAReviewReport extends PARAAnalytics {
+  constructor(plugin) {
+    super(plugin, { range: 'this-week' });
+  }
 
-    const flowDiagram = flowSection.createDiv('para-flow-diagram');
-    flowDiagram.style.cssText = 'display: flex; align-items: center; justify-content: center; flex-wrap: wrap; gap: 12px; padding: 24px; background: var(--background-secondary); border-radius: 8px;';
+  /**
+   * Write the report into the report folder and return the new file.
+   */
+  async generate() {
+    await this.load();
+
+    const { reportFolder } = this.plugin.settings;
+    const path = await this.getAvailablePath(reportFolder, `PARA Review ${toDateKey(new Date())}`, 'md');
+    const template = await this.loadTemplate();
+    const values = this.buildSections(path);
+    const content = template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => (
+      Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+    ));
+    return this.app.vault.create(path, content);
+  }
 
-    locations.forEach(location => {
-      if (visitedLocations.has(location)) {
-        const box = flowDiagram.createDiv('para-flow-box');
-        const color = PARA_COLORS[location] || '#6b7280';
-        const isCurrent = location === note.paraLocation;
+  async loadTemplate() {
+    const templatePath = this.plugin.settings.reportTemplate.trim();
+    if (!templatePath) return DEFAULT_REPORT_TEMPLATE;
 
-        box.style.cssText = `
-          background: ${color};
-          color: white;
-          padding: 12px 20px;
-          border-radius: 8px;
-          font-weight: 600;
-          text-align: center;
-          ${isCurrent ? 'box-shadow: 0 0 0 3px var(--interactive-accent); transform: scale(1.1);' : ''}
-        `;
-        box.textContent = location.toUpperCase();
+    const { vault } = this.app;
+    const normalized = normalizePath(templatePath);
+    const file = vault.getAbstractFileByPath(normalized) || vault.getAbstractFileByPath(`${normalized}.md`);
+    if (!file || file.extension !== 'md') {
+      new Notice(`Review template "${templatePath}" not found; using the default template`);
+      return DEFAULT_REPORT_TEMPLATE;
+    }
+    return vault.cachedRead(file);
+  }
+
+  // Placeholder name -> markdown; lists fall back to "_None_"
+  buildSections(reportPath) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const today = startOfDay(new Date());
+    const week = this.getDateWindow();
+    const link = path => this.wikilink(path, reportPath);
+    const list = items => (items.length ? items.join('\n') : '_None_');
+    const taskLine = (task, detail) => `- ${task.text || '(empty task)'} — ${detail} · ${link(task.file)}`;
+
+    const review = this.computeReviewStats();
+    const overdueReviews = review.overdueNotes.map(item =>
+      `- ${link(item.note.path)} — ${this.getLocationLabel(item.note.paraLocation)}, ${this.formatDays(item.overdueBy)} overdue (edited ${this.formatDays(item.daysSince)} ago, review every ${this.formatDays(item.target)})`
+    );
+
+    const inboxIds = this.getLocations().filter(loc => loc.role === 'inbox').map(loc => loc.id);
+    const inbox = this.vaultData.notes
+      .filter(note => inboxIds.includes(note.paraLocation))
+      .sort((a, b) => a.created - b.created)
+      .map(note => `- ${link(note.path)} — ${this.formatDays((now - note.created) / dayMs)} old`);
+
+    const openTasks = this.vaultData.tasks.all.filter(task => isOpenTask(task));
+    const calendar = this.buildTaskCalendarData(openTasks.filter(task => task.dueDate));
+    const nextWeek = this.makeDateWindow(today, addDays(today, 6));
+    const dueSoon = openTasks
+      .filter(task => task.dueDate && this.isInDateWindow(parseDate(task.dueDate)?.getTime(), nextWeek))
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+      .map(task => taskLine(task, `due ${task.dueDate}`));
+    const overdueTasks = calendar.overdueTasks
+      .slice()
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+      .map(task => taskLine(task, `due ${task.dueDate}, ${this.formatDays(daysBetween(parseDate(task.dueDate), today))} overdue`));
+
+    const transitions = this.generatePipelineTimelineData().windowTransitions
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(move => `- ${link(move.note.path)}: ${this.getLocationLabel(move.from)} → ${this.getLocationLabel(move.to)} (${toDateKey(new Date(move.timestamp))})`);
+
+    const completedTasks = this.vaultData.tasks.all
+      .filter(task => task.completed && task.completionDate && this.isInDateWindow(parseDate(task.completionDate)?.getTime(), week))
+      .sort((a, b) => a.completionDate.localeCompare(b.completionDate))
+      .map(task => taskLine(task, `completed ${task.completionDate}`));
+
+    return {
+      date: toDateKey(today),
+      weekStart: toDateKey(week.start),
+      weekEnd: toDateKey(addDays(week.start, 6)),
+      health: review.overallHealth.toString(),
+      overdueReviews: list(overdueReviews),
+      inbox: list(inbox),
+      dueSoon: list(dueSoon),
+      overdueTasks: list(overdueTasks),
+      transitions: list(transitions),
+      completedTasks: list(completedTasks)
+    };
+  }
+
+  // [[link]] as Obsidian would write it from the report, aliased to the
+  // note name when the link needs a path to be unambiguous
+  wikilink(path, sourcePath) {
+    const file = this.app.vault.getAbstractFileByPath(path);
+    if (!file) return `[[${path}]]`;
+    const linktext = this.app.metadataCache.fileToLinktext(file, sourcePath, true);
+    return linktext === file.basename ? `[[${linktext}]]` : `[[${linktext}|${file.basename}]]`;
+  }
+}
 
-        if (isCurrent) {
-          const currentBadge = box.createDiv();
-          currentBadge.style.cssText = 'font-size: 0.7em; margin-top: 4px; opacity: 0.9;';
-          currentBadge.textContent = '(Current)';
-        }
-      }
-    });
+/**
+ * Public API for other plugins and scripts (Templater, Dataview JS):
+ *
+ *   const api = app.plugins.plugins['para-visualizer'].api;
+ *   const { overdueNotes } = await api.getReviewStats();
+ *
+ * Methods wait for the vault index, so always `await` them. Results are the
+ * index's live objects; treat them as read-only. `filters` takes any of the
+ * filter bar's fields ({ folder, title, tags, excludeTags, locations }).
+ *
+ * Events, via `api.on(name, callback)` and `api.offref(ref)`:
+ * - 'index-updated' (paths): notes were added, changed, renamed or removed.
+ *   Also triggered on the workspace as 'para-visualizer:index-updated'.
+ */
+class PARAVisualizerAPI extends Events {
+  constructor(plugin) {
+    super();
+    this.plugin = plugin;
+    this.version = 1;
+  }
 
-    // Stats
-    const statsSection = container.createDiv('para-note-section');
-    statsSection.createEl('h3', { text: '📊 Movement Statistics' });
+  /**
+   * Aggregated vault data: { notes, tags, paraLocations, activity, links,
+   * unresolvedLinks, tasks: { all, byDate, byPara } }.
+   */
+  async getVaultData(filters = null) {
+    return (await this.analytics({ filters })).vaultData;
+  }
 
-    const stats = statsSection.createDiv('para-note-stats');
-    stats.style.cssText = 'display: grid; grid-template-columns: repeat(2, 1fr); gap: 12px; margin-top: 12px;';
+  /**
+   * Review health per location and the overdue notes, most overdue first.
+   */
+  async getReviewStats(filters = null) {
+    return (await this.analytics({ filters })).computeReviewStats();
+  }
 
-    const firstMove = sortedHistory[sortedHistory.length - 1];
-    const lastMove = sortedHistory[0];
-    const firstDate = firstMove ? new Date(firstMove.timestamp || firstMove.date) : null;
-    const lastDate = lastMove ? new Date(lastMove.timestamp || lastMove.date) : null;
+  /**
+   * Daily location counts and PARA transitions for a range: a
+   * DATE_RANGE_PRESETS id ('last-90', 'this-month', ...), a number of days
+   * ending today, or { start, end } as YYYY-MM-DD.
+   */
+  async getPipelineTimeline(range = 'last-90', filters = null) {
+    return (await this.analytics({ range: range ?? 'last-90', filters })).generatePipelineTimelineData();
+  }
 
-    const statBoxes = [
-      { label: 'Total Moves', value: note.paraHistory.length, icon: '🔄' },
-      { label: 'Locations Visited', value: visitedLocations.size, icon: '📍' },
-      {
-        label: 'First Move',
-        value: firstDate ? firstDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'N/A',
-        icon: '🕐'
-      },
-      {
-        label: 'Last Move',
-        value: lastDate ? lastDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'N/A',
-        icon: '🕑'
-      }
-    ];
+  /**
+   * Tasks matching every given criterion. `filter` is a predicate or an
+   * object with any of: status ('open', 'in-progress', 'done', 'cancelled',
+   * 'deferred', or a list), completed, location, file (path or folder
+   * prefix), text (substring), dueBefore and dueAfter (inclusive
+   * YYYY-MM-DD). Null or no filter returns every task.
+   */
+  async getTasks(filter = null) {
+    filter = filter ?? {}; // Scripts often pass null for "no filter"
+    const tasks = (await this.getVaultData()).tasks.all;
+    if (typeof filter === 'function') {
+      return tasks.filter(filter);
+    }
 
-    statBoxes.forEach(stat => {
-      const box = stats.createDiv('para-stat-box');
-      box.style.cssText = 'background: var(--background-secondary); padding: 12px; border-radius: 8px; text-align: center;';
-      box.innerHTML = `
-        <div style="font-size: 1.2em; margin-bottom: 4px;">${stat.icon} ${stat.value}</div>
-        <div style="font-size: 0.85em; color: var(--text-muted);">${stat.label}</div>
-      `;
+    const statuses = filter.status ? [].concat(filter.status) : null;
+    const text = filter.text ? filter.text.toLowerCase() : null;
+    return tasks.filter(task => {
+      if (statuses && !statuses.includes(task.status)) return false;
+      if (filter.completed !== undefined && task.completed !== filter.completed) return false;
+      if (filter.location && task.paraLocation !== filter.location) return false;
+      if (filter.file && task.file !== filter.file && !task.file.startsWith(filter.file.replace(/\/?$/, '/'))) return false;
+      if (text && !task.text.toLowerCase().includes(text)) return false;
+      if (filter.dueBefore && !(task.dueDate && task.dueDate <= filter.dueBefore)) return false;
+      if (filter.dueAfter && !(task.dueDate && task.dueDate >= filter.dueAfter)) return false;
+      return true;
     });
   }
 
-  renderNoteTasks(container) {
-    if (!this.currentNoteData) {
-      container.createDiv('para-empty-state').innerHTML = `
-        <div style="text-align: center; padding: 40px; color: var(--text-muted);">
-          <p>📝 No note selected</p>
-          <p style="font-size: 0.9em;">Open a note to see its tasks</p>
-        </div>
-      `;
-      return;
-    }
+  /**
+   * What the Note Context view shows for a note: its record, incoming and
+   * outgoing links, siblings, notes sharing tags and its tasks. Null when
+   * the path isn't an indexed note.
+   */
+  async getNoteContext(path) {
+    const analytics = await this.analytics();
+    const file = this.plugin.app.vault.getAbstractFileByPath(path);
+    return file ? analytics.buildNoteContext(file) : null;
+  }
 
-    const { note, tasks } = this.currentNoteData;
+  // Not part of the API: analytics loaded for one call
+  async analytics({ range = null, filters = null } = {}) {
+    const normalized = filters ? { ...this.plugin.getDefaultSettings().filters, ...filters } : null;
+    return new PARAAnalytics(this.plugin, { range, filters: normalized }).load();
+  }
+}
 
-    // Header
-    const header = container.createDiv('para-note-header');
-    header.createEl('h2', { text: `Tasks in ${note.basename}` });
+/**
+ * Notes or tasks behind a chart element or a truncated list. Entries are
+ * `{ note, detail }` or `{ task, detail }`; clicking one opens the note (at the
+ * task's line for tasks) and hovering shows a page preview.
+ */
+class PARANoteListModal extends Modal {
+  constructor(view, title, entries) {
+    super(view.app);
+    this.view = view;
+    this.title = title;
+    this.entries = entries;
+    this.hoverPopover = null; // Lets page previews attach to the modal
+  }
 
-    if (tasks.length === 0) {
-      container.createDiv('para-empty-state').innerHTML = `
-        <div style="text-align: center; padding: 40px; color: var(--text-muted);">
-          <p>✅ No tasks found</p>
-          <p style="font-size: 0.9em;">This note doesn't contain any tasks</p>
-        </div>
-      `;
+  onOpen() {
+    const { contentEl } = this;
+    this.titleEl.setText(this.title);
+    contentEl.addClass('para-list-modal');
+
+    if (this.entries.length === 0) {
+      contentEl.createDiv({ cls: 'para-list-modal-empty', text: 'Nothing to show' });
       return;
     }
 
-    // Task stats
-    const completed = tasks.filter(t => t.completed).length;
-    const open = tasks.length - completed;
-    const completionRate = tasks.length > 0 ? Math.round((completed / tasks.length) * 100) : 0;
+    const header = contentEl.createDiv('para-list-modal-header');
+    const count = header.createSpan({ cls: 'para-list-modal-count' });
+    const search = header.createEl('input', { type: 'search', placeholder: 'Filter…' });
+    const list = contentEl.createDiv('para-list-modal-items');
+
+    const renderList = () => {
+      const query = search.value.trim().toLowerCase();
+      const shown = this.entries.filter(entry => !query || this.getLabel(entry).toLowerCase().includes(query));
+      count.setText(shown.length === this.entries.length
+        ? `${this.entries.length} ${this.entries.length === 1 ? 'item' : 'items'}`
+        : `${shown.length} of ${this.entries.length}`);
+      list.empty();
+      shown.forEach(entry => this.renderEntry(list, entry));
+    };
+    search.addEventListener('input', renderList);
+    renderList();
+  }
 
-    const stats = container.createDiv('para-note-stats');
-    stats.style.cssText = 'display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin: 20px 0;';
+  getLabel(entry) {
+    return entry.task ? entry.task.text : entry.note.basename;
+  }
 
-    const statBoxes = [
-      { label: 'Total Tasks', value: tasks.length, icon: '📋' },
-      { label: 'Completed', value: completed, icon: '✅' },
-      { label: 'Open', value: open, icon: '⬜' }
-    ];
+  renderEntry(list, entry) {
+    const { task } = entry;
+    const path = task ? task.file : entry.note.path;
+    const note = entry.note || this.view.plugin.index.getRecord(path)?.note;
+    const location = task ? task.paraLocation : note?.paraLocation;
 
-    statBoxes.forEach(stat => {
-      const box = stats.createDiv('para-stat-box');
-      box.style.cssText = 'background: var(--background-secondary); padding: 12px; border-radius: 8px; text-align: center;';
-      box.innerHTML = `
-        <div style="font-size: 1.5em; margin-bottom: 4px;">${stat.icon} ${stat.value}</div>
-        <div style="font-size: 0.85em; color: var(--text-muted);">${stat.label}</div>
-      `;
+    const item = list.createDiv('para-list-modal-item');
+    const title = item.createDiv('para-list-modal-title');
+    if (location) {
+      this.view.createLocationBadge(title, location);
+    }
+    title.createSpan({ cls: 'para-list-modal-label', text: this.getLabel(entry) });
+
+    const meta = [];
+    if (task) meta.push(`${task.fileName}:${task.line}`);
+    if (entry.detail) meta.push(entry.detail);
+    if (note) meta.push(`Modified ${new Date(note.modified).toLocaleString()}`);
+    item.createDiv({ cls: 'para-list-modal-detail', text: meta.join(' · ') });
+
+    item.addEventListener('mouseover', (event) => {
+      this.app.workspace.trigger('hover-link', {
+        event,
+        source: VIEW_TYPE_PARA_VISUALIZER,
+        hoverParent: this,
+        targetEl: item,
+        linktext: path
+      });
     });
+    item.addEventListener('click', async () => {
+      this.close();
+      if (task) {
+        await this.view.openTask(task);
+      } else {
+        this.app.workspace.openLinkText(path, '', false);
+      }
+    });
+  }
 
-    // Completion bar
-    const progressSection = container.createDiv('para-note-section');
-    progressSection.createEl('h3', { text: 'Completion Progress' });
-    const progressBar = progressSection.createDiv('para-progress-bar');
-    progressBar.style.cssText = 'background: var(--background-secondary); height: 30px; border-radius: 8px; overflow: hidden; position: relative;';
-
-    const progressFill = progressBar.createDiv('para-progress-fill');
-    progressFill.style.cssText = `background: linear-gradient(90deg, #10b981, #059669); width: ${completionRate}%; height: 100%; transition: width 0.3s ease;`;
-
-    const progressText = progressBar.createDiv('para-progress-text');
-    progressText.style.cssText = 'position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); font-weight: 600; color: var(--text-normal);';
-    progressText.textContent = `${completionRate}%`;
+  onClose() {
+    this.contentEl.empty();
+  }
+}
 
-    // Open tasks
-    const openTasks = tasks.filter(t => !t.completed);
-    if (openTasks.length > 0) {
-      const section = container.createDiv('para-note-section');
-      section.createEl('h3', { text: `⬜ Open Tasks (${openTasks.length})` });
+class PARAVisualizerSettingTab extends PluginSettingTab {
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+    // Typed values are saved once typing pauses, not on every keystroke
+    this.requestSave = debounce(async () => {
+      await this.plugin.saveSettings();
+      this.plugin.refreshViews();
+    }, 500, true);
+    this.requestLocationSave = debounce(() => this.saveLocationSettings(), 500, true);
+  }
 
-      const list = section.createEl('ul');
-      list.style.cssText = 'list-style: none; padding-left: 0;';
+  display() {
+    const { containerEl } = this;
+    containerEl.empty();
 
-      openTasks.forEach(task => {
-        const item = list.createEl('li');
-        item.style.cssText = 'padding: 8px; background: var(--background-secondary); margin-bottom: 6px; border-radius: 6px;';
+    containerEl.createEl('h2', { text: 'PARA Visualizer' });
 
-        let taskHTML = `<input type="checkbox" disabled style="margin-right: 8px;"> ${task.text}`;
+    containerEl.createEl('h3', { text: 'Defaults' });
 
-        if (task.dueDate) {
-          const dueDate = new Date(task.dueDate);
-          const now = new Date();
-          const isOverdue = dueDate < now;
-          const dueDateStr = task.dueDate;
+    new Setting(containerEl)
+      .setName('Default view')
+      .setDesc('Vault visualization shown when the visualizer opens or you switch back to vault scope.')
+      .addDropdown(dropdown => {
+        VAULT_VIEWS.forEach(view => dropdown.addOption(view.id, view.label));
+        dropdown
+          .setValue(this.plugin.settings.defaultView)
+          .onChange(async (value) => {
+            this.plugin.settings.defaultView = value;
+            await this.plugin.saveSettings();
+          });
+      });
 
-          taskHTML += ` <span style="color: ${isOverdue ? '#ef4444' : 'var(--text-muted)'}; font-size: 0.85em; margin-left: 8px;">📅 ${dueDateStr}</span>`;
-        }
+    new Setting(containerEl)
+      .setName('Default time range')
+      .setDesc('Time range selected when the visualizer opens.')
+      .addDropdown(dropdown => {
+        DATE_RANGE_PRESETS
+          .filter(preset => preset.id !== 'custom')
+          .forEach(preset => dropdown.addOption(preset.id, preset.label));
+        dropdown
+          .setValue(this.plugin.settings.defaultDateRange)
+          .onChange(async (value) => {
+            this.plugin.settings.defaultDateRange = value;
+            await this.plugin.saveSettings();
+          });
+      });
 
-        item.innerHTML = taskHTML;
+    new Setting(containerEl)
+      .setName('First day of the week')
+      .setDesc('Where weeks start in calendar views such as the heatmaps and the Task Load Calendar.')
+      .addDropdown(dropdown => {
+        WEEK_START_OPTIONS.forEach(option => dropdown.addOption(option.value.toString(), option.label));
+        dropdown
+          .setValue(this.plugin.settings.weekStart.toString())
+          .onChange(async (value) => {
+            this.plugin.settings.weekStart = parseInt(value);
+            await this.plugin.saveSettings();
+            this.plugin.refreshViews();
+          });
       });
-    }
 
-    // Completed tasks
-    const completedTasks = tasks.filter(t => t.completed);
-    if (completedTasks.length > 0) {
-      const section = container.createDiv('para-note-section');
-      section.createEl('h3', { text: `✅ Completed Tasks (${completedTasks.length})` });
+    containerEl.createEl('h3', { text: 'PARA locations' });
 
-      const list = section.createEl('ul');
-      list.style.cssText = 'list-style: none; padding-left: 0;';
+    containerEl.createEl('p', {
+      text: 'The ordered list of locations used by every view. Each location has a color and a default review interval (days) for notes without their own review_interval. Inbox locations are where notes enter; archive locations end a note\'s journey.',
+      cls: 'setting-item-description'
+    });
 
-      completedTasks.slice(0, 10).forEach(task => {
-        const item = list.createEl('li');
-        item.style.cssText = 'padding: 8px; background: var(--background-secondary); margin-bottom: 6px; border-radius: 6px; opacity: 0.7;';
+    const locations = this.plugin.settings.locations;
+
+    locations.forEach((loc, index) => {
+      new Setting(containerEl)
+        .setClass('para-location-setting')
+        .addText(text => text
+          .setPlaceholder('Label')
+          .setValue(loc.label)
+          .onChange((value) => {
+            loc.label = value;
+            this.requestSave();
+          }))
+        .addText(text => {
+          text.inputEl.title = 'Value of the `para` frontmatter key';
+          text
+            .setPlaceholder('id')
+            .setValue(loc.id);
+          // Renaming rewrites folder rules and every note's location, so it is
+          // committed on blur or Enter rather than per keystroke
+          text.inputEl.addEventListener('change', async () => {
+            const id = text.getValue().trim().toLowerCase();
+            if (id === loc.id) return;
+            if (!id || locations.some(other => other !== loc && other.id === id)) {
+              if (id) new Notice(`PARA Visualizer: another location already uses the id "${id}"`);
+              text.setValue(loc.id);
+              return;
+            }
+            this.renameLocationId(loc.id, id);
+            loc.id = id;
+            await this.saveLocationSettings();
+            this.display();
+          });
+        })
+        .addDropdown(dropdown => {
+          LOCATION_ROLES.forEach(role => dropdown.addOption(role.id, role.label));
+          dropdown
+            .setValue(loc.role)
+            .onChange(async (value) => {
+              loc.role = value;
+              await this.saveLocationSettings();
+            });
+        })
+        .addColorPicker(picker => picker
+          .setValue(loc.color)
+          .onChange((value) => {
+            loc.color = value;
+            this.requestSave();
+          }))
+        .addText(text => {
+          text.inputEl.type = 'number';
+          text.inputEl.min = '1';
+          text.inputEl.title = 'Default review interval (days)';
+          text
+            .setValue(loc.reviewInterval.toString())
+            .onChange((value) => {
+              const days = parseInt(value);
+              if (isNaN(days) || days <= 0) return;
+              loc.reviewInterval = days;
+              this.requestLocationSave();
+            });
+        })
+        .addExtraButton(button => button
+          .setIcon('arrow-up')
+          .setTooltip('Move up')
+          .setDisabled(index === 0)
+          .onClick(async () => {
+            if (index === 0) return;
+            locations.splice(index - 1, 0, locations.splice(index, 1)[0]);
+            await this.saveLocationSettings();
+            this.display();
+          }))
+        .addExtraButton(button => button
+          .setIcon('arrow-down')
+          .setTooltip('Move down')
+          .setDisabled(index === locations.length - 1)
+          .onClick(async () => {
+            if (index === locations.length - 1) return;
+            locations.splice(index + 1, 0, locations.splice(index, 1)[0]);
+            await this.saveLocationSettings();
+            this.display();
+          }))
+        .addExtraButton(button => button
+          .setIcon('trash')
+          .setTooltip('Remove location')
+          .setDisabled(locations.length <= 1)
+          .onClick(async () => {
+            if (locations.length <= 1) return;
+            locations.splice(index, 1);
+            await this.saveLocationSettings();
+            this.display();
+          }));
+    });
 
-        let taskHTML = `<input type="checkbox" checked disabled style="margin-right: 8px;"> <s>${task.text}</s>`;
+    new Setting(containerEl)
+      .addButton(button => button
+        .setButtonText('Add location')
+        .onClick(async () => {
+          let id = 'new';
+          for (let n = 2; locations.some(loc => loc.id === id); n++) id = `new-${n}`;
+          locations.push({
+            id,
+            label: 'New location',
+            color: '#6b7280',
+            reviewInterval: 30,
+            role: 'active'
+          });
+          await this.saveLocationSettings();
+          this.display();
+        }));
+
+    new Setting(containerEl)
+      .setName('System tags')
+      .setDesc('Comma-separated tags hidden from the tag cloud and from "related by tags" in Note Context.')
+      .addTextArea(text => text
+        .setValue(this.plugin.settings.systemTags.join(', '))
+        .onChange(async (value) => {
+          this.plugin.settings.systemTags = value
+            .split(',')
+            .map(tag => tag.trim().replace(/^#/, ''))
+            .filter(tag => tag.length > 0);
+          await this.plugin.saveSettings();
+          this.plugin.refreshViews();
+        }));
+
+    containerEl.createEl('h3', { text: 'PARA location' });
+
+    new Setting(containerEl)
+      .setName('Source of truth')
+      .setDesc('Where a note\'s PARA location comes from. The other source is used as a fallback when the first has no answer.')
+      .addDropdown(dropdown => dropdown
+        .addOption('frontmatter', 'Frontmatter `para` key, then folder')
+        .addOption('folder', 'Folder rules, then frontmatter')
+        .setValue(this.plugin.settings.paraSource)
+        .onChange(async (value) => {
+          this.plugin.settings.paraSource = value;
+          await this.saveLocationSettings();
+        }));
+
+    containerEl.createEl('p', {
+      text: 'Folder rules map a folder prefix to a PARA location. Matching is case-insensitive and the longest matching prefix wins.',
+      cls: 'setting-item-description'
+    });
 
-        if (task.completionDate) {
-          taskHTML += ` <span style="color: var(--text-muted); font-size: 0.85em; margin-left: 8px;">✅ ${task.completionDate}</span>`;
-        }
+    this.plugin.settings.folderRules.forEach((rule, index) => {
+      new Setting(containerEl)
+        .setClass('para-folder-rule')
+        .addText(text => {
+          text
+            .setPlaceholder('1 - Projects/')
+            .setValue(rule.prefix);
+          // Every note's location is re-resolved, so commit on blur or Enter
+          text.inputEl.addEventListener('change', async () => {
+            if (text.getValue() === rule.prefix) return;
+            rule.prefix = text.getValue();
+            await this.saveLocationSettings();
+          });
+        })
+        .addDropdown(dropdown => {
+          this.plugin.settings.locations.forEach(loc => {
+            dropdown.addOption(loc.id, loc.label);
+          });
+          dropdown
+            .setValue(rule.location)
+            .onChange(async (value) => {
+              rule.location = value;
+              await this.saveLocationSettings();
+            });
+        })
+        .addExtraButton(button => button
+          .setIcon('trash')
+          .setTooltip('Remove rule')
+          .onClick(async () => {
+            this.plugin.settings.folderRules.splice(index, 1);
+            await this.saveLocationSettings();
+            this.display();
+          }));
+    });
 
-        item.innerHTML = taskHTML;
+    new Setting(containerEl)
+      .addButton(button => button
+        .setButtonText('Add folder rule')
+        .onClick(async () => {
+          const fallback = locations.find(loc => loc.role === 'project' || loc.role === 'active') || locations[0];
+          this.plugin.settings.folderRules.push({ prefix: '', location: fallback.id });
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+
+    containerEl.createEl('h3', { text: 'Tasks' });
+
+    new Setting(containerEl)
+      .setName('Preferred task metadata')
+      .setDesc('Task dates, priority and recurrence are read from both Tasks emoji (📅 2025-11-14) and Dataview inline fields ([due:: 2025-11-14]). When a task has both, this format wins. Changing it re-parses every note.')
+      .addDropdown(dropdown => dropdown
+        .addOption('tasks', 'Tasks emoji')
+        .addOption('dataview', 'Dataview inline fields')
+        .setValue(this.plugin.settings.taskMetadataFormat)
+        .onChange(async (value) => {
+          this.plugin.settings.taskMetadataFormat = value;
+          await this.plugin.saveSettings();
+          await this.plugin.index.clearCache();
+        }));
+
+    new Setting(containerEl)
+      .setName('Count tasks in callouts')
+      .setDesc('Checkboxes inside callouts are often examples in templates or documentation. Tasks in code blocks and frontmatter are never counted. Changing this re-parses every note.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.includeCalloutTasks)
+        .onChange(async (value) => {
+          this.plugin.settings.includeCalloutTasks = value;
+          await this.plugin.saveSettings();
+          await this.plugin.index.clearCache();
+        }));
+
+    containerEl.createEl('h3', { text: 'Export' });
+
+    new Setting(containerEl)
+      .setName('Export folder')
+      .setDesc('Vault folder for exported images (PNG, SVG) and data (CSV, JSON). Leave empty to use the attachment folder from Settings → Files and links.')
+      .addText(text => text
+        .setPlaceholder('Attachments/PARA')
+        .setValue(this.plugin.settings.exportFolder)
+        .onChange(async (value) => {
+          this.plugin.settings.exportFolder = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('PNG scale')
+      .setDesc('Pixel multiplier for PNG exports. Higher values stay sharp when zoomed or printed but make larger files.')
+      .addDropdown(dropdown => {
+        EXPORT_SCALES.forEach(scale => dropdown.addOption(scale.toString(), `${scale}×`));
+        dropdown
+          .setValue(this.plugin.settings.exportScale.toString())
+          .onChange(async (value) => {
+            this.plugin.settings.exportScale = parseInt(value);
+            await this.plugin.saveSettings();
+          });
       });
 
-      if (completedTasks.length > 10) {
-        section.createEl('p', {
-          text: `...and ${completedTasks.length - 10} more completed`,
-          attr: { style: 'color: var(--text-muted); font-size: 0.85em; font-style: italic;' }
-        });
-      }
-    }
+    containerEl.createEl('h3', { text: 'Review report' });
+
+    new Setting(containerEl)
+      .setName('Report folder')
+      .setDesc('Vault folder where "Generate PARA Review Report" writes its notes.')
+      .addText(text => text
+        .setPlaceholder('PARA Reviews')
+        .setValue(this.plugin.settings.reportFolder)
+        .onChange(async (value) => {
+          this.plugin.settings.reportFolder = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Report template')
+      .setDesc(`Path of a note to use as the report template; leave empty for the built-in one. Placeholders: ${REPORT_PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')}.`)
+      .addText(text => text
+        .setPlaceholder('Templates/PARA Review.md')
+        .setValue(this.plugin.settings.reportTemplate)
+        .onChange(async (value) => {
+          this.plugin.settings.reportTemplate = value;
+          await this.plugin.saveSettings();
+        }));
+
+    containerEl.createEl('h3', { text: 'Reset' });
+
+    new Setting(containerEl)
+      .setName('Reset to defaults')
+      .setDesc('Restore every setting on this page to its default value.')
+      .addButton(button => button
+        .setButtonText('Reset')
+        .setWarning()
+        .onClick(async () => {
+          await this.plugin.resetSettings();
+          this.display();
+          new Notice('PARA Visualizer settings reset to defaults');
+        }));
   }
 
-  async onClose() {
-    // Cleanup
+  // Keep folder rules pointing at a location when its id is edited
+  renameLocationId(oldId, newId) {
+    this.plugin.settings.folderRules.forEach(rule => {
+      if (rule.location === oldId) rule.location = newId;
+    });
+  }
+
+  async saveLocationSettings() {
+    await this.plugin.saveSettings();
+    this.plugin.index.reassemble();
+    this.plugin.refreshViews();
   }
 }
 
@@ -2967,12 +6708,42 @@ class PARAVisualizerPlugin extends Plugin {
       this.checkDependencies();
     });
 
+    // Vault index shared by every view (built lazily on first use)
+    this.index = new PARAVaultIndex(this);
+    this.embeds = new Set(); // Loaded para-viz code blocks
+    this.api = new PARAVisualizerAPI(this);
+    await this.loadPluginData();
+    this.index.registerEvents();
+
+    // Let API consumers know the analytics changed
+    this.registerEvent(this.index.on('updated', (paths) => {
+      this.embeds.forEach(block => block.requestRefresh());
+      this.api.trigger('index-updated', paths);
+      this.app.workspace.trigger('para-visualizer:index-updated', paths);
+    }));
+
     // Register view
     this.registerView(
       VIEW_TYPE_PARA_VISUALIZER,
       (leaf) => new PARAVisualizerView(leaf, this)
     );
 
+    this.addSettingTab(new PARAVisualizerSettingTab(this.app, this));
+
+    // Links such as obsidian://para-visualizer?view=review&range=30&para=projects
+    this.registerObsidianProtocolHandler('para-visualizer', (params) => this.openFromUri(params));
+
+    // Visualizations embedded in notes
+    this.registerMarkdownCodeBlockProcessor('para-viz', (source, el, ctx) => {
+      ctx.addChild(new PARAVizBlock(el, this, source));
+    });
+
+    // Page previews when hovering notes in the note list modal
+    this.registerHoverLinkSource(VIEW_TYPE_PARA_VISUALIZER, {
+      display: 'PARA Visualizer',
+      defaultMod: false
+    });
+
     // Add ribbon icon
     this.addRibbonIcon('bar-chart-2', 'PARA Visualizer', () => {
       this.activateView();
@@ -2987,6 +6758,30 @@ class PARAVisualizerPlugin extends Plugin {
       }
     });
 
+    // Open in a specific place
+    OPEN_LOCATIONS.forEach(({ id, label }) => {
+      this.addCommand({
+        id: `open-para-visualizer-${id}`,
+        name: `Open PARA Visualizer ${label}`,
+        callback: () => {
+          this.activateView(null, id);
+        }
+      });
+    });
+
+    // Jump straight to a tab
+    [['vault', VAULT_VIEWS], ['note', NOTE_VIEWS]].forEach(([scope, views]) => {
+      views.forEach(view => {
+        this.addCommand({
+          id: `open-view-${view.id}`,
+          name: `Open PARA Visualizer: ${view.label}${scope === 'note' ? ' (current note)' : ''}`,
+          callback: () => {
+            this.activateView({ scope, view: view.id });
+          }
+        });
+      });
+    });
+
     // Add dependency check command
     this.addCommand({
       id: 'check-para-dependencies',
@@ -2995,6 +6790,111 @@ class PARAVisualizerPlugin extends Plugin {
         this.checkDependencies(true);
       }
     });
+
+    this.addCommand({
+      id: 'generate-review-report',
+      name: 'Generate PARA Review Report',
+      callback: () => this.generateReviewReport()
+    });
+
+    // Every analytics table, computed by the open visualizer (or a new one)
+    ['csv', 'json'].forEach(format => {
+      this.addCommand({
+        id: `export-data-${format}`,
+        name: `Export analytics data as ${format.toUpperCase()}`,
+        callback: async () => {
+          const leaf = await this.activateView();
+          if (!(leaf.view instanceof PARAVisualizerView)) {
+            new Notice('PARA Visualizer: open the visualizer and try the export again');
+            return;
+          }
+          await leaf.view.exportData(DATA_EXPORTS.map(dataset => dataset.id), format);
+        }
+      });
+    });
+
+    // Force a full re-parse on next use (e.g. after a parser bug fix)
+    this.addCommand({
+      id: 'clear-parse-cache',
+      name: 'Clear parse cache',
+      callback: async () => {
+        await this.index.clearCache();
+        new Notice('PARA Visualizer: parse cache cleared');
+      }
+    });
+  }
+
+  async loadPluginData() {
+    const data = (await this.loadData()) || {};
+    this.settings = Object.assign(this.getDefaultSettings(), data.settings);
+    this.normalizeLocations(!!data.settings?.locations && !data.settings.locationRolesVersion);
+    this.settings.filters = Object.assign(this.getDefaultSettings().filters, this.settings.filters);
+
+    // Older versions stored the default time range as a number of days
+    if (typeof this.settings.defaultDateRange === 'number') {
+      const preset = DATE_RANGE_PRESETS.find(p => p.days === this.settings.defaultDateRange);
+      this.settings.defaultDateRange = preset ? preset.id : 'all';
+    }
+    await this.index.readCache(data.parseCache);
+
+    // Move a cache stored by older versions out of data.json
+    if (data.parseCache) {
+      await this.index.saveCache();
+      await this.savePluginData();
+    }
+  }
+
+  async savePluginData() {
+    await this.saveData({ settings: this.settings });
+  }
+
+  // Settings saved before locations had roles, or before the 'project' role
+  // existed: derive roles from the default ids
+  normalizeLocations(addProjectRole = false) {
+    this.settings.locations.forEach(loc => {
+      if (!loc.role) {
+        loc.role = loc.id === 'inbox' || loc.id === 'archive' ? loc.id
+          : loc.id === 'projects' ? 'project' : 'active';
+      } else if (addProjectRole && loc.id === 'projects' && loc.role === 'active') {
+        loc.role = 'project';
+      }
+    });
+  }
+
+  getDefaultSettings() {
+    // Deep copy so edits never leak into the defaults
+    return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  }
+
+  async saveSettings() {
+    await this.savePluginData();
+  }
+
+  async resetSettings() {
+    const previousParseSettings = JSON.stringify(this.index.getParseSettings());
+    this.settings = this.getDefaultSettings();
+    await this.saveSettings();
+
+    // Parsed tasks depend on some settings
+    if (previousParseSettings !== JSON.stringify(this.index.getParseSettings())) {
+      await this.index.clearCache();
+    } else {
+      this.index.reassemble();
+    }
+    this.refreshViews();
+  }
+
+  /**
+   * Re-render every open visualizer view and embedded block against the
+   * latest index snapshot.
+   */
+  refreshViews() {
+    this.app.workspace.getLeavesOfType(VIEW_TYPE_PARA_VISUALIZER).forEach(leaf => {
+      if (leaf.view instanceof PARAVisualizerView) {
+        leaf.view.refresh();
+      }
+    });
+    this.embeds.forEach(block => block.requestRefresh());
   }
 
   checkDependencies(showSuccess = false) {
@@ -3025,30 +6925,146 @@ class PARAVisualizerPlugin extends Plugin {
     return this.app.plugins.enabledPlugins.has('quick-para');
   }
 
-  async activateView() {
+  /**
+   * Reveal the visualizer, optionally switching it to a view state
+   * ({ scope, view, ... }). Without a location an open visualizer is reused,
+   * otherwise a new one opens in the right sidebar; a location from
+   * OPEN_LOCATIONS always opens a fresh one there. Returns the leaf.
+   */
+  async activateView(state = null, location = null) {
     const { workspace } = this.app;
 
     let leaf = null;
     const leaves = workspace.getLeavesOfType(VIEW_TYPE_PARA_VISUALIZER);
 
-    if (leaves.length > 0) {
+    if (location === 'main') {
+      leaf = workspace.getLeaf(false);
+    } else if (location === 'tab') {
+      leaf = workspace.getLeaf('tab');
+    } else if (location === 'sidebar' || leaves.length === 0) {
+      leaf = workspace.getRightLeaf(false);
+    } else {
       // View already exists, reveal it
       leaf = leaves[0];
-    } else {
-      // Create new leaf in right sidebar
-      const rightLeaf = workspace.getRightLeaf(false);
-      await rightLeaf.setViewState({
+    }
+
+    if (leaf.view?.getViewType?.() !== VIEW_TYPE_PARA_VISUALIZER || state) {
+      await leaf.setViewState({
         type: VIEW_TYPE_PARA_VISUALIZER,
-        active: true
+        active: true,
+        ...(state ? { state } : {})
       });
-      leaf = rightLeaf;
     }
 
     workspace.revealLeaf(leaf);
+    // Background tabs restored after a restart stay deferred until shown
+    if (leaf.loadIfDeferred) {
+      await leaf.loadIfDeferred();
+    }
+    return leaf;
+  }
+
+  /**
+   * Handle obsidian://para-visualizer links. Parameters: `view` (any tab id),
+   * `range` (days or a DATE_RANGE_PRESETS id), `start`/`end`, `compare`,
+   * `open` (an OPEN_LOCATIONS id) and the filters `para`, `folder`, `tags`
+   * and `title`. Filters are shared by every view, so a link with any filter
+   * replaces all of them; a link without filters keeps the current ones.
+   */
+  async openFromUri(params) {
+    const state = {};
+    const problems = [];
+
+    if (params.view) {
+      const isNoteView = NOTE_VIEWS.some(v => v.id === params.view);
+      if (isNoteView || VAULT_VIEWS.some(v => v.id === params.view)) {
+        state.scope = isNoteView ? 'note' : 'vault';
+        state.view = params.view;
+      } else {
+        problems.push(`unknown view "${params.view}"`);
+      }
+    }
+
+    const today = startOfDay(new Date());
+    if (params.start || params.end) {
+      if (parseDate(params.start) && parseDate(params.end)) {
+        state.datePreset = 'custom';
+        state.customRange = { start: params.start, end: params.end };
+      } else {
+        problems.push('start and end must both be YYYY-MM-DD dates');
+      }
+    } else if (/^\d+$/.test(params.range || '')) {
+      // Prefer the matching rolling preset, which keeps rolling after a restart
+      const days = Math.max(1, parseInt(params.range));
+      const preset = DATE_RANGE_PRESETS.find(p => p.days === days);
+      state.datePreset = preset ? preset.id : 'custom';
+      if (!preset) {
+        state.customRange = { start: toDateKey(addDays(today, -(days - 1))), end: toDateKey(today) };
+      }
+    } else if (params.range) {
+      if (DATE_RANGE_PRESETS.some(p => p.id === params.range && p.id !== 'custom')) {
+        state.datePreset = params.range;
+      } else {
+        problems.push(`unknown range "${params.range}"`);
+      }
+    }
+
+    if (params.compare) {
+      if (COMPARISON_OPTIONS.some(c => c.id === params.compare)) {
+        state.comparison = params.compare;
+      } else {
+        problems.push(`unknown comparison "${params.compare}"`);
+      }
+    }
+
+    const filtersChanged = ['para', 'folder', 'tags', 'title'].some(key => params[key] !== undefined);
+    if (filtersChanged) {
+      const locationIds = this.settings.locations.map(loc => loc.id);
+      const locations = (params.para || '').split(',')
+        .map(id => id.trim().toLowerCase())
+        .filter(Boolean);
+      locations.filter(id => !locationIds.includes(id)).forEach(id => {
+        problems.push(`unknown PARA location "${id}"`);
+      });
+      const { tags, excludeTags } = parseTagFilter(params.tags);
+      this.settings.filters = {
+        folder: params.folder || '',
+        tags,
+        excludeTags,
+        locations: locations.filter(id => locationIds.includes(id)),
+        title: params.title || ''
+      };
+      await this.saveSettings();
+    }
+
+    if (problems.length > 0) {
+      new Notice(`PARA Visualizer link: ${problems.join('; ')}`);
+    }
+
+    const location = OPEN_LOCATIONS.some(loc => loc.id === params.open) ? params.open : null;
+    await this.activateView(Object.keys(state).length > 0 ? state : null, location);
+    if (filtersChanged) {
+      this.refreshViews();
+    }
+  }
+
+  async generateReviewReport() {
+    try {
+      const file = await new PARAReviewReport(this).generate();
+      await this.app.workspace.getLeaf(false).openFile(file);
+      new Notice(`PARA Review Report written to ${file.path}`);
+    } catch (error) {
+      console.error('PARA Visualizer: review report failed', error);
+      new Notice(`Couldn't generate the review report: ${error.message}`);
+    }
   }
 
   onunload() {
     console.log('Unloading PARA Visualizer plugin');
+    if (this.index) {
+      this.index.requestCacheSave.cancel();
+      if (this.index.cacheDirty) this.index.saveCache();
+    }
   }
 }
 